@@ -0,0 +1,123 @@
+/**
+ * Anomaly Alerts Panel Component for HR Metrics Dashboard
+ * Lists unusual weeks from findAnomalies, each linking to that person's tab filtered to
+ * the task over the weeks it was compared with
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import dashboardState from '../services/state-manager.js';
+import { parseUrlState, serializeUrlState } from '../services/url-state.js';
+import { getWeekStart, getWeekEnd } from '../services/week-range.js';
+import { escapeHtml, pluralize } from '../config/utils.js';
+
+export class AnomalyAlertsPanel {
+  constructor(options = {}) {
+    this.options = {
+      containerId: 'anomaly-alerts',
+      maxAlerts: 50,
+      ...options
+    };
+
+    this.elements = {};
+    this.initialize();
+  }
+
+  /**
+   * Initialize the component
+   * @private
+   */
+  initialize() {
+    this.elements.container = document.getElementById(this.options.containerId);
+
+    if (!this.elements.container) {
+      throw new ValidationError('Required element not found: container');
+    }
+
+    // Switch views in place; the href still works for opening a new tab
+    this.elements.container.addEventListener('click', (event) => {
+      const link = event.target.closest('a[data-view]');
+      if (!link || event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+      event.preventDefault();
+      dashboardState.setState(parseUrlState(link.getAttribute('data-view')));
+    });
+  }
+
+  /**
+   * List the anomalies, or hide the panel when there are none
+   * @param {Array} anomalies - Anomalies from findAnomalies, most unusual first
+   * @param {Array<{id: string, displayName: string}>} roster - Employees in tab order
+   */
+  render(anomalies, roster) {
+    const container = this.elements.container;
+
+    if (anomalies.length === 0) {
+      container.classList.add('hidden');
+      container.innerHTML = '';
+      return;
+    }
+
+    const wasOpen = container.querySelector('details')?.open || false;
+    const shown = anomalies.slice(0, this.options.maxAlerts);
+    const hiddenCount = anomalies.length - shown.length;
+    const taskCount = new Set(anomalies.map(anomaly => anomaly.task)).size;
+    const getName = id => (roster.find(employee => employee.id === id) || { displayName: id }).displayName;
+
+    container.innerHTML = `
+      <details class="anomaly-alerts" ${wasOpen ? 'open' : ''}>
+        <summary>
+          Unusual weeks: ${pluralize(anomalies.length, 'week')} on ${pluralize(taskCount, 'task')} well outside the usual hours
+        </summary>
+        <table class="anomaly-table">
+          <thead>
+            <tr><th>Employee</th><th>Task</th><th>Week</th><th>Hours</th><th>Expected</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${shown.map(anomaly => this.renderRow(anomaly, getName(anomaly.employee))).join('')}
+          </tbody>
+        </table>
+        ${hiddenCount > 0 ? `<p class="anomaly-more">and ${hiddenCount} more not shown</p>` : ''}
+      </details>
+    `;
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Render one anomaly as a table row
+   * @private
+   * @param {Object} anomaly - Anomaly from findAnomalies
+   * @param {string} name - Employee display name
+   * @returns {string} - Row HTML
+   */
+  renderRow(anomaly, name) {
+    const query = escapeHtml(this.getViewQuery(anomaly));
+
+    return `
+      <tr class="anomaly-${anomaly.direction}">
+        <td>${escapeHtml(name)}</td>
+        <td>${escapeHtml(anomaly.task)}</td>
+        <td>${escapeHtml(anomaly.week)}</td>
+        <td>${anomaly.direction === 'up' ? '▲' : '▼'} ${anomaly.actual.toFixed(1)}</td>
+        <td>${anomaly.low.toFixed(1)}–${anomaly.high.toFixed(1)} (usually ${anomaly.expected.toFixed(1)})</td>
+        <td><a href="?${query}" data-view="${query}">View</a></td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Build the view for an anomaly: the person's tab, that task only, weekly, from the
+   * first week it was compared with to the unusual week
+   * @private
+   * @param {Object} anomaly - Anomaly from findAnomalies
+   * @returns {string} - Query string for the view
+   */
+  getViewQuery(anomaly) {
+    return serializeUrlState({
+      ...parseUrlState(''),
+      activeEmployee: anomaly.employee,
+      levelMode: 'task',
+      selectedTasks: [anomaly.task],
+      dateRange: { start: getWeekStart(anomaly.historyStart), end: getWeekEnd(anomaly.week), preset: null }
+    });
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Column Mapping Wizard Component for HR Metrics Dashboard
+ * Asks how to handle CSV headers that aren't in the task taxonomy: map each one to a
+ * known task, ignore it, or create a new task in a category
+ */
+
+import { TASK_CATEGORIES } from '../config/metrics-config.js';
+import { suggestTask } from '../services/column-mapping.js';
+import { ValidationError } from '../utils/errors.js';
+import { escapeHtml } from '../config/utils.js';
+
+export class ColumnMappingWizard {
+  constructor(options = {}) {
+    this.options = {
+      containerId: 'column-mapping-wizard',
+      ...options
+    };
+
+    this.elements = {};
+    this.initialize();
+  }
+
+  /**
+   * Initialize the component
+   * @private
+   */
+  initialize() {
+    this.elements.container = document.getElementById(this.options.containerId);
+
+    if (!this.elements.container) {
+      throw new ValidationError('Required element not found: container');
+    }
+  }
+
+  /**
+   * Ask how to handle each unknown column
+   * @param {Array<string>} unknownColumns - Headers not in the task taxonomy
+   * @returns {Promise<Object|null>} - Mapping entries keyed by header, or null if skipped
+   */
+  prompt(unknownColumns) {
+    const container = this.elements.container;
+    container.innerHTML = this.createMarkup(unknownColumns);
+    container.classList.remove('hidden');
+
+    // Show the name and category fields only when creating a task
+    const handleChange = (event) => {
+      if (event.target.classList.contains('mapping-action')) {
+        this.updateCreateFields(event.target.closest('.mapping-row'));
+      }
+    };
+    container.querySelectorAll('.mapping-row').forEach(row => this.updateCreateFields(row));
+    container.addEventListener('change', handleChange);
+
+    return new Promise(resolve => {
+      const finish = (result) => {
+        container.removeEventListener('change', handleChange);
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        resolve(result);
+      };
+
+      container.querySelector('.mapping-skip').addEventListener('click', () => finish(null));
+      container.querySelector('.mapping-save').addEventListener('click', () => {
+        const mapping = this.readMapping(unknownColumns);
+        if (mapping) finish(mapping);
+      });
+    });
+  }
+
+  /**
+   * Build the wizard markup
+   * @private
+   * @param {Array<string>} unknownColumns - Headers to map
+   * @returns {string} - HTML
+   */
+  createMarkup(unknownColumns) {
+    const categories = Object.keys(TASK_CATEGORIES);
+
+    const rows = unknownColumns.map((header, index) => {
+      // Preselect a task that differs only in spacing or punctuation
+      const suggestion = suggestTask(header);
+      const taskOptions = categories.map(category => `
+        <optgroup label="${escapeHtml(category)}">
+          ${TASK_CATEGORIES[category].map(task => `
+            <option value="map:${escapeHtml(task)}" ${task === suggestion ? 'selected' : ''}>${escapeHtml(task)}</option>
+          `).join('')}
+        </optgroup>
+      `).join('');
+
+      return `
+        <div class="mapping-row" data-index="${index}">
+          <code class="mapping-header">${escapeHtml(header)}</code>
+          <select class="mapping-action border rounded p-1">
+            <option value="create">Create a new task</option>
+            <option value="ignore">Ignore this column</option>
+            ${taskOptions}
+          </select>
+          <span class="mapping-create">
+            <input type="text" class="mapping-task-name border rounded p-1" value="${escapeHtml(header)}" aria-label="New task name">
+            <select class="mapping-category border rounded p-1" aria-label="Category for the new task">
+              ${categories.map(category => `<option value="${escapeHtml(category)}">${escapeHtml(category)}</option>`).join('')}
+            </select>
+          </span>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="column-mapping">
+        <p class="font-medium mb-2">
+          ${unknownColumns.length} column${unknownColumns.length !== 1 ? 's' : ''} in this data ${unknownColumns.length !== 1 ? 'don\'t' : 'doesn\'t'} match a known task.
+          Choose what to do with ${unknownColumns.length !== 1 ? 'each' : 'it'}; your choices are remembered for future loads.
+        </p>
+        ${rows}
+        <p class="mapping-error hidden"></p>
+        <div class="mapping-buttons">
+          <button class="mapping-save bg-blue-500 text-white py-1 px-3 rounded hover:bg-blue-600 transition-colors">Save mapping</button>
+          <button class="mapping-skip py-1 px-3 rounded border hover:bg-gray-100 transition-colors">Skip for now</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show or hide the new task fields for a row
+   * @private
+   * @param {HTMLElement} row - Mapping row
+   */
+  updateCreateFields(row) {
+    const isCreate = row.querySelector('.mapping-action').value === 'create';
+    row.querySelector('.mapping-create').classList.toggle('hidden', !isCreate);
+  }
+
+  /**
+   * Read the choices from the form
+   * @private
+   * @param {Array<string>} unknownColumns - Headers being mapped
+   * @returns {Object|null} - Mapping entries, or null if a new task has no name
+   */
+  readMapping(unknownColumns) {
+    const container = this.elements.container;
+    const errorElement = container.querySelector('.mapping-error');
+    const mapping = {};
+    const missingNames = [];
+
+    container.querySelectorAll('.mapping-row').forEach(row => {
+      const header = unknownColumns[Number(row.getAttribute('data-index'))];
+      const action = row.querySelector('.mapping-action').value;
+
+      if (action === 'ignore') {
+        mapping[header] = { action: 'ignore' };
+      } else if (action === 'create') {
+        const task = row.querySelector('.mapping-task-name').value.trim();
+        if (!task) {
+          missingNames.push(header);
+          return;
+        }
+        mapping[header] = { action: 'create', task, category: row.querySelector('.mapping-category').value };
+      } else {
+        mapping[header] = { action: 'map', task: action.slice('map:'.length) };
+      }
+    });
+
+    if (missingNames.length > 0) {
+      errorElement.textContent = `Enter a task name for ${missingNames.join(', ')}.`;
+      errorElement.classList.remove('hidden');
+      return null;
+    }
+
+    return mapping;
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Employee Dashboards Component for HR Metrics Dashboard
+ * Creates a tab and a dashboard panel for every employee on the roster
+ */
+
+import { ValidationError } from '../utils/errors.js';
+
+export class EmployeeDashboards {
+  constructor(options = {}) {
+    this.options = {
+      tabsId: 'employee-tabs',
+      containerId: 'employee-dashboards',
+      ...options
+    };
+
+    this.elements = {};
+    this.initialize();
+  }
+
+  /**
+   * Initialize the component
+   * @private
+   */
+  initialize() {
+    // Get DOM elements
+    this.elements = {
+      tabs: document.getElementById(this.options.tabsId),
+      container: document.getElementById(this.options.containerId)
+    };
+
+    // Validate required elements
+    Object.entries(this.elements).forEach(([key, element]) => {
+      if (!element) {
+        throw new ValidationError(`Required element not found: ${key}`);
+      }
+    });
+  }
+
+  /**
+   * Render tabs and dashboards for the roster
+   * The "All Employees" tab and team dashboard are static and left in place.
+   * @param {Array<{id: string, displayName: string}>} roster - Employees in tab order
+   */
+  render(roster) {
+    const activeTab = this.elements.tabs.querySelector('.tab.active');
+    const activeId = activeTab ? activeTab.getAttribute('data-employee') : 'all';
+
+    // Remove the previous roster
+    this.elements.tabs.querySelectorAll('.tab[data-employee]:not([data-employee="all"])')
+      .forEach(tab => tab.remove());
+    this.elements.container.innerHTML = '';
+
+    roster.forEach(employee => {
+      const tab = document.createElement('div');
+      tab.className = 'tab';
+      tab.setAttribute('data-employee', employee.id);
+      tab.textContent = employee.displayName;
+      this.elements.tabs.appendChild(tab);
+
+      this.elements.container.appendChild(this.createDashboard(employee));
+    });
+
+    // Keep the active tab if that person is still on the roster
+    const stillPresent = activeId === 'all' || roster.some(employee => employee.id === activeId);
+    this.setActive(stillPresent ? activeId : 'all');
+  }
+
+  /**
+   * Show the dashboard for an employee and mark its tab active
+   * @param {string} employeeId - Employee id or 'all'
+   */
+  setActive(employeeId) {
+    document.querySelectorAll('.tab').forEach(tab => {
+      tab.classList.toggle('active', tab.getAttribute('data-employee') === employeeId);
+    });
+    document.querySelectorAll('.employee-dashboard').forEach(dashboard => {
+      dashboard.classList.toggle('active', dashboard.id === `${employeeId}-dashboard`);
+    });
+  }
+
+  /**
+   * Create the dashboard panel for one employee
+   * @param {{id: string, displayName: string}} employee - Roster entry
+   * @returns {HTMLElement} - Dashboard element
+   * @private
+   */
+  createDashboard(employee) {
+    const id = employee.id;
+    const dashboard = document.createElement('div');
+    dashboard.id = `${id}-dashboard`;
+    dashboard.className = 'employee-dashboard';
+
+    dashboard.innerHTML = `
+      <!-- Summary statistics -->
+      <div class="stats-container">
+        <div class="stat-card">
+          <h2 class="stat-title">Total Hours</h2>
+          <p class="stat-value" id="${id}-total-hours">--</p>
+          <p class="stat-subtitle" id="${id}-total-hours-subtitle">Loading...</p>
+          <p class="stat-change hidden" id="${id}-total-hours-change"></p>
+          <p class="stat-budget hidden" id="${id}-budget-variance"></p>
+          <p class="cost-text" id="${id}-total-cost">--</p>
+        </div>
+
+        <div class="stat-card">
+          <h2 class="stat-title">Most Time Spent On</h2>
+          <p class="stat-value green" id="${id}-most-time-activity">--</p>
+          <p class="stat-subtitle" id="${id}-most-time-hours">Loading...</p>
+          <p class="stat-change hidden" id="${id}-most-time-change"></p>
+          <p class="cost-text" id="${id}-most-time-cost">--</p>
+        </div>
+
+        <div class="stat-card">
+          <h2 class="stat-title">Weekly Average</h2>
+          <p class="stat-value purple" id="${id}-weekly-average">--</p>
+          <p class="stat-subtitle" id="${id}-weekly-average-subtitle">Loading...</p>
+          <p class="stat-change hidden" id="${id}-weekly-average-change"></p>
+          <p class="cost-text" id="${id}-weekly-average-cost">--</p>
+        </div>
+      </div>
+
+      <!-- Main charts -->
+      <div class="charts-grid">
+        <!-- Distribution Pie Chart -->
+        <div class="chart-container" id="${id}-pie-container">
+          <h2 class="chart-title" id="${id}-pie-chart-title">Time Distribution by Category (Hours)</h2>
+          <div class="pie-pair">
+            <div class="pie-panel">
+              <p class="pie-caption hidden" id="${id}-pie-caption"></p>
+              <div style="position: relative; height: 300px;">
+                <canvas id="${id}-pieChart"></canvas>
+              </div>
+            </div>
+            <div class="pie-panel hidden" id="${id}-pie-compare-panel">
+              <p class="pie-caption" id="${id}-pie-compare-caption"></p>
+              <div style="position: relative; height: 300px;">
+                <canvas id="${id}-pieChart-compare"></canvas>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Breakdown Bar Chart -->
+        <div class="chart-container">
+          <h2 class="chart-title" id="${id}-bar-chart-title">Category Breakdown (Hours)</h2>
+          <div style="position: relative; height: 300px;">
+            <canvas id="${id}-barChart"></canvas>
+          </div>
+        </div>
+
+        <!-- Weekly Time Trends -->
+        <div class="chart-container full-width-chart">
+          <h2 class="chart-title" id="${id}-time-line-chart-title">Weekly Time Trends (Hours)</h2>
+          <div style="position: relative; height: 350px;" id="${id}-timeLineChart-container">
+            <canvas id="${id}-timeLineChart"></canvas>
+          </div>
+          <div class="employee-notice" id="${id}-no-trend-data" style="display: none;">
+            Weekly trend data not available
+          </div>
+        </div>
+
+        <!-- Utilization against contracted hours -->
+        <div class="chart-container full-width-chart">
+          <h2 class="chart-title">Utilization</h2>
+          <p class="utilization-summary" id="${id}-utilization-summary"></p>
+          <div style="position: relative; height: 300px;" id="${id}-utilizationChart-container">
+            <canvas id="${id}-utilizationChart"></canvas>
+          </div>
+          <div class="employee-notice" id="${id}-no-utilization-data" style="display: none;">
+            No contracted hours are configured for this person
+          </div>
+        </div>
+      </div>
+    `;
+
+    return dashboard;
+  }
+}
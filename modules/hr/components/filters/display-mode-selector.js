@@ -108,7 +108,7 @@ export class DisplayModeSelector {
    * Reset to default modes
    */
   reset() {
-    this.setDisplayMode('percentage');
+    this.setDisplayMode('hours');
     this.setLevelMode('category');
   }
 
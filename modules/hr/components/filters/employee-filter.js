@@ -1,20 +1,26 @@
 /**
  * Employee Filter Component for HR Metrics Dashboard
+ * Picks the people the dashboard covers, one by one or by a configured group
+ * (roster.groups, e.g. "Content team" or "Interns"). Choosing nobody shows everyone.
  */
 
 import { ValidationError } from '../../utils/errors.js';
 import dashboardState from '../../services/state-manager.js';
+import { buildRoster, getRosterGroups } from '../../services/roster.js';
+import { escapeHtml } from '../../config/utils.js';
 
 export class EmployeeFilter {
   constructor(options = {}) {
     this.options = {
-      employeeSelectId: 'employee-select',
-      activeFilterId: 'active-employee-filter',
-      filterTextId: 'employee-filter-text',
+      containerId: 'employee-filter',
+      summaryId: 'employee-filter-summary',
+      optionsId: 'employee-filter-options',
       ...options
     };
-    
+
     this.elements = {};
+    this.roster = [];
+    this.groups = [];
     this.initialize();
   }
 
@@ -25,9 +31,9 @@ export class EmployeeFilter {
   initialize() {
     // Get DOM elements
     this.elements = {
-      employeeSelect: document.getElementById(this.options.employeeSelectId),
-      activeFilter: document.getElementById(this.options.activeFilterId),
-      filterText: document.getElementById(this.options.filterTextId)
+      container: document.getElementById(this.options.containerId),
+      summary: document.getElementById(this.options.summaryId),
+      options: document.getElementById(this.options.optionsId)
     };
 
     // Validate required elements
@@ -39,6 +45,13 @@ export class EmployeeFilter {
 
     // Set up event listeners
     this.setupEventListeners();
+
+    // Show the selection when it changes elsewhere (e.g. Reset, a saved view)
+    dashboardState.subscribe((state, previousState) => {
+      if (state.selectedEmployees !== previousState.selectedEmployees) {
+        this.updateSelection();
+      }
+    });
   }
 
   /**
@@ -46,81 +59,121 @@ export class EmployeeFilter {
    * @private
    */
   setupEventListeners() {
-    this.elements.employeeSelect.addEventListener('change', () => this.applyFilter());
+    this.elements.options.addEventListener('change', (event) => {
+      const checkbox = event.target;
+      const selected = new Set(dashboardState.getSelectedEmployees());
+
+      if (checkbox.classList.contains('employee-option')) {
+        if (checkbox.checked) {
+          selected.add(checkbox.value);
+        } else {
+          selected.delete(checkbox.value);
+        }
+      } else if (checkbox.classList.contains('employee-group-option')) {
+        const group = this.groups[Number(checkbox.value)];
+        group.members.forEach(id => (checkbox.checked ? selected.add(id) : selected.delete(id)));
+      } else {
+        return;
+      }
+
+      // Ticking everyone is the same as no filter
+      const ids = this.roster.map(employee => employee.id).filter(id => selected.has(id));
+      dashboardState.setSelectedEmployees(ids.length === this.roster.length ? [] : ids);
+    });
+
+    this.elements.options.addEventListener('click', (event) => {
+      if (event.target.closest('.employee-filter-clear')) {
+        dashboardState.setSelectedEmployees([]);
+      }
+    });
+
+    // Close the list when clicking elsewhere on the page
+    document.addEventListener('click', (event) => {
+      if (!this.elements.container.contains(event.target)) {
+        this.elements.container.open = false;
+      }
+    });
   }
 
   /**
-   * Update employee options based on available data
+   * List the employees and groups in the data
    * @param {Array} data - Employee data
    */
   updateEmployeeOptions(data) {
-    // Extract unique employees and sort them
-    const employees = [...new Set(data.map(row => row['Employee Name']))].sort();
-
-    // Save current selection
-    const currentEmployee = this.elements.employeeSelect.value;
-
-    // Clear existing options except "All Employees"
-    while (this.elements.employeeSelect.options.length > 1) {
-      this.elements.employeeSelect.remove(1);
-    }
-
-    // Add options for each employee
-    employees.forEach(employee => {
-      const option = document.createElement('option');
-      option.value = employee;
-      option.textContent = employee;
-      this.elements.employeeSelect.appendChild(option);
-    });
-
-    // Restore selection if it exists in the new options
-    if (employees.includes(currentEmployee)) {
-      this.elements.employeeSelect.value = currentEmployee;
-    }
+    this.roster = buildRoster(data);
+    this.groups = getRosterGroups(this.roster);
+
+    const groupOptions = this.groups.map((group, index) => `
+      <label class="employee-filter-option employee-filter-group">
+        <input type="checkbox" class="employee-group-option" value="${index}">
+        ${escapeHtml(group.name)}
+        <span class="employee-filter-count">(${group.members.length})</span>
+      </label>
+    `).join('');
+
+    const employeeOptions = this.roster.map(employee => `
+      <label class="employee-filter-option">
+        <input type="checkbox" class="employee-option" value="${escapeHtml(employee.id)}">
+        ${escapeHtml(employee.displayName)}
+      </label>
+    `).join('');
+
+    this.elements.options.innerHTML = `
+      <button type="button" class="employee-filter-clear">All employees</button>
+      ${groupOptions ? `<div class="employee-filter-section">${groupOptions}</div>` : ''}
+      <div class="employee-filter-section">${employeeOptions}</div>
+    `;
+
+    this.updateSelection();
   }
 
   /**
-   * Apply the employee filter
+   * Tick the chosen people and groups and describe the selection
    * @private
    */
-  applyFilter() {
-    const selectedEmployee = this.elements.employeeSelect.value;
-    
-    // Update state
-    dashboardState.setActiveEmployee(selectedEmployee);
-    
-    // Update UI
-    this.updateFilterDisplay();
+  updateSelection() {
+    const selected = new Set(dashboardState.getSelectedEmployees());
+
+    this.elements.options.querySelectorAll('.employee-option').forEach(checkbox => {
+      checkbox.checked = selected.has(checkbox.value);
+    });
+
+    // A group is ticked when all its members are chosen, and half-ticked for some of them
+    this.elements.options.querySelectorAll('.employee-group-option').forEach(checkbox => {
+      const members = this.groups[Number(checkbox.value)].members;
+      const chosen = members.filter(id => selected.has(id)).length;
+      checkbox.checked = chosen === members.length;
+      checkbox.indeterminate = chosen > 0 && chosen < members.length;
+    });
+
+    this.elements.summary.textContent = this.describeSelection();
   }
 
   /**
-   * Update filter display status
-   * @private
+   * Describe the chosen people for the picker's button
+   * @returns {string} - "All employees", a group name, up to two names, or a count
    */
-  updateFilterDisplay() {
-    const activeEmployee = dashboardState.getActiveEmployee();
-
-    if (activeEmployee === 'all') {
-      this.elements.activeFilter.classList.add('hidden');
-    } else {
-      this.elements.activeFilter.classList.remove('hidden');
-      this.elements.filterText.textContent = activeEmployee;
-    }
+  describeSelection() {
+    const selected = dashboardState.getSelectedEmployees();
+    const people = this.roster.filter(employee => selected.includes(employee.id));
+
+    if (selected.length === 0) return 'All employees';
+    if (people.length === 0) return 'No one in this data';
+
+    const group = this.groups.find(candidate =>
+      candidate.members.length === people.length &&
+      people.every(employee => candidate.members.includes(employee.id))
+    );
+    if (group) return group.name;
+
+    if (people.length <= 2) return people.map(employee => employee.displayName).join(', ');
+    return `${people.length} employees`;
   }
 
   /**
    * Reset the employee filter
    */
   resetFilter() {
-    this.elements.employeeSelect.value = 'all';
-    dashboardState.setActiveEmployee('all');
-    this.updateFilterDisplay();
-  }
-
-  /**
-   * Clean up event listeners
-   */
-  destroy() {
-    this.elements.employeeSelect.removeEventListener('change', this.applyFilter);
+    dashboardState.setSelectedEmployees([]);
   }
-} 
\ No newline at end of file
+}
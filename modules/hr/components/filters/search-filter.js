@@ -1,19 +1,32 @@
 /**
  * Search Filter Component for HR Metrics Dashboard
+ * Narrows the charts with a search query (see services/search-query.js), shows mistakes in
+ * the query under the box and suggests user, task and category names while typing
  */
 
 import { ValidationError } from '../../utils/errors.js';
+import { TASK_CATEGORIES } from '../../config/metrics-config.js';
+import { getTaskCategories, escapeHtml } from '../../config/utils.js';
 import dashboardState from '../../services/state-manager.js';
+import { buildRoster } from '../../services/roster.js';
+import { findSearchError, getSearchSuggestions } from '../../services/search-query.js';
 
 export class SearchFilter {
   constructor(options = {}) {
     this.options = {
       searchInputId: 'search-input',
       searchClearId: 'search-clear',
+      searchErrorId: 'search-error',
+      suggestionsId: 'search-suggestions',
+      debounceMs: 250,
       ...options
     };
-    
+
     this.elements = {};
+    this.searchTimer = null;
+    this.names = { users: [], tasks: [], categories: [] };
+    this.suggestions = null;
+    this.activeSuggestion = -1;
     this.initialize();
   }
 
@@ -25,14 +38,48 @@ export class SearchFilter {
     // Get DOM elements
     this.elements.searchInput = document.getElementById(this.options.searchInputId);
     this.elements.searchClear = document.getElementById(this.options.searchClearId);
+    this.elements.searchError = document.getElementById(this.options.searchErrorId);
+    this.elements.suggestions = document.getElementById(this.options.suggestionsId);
 
-    if (!this.elements.searchInput || !this.elements.searchClear) {
+    if (!this.elements.searchInput || !this.elements.searchClear || !this.elements.searchError || !this.elements.suggestions) {
       throw new ValidationError('Required search filter elements not found');
     }
 
     // Set up event listeners
     this.elements.searchInput.addEventListener('input', this.handleSearch.bind(this));
+    this.elements.searchInput.addEventListener('keydown', this.handleKeyDown.bind(this));
+    this.elements.searchInput.addEventListener('click', () => this.updateSuggestions());
+    this.elements.searchInput.addEventListener('blur', () => this.hideSuggestions());
     this.elements.searchClear.addEventListener('click', this.clearSearch.bind(this));
+
+    // Keep focus in the box while a suggestion is clicked
+    this.elements.suggestions.addEventListener('mousedown', (event) => {
+      const item = event.target.closest('[data-index]');
+      if (!item) return;
+      event.preventDefault();
+      this.acceptSuggestion(Number(item.getAttribute('data-index')));
+    });
+
+    // Show the query when it changes elsewhere (e.g. Reset), unless the user is still typing
+    dashboardState.subscribe((state, previousState) => {
+      if (state.searchQuery === previousState.searchQuery) return;
+      if (!this.searchTimer && state.searchQuery !== this.elements.searchInput.value.trim()) {
+        this.elements.searchInput.value = state.searchQuery;
+        this.showError(findSearchError(state.searchQuery));
+      }
+    });
+  }
+
+  /**
+   * Set the user, task and category names offered while typing
+   * @param {Array} data - Employee data
+   */
+  updateSuggestionNames(data) {
+    this.names = {
+      users: buildRoster(data).map(employee => employee.id),
+      tasks: getTaskCategories(data),
+      categories: Object.keys(TASK_CATEGORIES)
+    };
   }
 
   /**
@@ -41,7 +88,121 @@ export class SearchFilter {
    */
   handleSearch() {
     const query = this.elements.searchInput.value.trim();
-    dashboardState.setSearchQuery(query);
+    const error = findSearchError(query);
+
+    this.showError(error);
+    this.updateSuggestions();
+
+    // Every chart redraws on a new query, so wait for a pause in typing; a query with a
+    // mistake leaves the charts as they were
+    clearTimeout(this.searchTimer);
+    this.searchTimer = null;
+    if (error) return;
+
+    this.searchTimer = setTimeout(() => {
+      this.searchTimer = null;
+      dashboardState.setSearchQuery(query);
+    }, this.options.debounceMs);
+  }
+
+  /**
+   * Move through and accept suggestions from the keyboard
+   * @private
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyDown(event) {
+    const count = this.suggestions ? this.suggestions.suggestions.length : 0;
+    if (count === 0) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      this.activeSuggestion = (this.activeSuggestion + step + count) % count;
+      this.renderSuggestions();
+    } else if ((event.key === 'Enter' || event.key === 'Tab') && this.activeSuggestion >= 0) {
+      event.preventDefault();
+      this.acceptSuggestion(this.activeSuggestion);
+    } else if (event.key === 'Escape') {
+      this.hideSuggestions();
+    }
+  }
+
+  /**
+   * Work out suggestions for the word at the cursor
+   * @private
+   */
+  updateSuggestions() {
+    const input = this.elements.searchInput;
+    this.suggestions = getSearchSuggestions(input.value, input.selectionStart, this.names);
+    this.activeSuggestion = -1;
+    this.renderSuggestions();
+  }
+
+  /**
+   * Show the current suggestions
+   * @private
+   */
+  renderSuggestions() {
+    const list = this.elements.suggestions;
+    const suggestions = this.suggestions ? this.suggestions.suggestions : [];
+
+    list.innerHTML = suggestions.map((suggestion, index) => `
+      <li data-index="${index}" role="option" class="${index === this.activeSuggestion ? 'active' : ''}">${escapeHtml(suggestion.label)}</li>
+    `).join('');
+    list.classList.toggle('hidden', suggestions.length === 0);
+  }
+
+  /**
+   * Hide the suggestion list
+   * @private
+   */
+  hideSuggestions() {
+    this.suggestions = null;
+    this.activeSuggestion = -1;
+    this.renderSuggestions();
+  }
+
+  /**
+   * Replace the word at the cursor with a suggestion
+   * @private
+   * @param {number} index - Suggestion index
+   */
+  acceptSuggestion(index) {
+    const { start, end, suggestions } = this.suggestions;
+    const input = this.elements.searchInput;
+    const text = suggestions[index].text;
+
+    // A finished condition gets a space after it; a field name still needs its value
+    const finished = text.includes(':') && !text.endsWith(':');
+    const insert = finished ? `${text} ` : text;
+    input.value = input.value.slice(0, start) + insert + input.value.slice(end).replace(/^\s+/, '');
+    input.setSelectionRange(start + insert.length, start + insert.length);
+
+    this.handleSearch();
+  }
+
+  /**
+   * Show a query mistake under the box, with the part at fault marked
+   * @private
+   * @param {{message: string, start: number, end: number}|null} error - Mistake, or null to clear
+   */
+  showError(error) {
+    const input = this.elements.searchInput;
+    input.classList.toggle('invalid', !!error);
+
+    if (!error) {
+      this.elements.searchError.classList.add('hidden');
+      this.elements.searchError.innerHTML = '';
+      return;
+    }
+
+    const text = input.value.trim();
+    const end = Math.max(error.end, error.start + 1);
+    this.elements.searchError.innerHTML = `
+      ${escapeHtml(error.message)}:
+      <code>${escapeHtml(text.slice(0, error.start))}<mark>${escapeHtml(text.slice(error.start, end) || ' ')}</mark>${escapeHtml(text.slice(end))}</code>
+    `;
+    this.elements.searchError.classList.remove('hidden');
   }
 
   /**
@@ -49,7 +210,11 @@ export class SearchFilter {
    * @private
    */
   clearSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = null;
     this.elements.searchInput.value = '';
+    this.showError(null);
+    this.hideSuggestions();
     dashboardState.setSearchQuery('');
   }
 
@@ -59,4 +224,4 @@ export class SearchFilter {
   reset() {
     this.clearSearch();
   }
-} 
\ No newline at end of file
+}
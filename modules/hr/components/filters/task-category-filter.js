@@ -0,0 +1,158 @@
+/**
+ * Task Category Filter Component for HR Metrics Dashboard
+ * A category/task tree with checkboxes. Only the ticked tasks count toward the charts and
+ * cards; ticking a category ticks all its tasks. Ticking nothing shows every task.
+ */
+
+import { ValidationError } from '../../utils/errors.js';
+import { TASK_CATEGORIES } from '../../config/metrics-config.js';
+import dashboardState from '../../services/state-manager.js';
+import { escapeHtml } from '../../config/utils.js';
+
+export class TaskCategoryFilter {
+  constructor(options = {}) {
+    this.options = {
+      containerId: 'task-filter',
+      summaryId: 'task-filter-summary',
+      optionsId: 'task-filter-options',
+      ...options
+    };
+
+    this.elements = {};
+    this.initialize();
+  }
+
+  /**
+   * Initialize the filter component
+   * @private
+   */
+  initialize() {
+    this.elements = {
+      container: document.getElementById(this.options.containerId),
+      summary: document.getElementById(this.options.summaryId),
+      options: document.getElementById(this.options.optionsId)
+    };
+
+    Object.entries(this.elements).forEach(([key, element]) => {
+      if (!element) {
+        throw new ValidationError(`Required element not found: ${key}`);
+      }
+    });
+
+    this.elements.options.addEventListener('change', (event) => this.handleChange(event.target));
+
+    this.elements.options.addEventListener('click', (event) => {
+      if (event.target.closest('.task-filter-clear')) {
+        dashboardState.setSelectedTasks([]);
+      }
+    });
+
+    // Close the tree when clicking elsewhere on the page
+    document.addEventListener('click', (event) => {
+      if (!this.elements.container.contains(event.target)) {
+        this.elements.container.open = false;
+      }
+    });
+
+    // Show the selection when it changes elsewhere (e.g. Reset, a saved view)
+    dashboardState.subscribe((state, previousState) => {
+      if (state.selectedTasks !== previousState.selectedTasks) {
+        this.updateSelection();
+      }
+    });
+
+    this.updateCategoryOptions();
+  }
+
+  /**
+   * Add or remove the ticked task or category
+   * @private
+   * @param {HTMLInputElement} checkbox - Changed checkbox
+   */
+  handleChange(checkbox) {
+    let tasks;
+    if (checkbox.classList.contains('task-option')) {
+      tasks = [checkbox.value];
+    } else if (checkbox.classList.contains('category-option')) {
+      tasks = TASK_CATEGORIES[checkbox.value] || [];
+    } else {
+      return;
+    }
+
+    const selected = new Set(dashboardState.getSelectedTasks());
+    tasks.forEach(task => (checkbox.checked ? selected.add(task) : selected.delete(task)));
+
+    // Ticking every task is the same as no filter
+    const allTasks = Object.values(TASK_CATEGORIES).flat();
+    const ordered = allTasks.filter(task => selected.has(task));
+    dashboardState.setSelectedTasks(ordered.length === allTasks.length ? [] : ordered);
+  }
+
+  /**
+   * List the configured categories and their tasks
+   * Call again after tasks or categories are added (e.g. by the column mapping).
+   */
+  updateCategoryOptions() {
+    const categories = Object.entries(TASK_CATEGORIES).map(([category, tasks]) => `
+      <div class="task-filter-category">
+        <label class="task-filter-option task-filter-category-label">
+          <input type="checkbox" class="category-option" value="${escapeHtml(category)}">
+          ${escapeHtml(category)}
+        </label>
+        <div class="task-filter-tasks">
+          ${tasks.map(task => `
+            <label class="task-filter-option">
+              <input type="checkbox" class="task-option" value="${escapeHtml(task)}">
+              ${escapeHtml(task)}
+            </label>
+          `).join('')}
+        </div>
+      </div>
+    `).join('');
+
+    this.elements.options.innerHTML = `
+      <button type="button" class="task-filter-clear">All tasks</button>
+      ${categories}
+    `;
+
+    this.updateSelection();
+  }
+
+  /**
+   * Tick the chosen tasks and categories and describe the selection
+   * @private
+   */
+  updateSelection() {
+    const selected = new Set(dashboardState.getSelectedTasks());
+
+    this.elements.options.querySelectorAll('.task-option').forEach(checkbox => {
+      checkbox.checked = selected.has(checkbox.value);
+    });
+
+    // A category is ticked when all its tasks are chosen, and half-ticked for some of them
+    this.elements.options.querySelectorAll('.category-option').forEach(checkbox => {
+      const tasks = TASK_CATEGORIES[checkbox.value] || [];
+      const chosen = tasks.filter(task => selected.has(task)).length;
+      checkbox.checked = tasks.length > 0 && chosen === tasks.length;
+      checkbox.indeterminate = chosen > 0 && chosen < tasks.length;
+    });
+
+    this.elements.summary.textContent = this.describeSelection();
+  }
+
+  /**
+   * Describe the chosen tasks for the picker's button
+   * @returns {string} - "All tasks", a task or category name, or a count
+   */
+  describeSelection() {
+    const selected = dashboardState.getSelectedTasks();
+    if (selected.length === 0) return 'All tasks';
+    if (selected.length === 1) return selected[0];
+
+    const category = Object.keys(TASK_CATEGORIES).find(name =>
+      TASK_CATEGORIES[name].length === selected.length &&
+      TASK_CATEGORIES[name].every(task => selected.includes(task))
+    );
+    return category || `${selected.length} tasks`;
+  }
+}
@@ -4,6 +4,7 @@
 
 import { ValidationError } from '../../utils/errors.js';
 import dashboardState from '../../services/state-manager.js';
+import { sortWeekRanges, compareWeekRanges, getWeekStart, getWeekEnd } from '../../services/week-range.js';
 
 export class WeekRangeFilter {
   constructor(options = {}) {
@@ -61,10 +62,9 @@ export class WeekRangeFilter {
    * @param {Array} data - Employee data
    */
   updateWeekOptions(data) {
-    // Extract unique weeks and sort them
-    const weeks = [...new Set(data.map(row => row['Week Range']))].sort((a, b) => {
-      return new Date(a) - new Date(b);
-    });
+    // Extract unique weeks and sort them, leaving out ones that can't be placed on the calendar
+    const { weeks: sortedWeeks, unparseable } = sortWeekRanges(data.map(row => row['Week Range']));
+    const weeks = sortedWeeks.filter(week => !unparseable.includes(week));
 
     // Save current selections
     const currentStartWeek = this.elements.startWeek.value;
@@ -115,8 +115,11 @@ export class WeekRangeFilter {
       throw new ValidationError('Invalid selection: Start week must be before or equal to end week');
     }
 
-    // Update state
-    dashboardState.setDateRange(startWeek, endWeek);
+    // The state holds dates; a week selection covers its first to last day
+    dashboardState.setDateRange(
+      startWeek === 'all' ? null : getWeekStart(startWeek),
+      endWeek === 'all' ? null : getWeekEnd(endWeek)
+    );
     
     // Update UI
     this.updateFilterDisplay();
@@ -131,7 +134,7 @@ export class WeekRangeFilter {
     this.elements.endWeek.value = 'all';
     
     // Update state
-    dashboardState.setDateRange('all', 'all');
+    dashboardState.setDateRange(null, null);
     
     // Update UI
     this.updateFilterDisplay();
@@ -146,10 +149,7 @@ export class WeekRangeFilter {
       return true;
     }
 
-    const startDate = new Date(startWeek);
-    const endDate = new Date(endWeek);
-
-    return startDate <= endDate;
+    return compareWeekRanges(startWeek, endWeek) <= 0;
   }
 
   /**
@@ -159,18 +159,18 @@ export class WeekRangeFilter {
   updateFilterDisplay() {
     const { start, end } = dashboardState.getDateRange();
 
-    if (start === 'all' && end === 'all') {
+    if (!start && !end) {
       this.elements.activeFilter.classList.add('hidden');
     } else {
       this.elements.activeFilter.classList.remove('hidden');
       let filterString = '';
 
-      if (start === 'all') {
-        filterString = `Up to ${end}`;
-      } else if (end === 'all') {
-        filterString = `From ${start} onwards`;
+      if (!start) {
+        filterString = `Up to ${end.toLocaleDateString()}`;
+      } else if (!end) {
+        filterString = `From ${start.toLocaleDateString()} onwards`;
       } else {
-        filterString = `${start} to ${end}`;
+        filterString = `${start.toLocaleDateString()} to ${end.toLocaleDateString()}`;
       }
 
       this.elements.filterText.textContent = filterString;
@@ -2,6 +2,8 @@
  * Loading State Component for HR Metrics Dashboard
  */
 
+import { escapeHtml } from '../config/utils.js';
+
 export class LoadingState {
   constructor(options = {}) {
     this.options = {
@@ -55,10 +57,19 @@ export class LoadingState {
       </button>
     ` : '';
     
+    // Itemize problems when the error carries a list (e.g. configuration issues)
+    const issues = error.details && Array.isArray(error.details.issues) ? error.details.issues : [];
+    const issueList = issues.length > 0 ? `
+      <ul class="error-issues">
+        ${issues.map(issue => `<li><code>${escapeHtml(issue.path)}</code> ${escapeHtml(issue.message)}</li>`).join('')}
+      </ul>
+    ` : '';
+    
     this.elements.container.innerHTML = `
       <div class="error-state">
         <div class="error-icon">⚠️</div>
-        <div class="error-message">${error.message}</div>
+        <div class="error-message">${escapeHtml(error.message)}</div>
+        ${issueList}
         ${retryButton}
       </div>
     `;
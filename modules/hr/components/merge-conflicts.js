@@ -0,0 +1,142 @@
+/**
+ * Merge Conflicts Component for HR Metrics Dashboard
+ * Lists rows that appear in more than one file with different hours and asks which
+ * file's version to keep
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import { escapeHtml } from '../config/utils.js';
+
+/**
+ * Format a column's value across the rows one file has for a key
+ * @param {Array} rows - Rows from one file
+ * @param {string} column - Column name
+ * @returns {string} - Hours total, or the raw values
+ */
+function formatValue(rows, column) {
+  const values = rows.map(row => row[column]);
+  if (values.every(value => value === null || value === undefined || value === '' || typeof value === 'number')) {
+    return String(values.reduce((sum, value) => sum + (value || 0), 0));
+  }
+  return values.map(value => (value === null || value === undefined ? '' : value)).join(', ');
+}
+
+export class MergeConflicts {
+  constructor(options = {}) {
+    this.options = {
+      containerId: 'merge-conflicts',
+      ...options
+    };
+
+    this.elements = {};
+    this.initialize();
+  }
+
+  /**
+   * Initialize the component
+   * @private
+   */
+  initialize() {
+    this.elements.container = document.getElementById(this.options.containerId);
+
+    if (!this.elements.container) {
+      throw new ValidationError('Required element not found: container');
+    }
+  }
+
+  /**
+   * Ask which file wins each conflict
+   * @param {Array} conflicts - Conflicts from mergeDatasets
+   * @param {Array<string>} labels - Dataset labels, by dataset index
+   * @returns {Promise<Object>} - Winning dataset index keyed by conflict key
+   */
+  prompt(conflicts, labels) {
+    const container = this.elements.container;
+    container.innerHTML = this.createMarkup(conflicts, labels);
+    container.classList.remove('hidden');
+
+    return new Promise(resolve => {
+      // Set every conflict to one file where that file has a version
+      container.querySelectorAll('.conflict-use-all').forEach(button => {
+        button.addEventListener('click', () => {
+          const datasetIndex = button.getAttribute('data-dataset');
+          container.querySelectorAll(`.conflict-choice[value="${datasetIndex}"]`).forEach(radio => {
+            radio.checked = true;
+          });
+        });
+      });
+
+      container.querySelector('.conflict-apply').addEventListener('click', () => {
+        const winners = {};
+        conflicts.forEach((conflict, index) => {
+          const checked = container.querySelector(`input[name="conflict-${index}"]:checked`);
+          winners[conflict.key] = checked ? Number(checked.value) : conflict.winner;
+        });
+
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        resolve(winners);
+      });
+    });
+  }
+
+  /**
+   * Build the conflict summary markup
+   * @private
+   * @param {Array} conflicts - Conflicts from mergeDatasets
+   * @param {Array<string>} labels - Dataset labels
+   * @returns {string} - HTML
+   */
+  createMarkup(conflicts, labels) {
+    const involved = [...new Set(conflicts.flatMap(conflict => conflict.versions.map(version => version.datasetIndex)))];
+
+    const rows = conflicts.map((conflict, index) => `
+      <tr>
+        <td>${escapeHtml(conflict.user)}</td>
+        <td>${escapeHtml(conflict.date)}</td>
+        <td>${escapeHtml(conflict.week)}</td>
+        <td>
+          ${conflict.columns.map(column => `
+            <div>
+              <span class="font-medium">${escapeHtml(column)}:</span>
+              ${conflict.versions.map(version => `${escapeHtml(formatValue(version.rows, column))} <span class="conflict-file">(${escapeHtml(labels[version.datasetIndex])})</span>`).join(' vs ')}
+            </div>
+          `).join('')}
+        </td>
+        <td>
+          ${conflict.versions.map(version => `
+            <label class="conflict-option">
+              <input type="radio" class="conflict-choice" name="conflict-${index}" value="${version.datasetIndex}" ${version.datasetIndex === conflict.winner ? 'checked' : ''}>
+              ${escapeHtml(labels[version.datasetIndex])}
+            </label>
+          `).join('')}
+        </td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="merge-conflicts">
+        <p class="font-medium mb-2">
+          ${conflicts.length} row${conflicts.length !== 1 ? 's have' : ' has'} different hours in different files.
+          Choose which file to keep for each.
+        </p>
+        <div class="conflict-buttons mb-2">
+          ${involved.map(datasetIndex => `
+            <button class="conflict-use-all py-1 px-3 rounded border hover:bg-gray-100 transition-colors" data-dataset="${datasetIndex}">
+              Use ${escapeHtml(labels[datasetIndex])} for all
+            </button>
+          `).join('')}
+        </div>
+        <div class="conflict-table-wrapper">
+          <table class="conflict-table">
+            <thead>
+              <tr><th>User</th><th>Date</th><th>Week Range</th><th>Differences</th><th>Keep</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        <button class="conflict-apply bg-blue-500 text-white py-1 px-3 rounded hover:bg-blue-600 transition-colors mt-2">Apply</button>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Needs Attention Panel Component for HR Metrics Dashboard
+ * Lists the weeks people haven't logged or logged suspiciously little, with a reminder
+ * message per person ready to copy
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import { buildReminder } from '../services/timesheet-gaps.js';
+import { escapeHtml, pluralize } from '../config/utils.js';
+
+export class NeedsAttentionPanel {
+  constructor(options = {}) {
+    this.options = {
+      containerId: 'needs-attention',
+      ...options
+    };
+
+    this.elements = {};
+    this.reminders = [];
+    this.initialize();
+  }
+
+  /**
+   * Initialize the component
+   * @private
+   */
+  initialize() {
+    this.elements.container = document.getElementById(this.options.containerId);
+
+    if (!this.elements.container) {
+      throw new ValidationError('Required element not found: container');
+    }
+
+    this.elements.container.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-reminder]');
+      if (button) {
+        this.copyReminder(button, this.reminders[Number(button.getAttribute('data-reminder'))]);
+      }
+    });
+  }
+
+  /**
+   * List the gaps by person, or hide the panel when there are none
+   * @param {Array<{employee: string, week: string, reason: string, hours: number, expected: number|null}>} gaps
+   *   - Gaps from findTimesheetGaps
+   * @param {Array<{id: string, displayName: string}>} roster - Employees in tab order
+   */
+  render(gaps, roster) {
+    const container = this.elements.container;
+
+    if (gaps.length === 0) {
+      container.classList.add('hidden');
+      container.innerHTML = '';
+      this.reminders = [];
+      return;
+    }
+
+    const wasOpen = container.querySelector('details')?.open ?? true;
+    const people = roster
+      .map(employee => ({ employee, gaps: gaps.filter(gap => gap.employee === employee.id) }))
+      .filter(person => person.gaps.length > 0);
+    this.reminders = people.map(person => buildReminder(person.employee.displayName, person.gaps));
+
+    container.innerHTML = `
+      <details class="needs-attention" ${wasOpen ? 'open' : ''}>
+        <summary>
+          Needs attention: ${pluralize(gaps.length, 'week')} missing or low for ${people.length} ${people.length === 1 ? 'person' : 'people'}
+        </summary>
+        <ul class="needs-attention-list">
+          ${people.map((person, index) => `
+            <li>
+              <div class="needs-attention-person">
+                <strong>${escapeHtml(person.employee.displayName)}</strong>
+                <button type="button" class="needs-attention-copy" data-reminder="${index}">Copy reminder</button>
+              </div>
+              <ul>
+                ${person.gaps.map(gap => `
+                  <li class="needs-attention-${gap.reason}">
+                    ${escapeHtml(gap.week)}: ${this.describeGap(gap)}
+                  </li>
+                `).join('')}
+              </ul>
+            </li>
+          `).join('')}
+        </ul>
+      </details>
+    `;
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Describe why a week was flagged
+   * @private
+   * @param {{reason: string, hours: number, expected: number|null}} gap - Gap
+   * @returns {string} - e.g. "no timesheet" or "4.0 hours (expected about 15.0)"
+   */
+  describeGap(gap) {
+    if (gap.reason === 'missing') return 'no timesheet';
+    return `${gap.hours.toFixed(1)} hours (expected about ${gap.expected.toFixed(1)})`;
+  }
+
+  /**
+   * Copy a reminder, or show it to copy by hand where the clipboard isn't available
+   * @private
+   * @param {HTMLButtonElement} button - Button that was clicked
+   * @param {string} message - Reminder text
+   */
+  async copyReminder(button, message) {
+    try {
+      await navigator.clipboard.writeText(message);
+      button.textContent = 'Copied';
+      setTimeout(() => {
+        button.textContent = 'Copy reminder';
+      }, 2000);
+    } catch (error) {
+      window.prompt('Copy this reminder:', message);
+    }
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Saved Views Menu Component for HR Metrics Dashboard
+ * Saves the current view under a name, switches between saved views, and exports or
+ * imports them as JSON so a team can share a standard set
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import dashboardState from '../services/state-manager.js';
+import { parseUrlState, serializeUrlState } from '../services/url-state.js';
+import { loadSavedViews, saveView, deleteView, exportSavedViews, importSavedViews } from '../services/saved-views.js';
+
+export class SavedViewsMenu {
+  constructor(options = {}) {
+    this.options = {
+      selectId: 'saved-view',
+      saveButtonId: 'save-view',
+      deleteButtonId: 'delete-view',
+      exportButtonId: 'export-views',
+      importButtonId: 'import-views',
+      importInputId: 'import-views-input',
+      exportFileName: 'hr-metrics-views.json',
+      ...options
+    };
+
+    this.elements = {};
+    this.initialize();
+  }
+
+  /**
+   * Initialize the component
+   * @private
+   */
+  initialize() {
+    this.elements.select = document.getElementById(this.options.selectId);
+    this.elements.saveButton = document.getElementById(this.options.saveButtonId);
+    this.elements.deleteButton = document.getElementById(this.options.deleteButtonId);
+    this.elements.exportButton = document.getElementById(this.options.exportButtonId);
+    this.elements.importButton = document.getElementById(this.options.importButtonId);
+    this.elements.importInput = document.getElementById(this.options.importInputId);
+
+    Object.entries(this.elements).forEach(([name, element]) => {
+      if (!element) {
+        throw new ValidationError(`Required element not found: ${name}`);
+      }
+    });
+
+    this.elements.select.addEventListener('change', () => this.applyView(this.elements.select.value));
+    this.elements.saveButton.addEventListener('click', () => this.saveCurrentView());
+    this.elements.deleteButton.addEventListener('click', () => this.deleteSelectedView());
+    this.elements.exportButton.addEventListener('click', () => this.exportViews());
+    this.elements.importButton.addEventListener('click', () => this.elements.importInput.click());
+    this.elements.importInput.addEventListener('change', () => this.importViews());
+
+    // Select the saved view the dashboard is showing, if any
+    dashboardState.subscribe(() => this.updateSelection());
+
+    this.updateOptions();
+  }
+
+  /**
+   * List the saved views
+   * @private
+   */
+  updateOptions() {
+    const select = this.elements.select;
+
+    // Clear existing options except "Current view"
+    while (select.options.length > 1) {
+      select.remove(1);
+    }
+
+    loadSavedViews().forEach(view => {
+      const option = document.createElement('option');
+      option.value = view.name;
+      option.textContent = view.name;
+      select.appendChild(option);
+    });
+
+    this.updateSelection();
+  }
+
+  /**
+   * Select the saved view matching the state, or "Current view" once it has been changed
+   * @private
+   */
+  updateSelection() {
+    const query = serializeUrlState(dashboardState.getState());
+    const match = loadSavedViews().find(view => view.query === query);
+
+    this.elements.select.value = match ? match.name : '';
+    this.elements.deleteButton.disabled = !match;
+  }
+
+  /**
+   * Show a saved view
+   * @private
+   * @param {string} name - View name ('' for none)
+   */
+  applyView(name) {
+    const view = loadSavedViews().find(saved => saved.name === name);
+    if (!view) return;
+
+    dashboardState.setState(parseUrlState(view.query));
+  }
+
+  /**
+   * Ask for a name and save the current view under it
+   * @private
+   */
+  saveCurrentView() {
+    const name = window.prompt('Name for this view:', this.elements.select.value);
+    if (name === null) return;
+
+    const existing = loadSavedViews().some(view => view.name === name.trim());
+    if (existing && !window.confirm(`Replace the saved view "${name.trim()}"?`)) return;
+
+    try {
+      saveView(name, dashboardState.getState());
+      this.updateOptions();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  /**
+   * Delete the selected view
+   * @private
+   */
+  deleteSelectedView() {
+    const name = this.elements.select.value;
+    if (!name || !window.confirm(`Delete the saved view "${name}"?`)) return;
+
+    deleteView(name);
+    this.updateOptions();
+  }
+
+  /**
+   * Download the saved views as a JSON file
+   * @private
+   */
+  exportViews() {
+    const blob = new Blob([exportSavedViews()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.options.exportFileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Add the views from the chosen JSON file
+   * @private
+   */
+  async importViews() {
+    const file = this.elements.importInput.files[0];
+    this.elements.importInput.value = '';
+    if (!file) return;
+
+    try {
+      const { added, replaced } = importSavedViews(await file.text());
+      this.updateOptions();
+      alert(`Imported ${added} new view${added !== 1 ? 's' : ''}${replaced ? `, replaced ${replaced}` : ''}.`);
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+    }
+  }
+}
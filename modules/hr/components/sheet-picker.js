@@ -0,0 +1,91 @@
+/**
+ * Sheet Picker Component for HR Metrics Dashboard
+ * Asks which sheets of an Excel workbook to load; choosing several merges them
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import { escapeHtml } from '../config/utils.js';
+
+export class SheetPicker {
+  constructor(options = {}) {
+    this.options = {
+      containerId: 'sheet-picker',
+      ...options
+    };
+
+    this.elements = {};
+    this.initialize();
+  }
+
+  /**
+   * Initialize the component
+   * @private
+   */
+  initialize() {
+    this.elements.container = document.getElementById(this.options.containerId);
+
+    if (!this.elements.container) {
+      throw new ValidationError('Required element not found: container');
+    }
+  }
+
+  /**
+   * Ask which sheets to load
+   * @param {Array<string>} sheetNames - Sheets in the workbook
+   * @param {string} [fileName] - Workbook name for the prompt
+   * @returns {Promise<Array<string>|null>} - Chosen sheets, or null if cancelled
+   */
+  prompt(sheetNames, fileName = 'This workbook') {
+    const container = this.elements.container;
+
+    // The last sheet is usually the latest month
+    container.innerHTML = `
+      <div class="sheet-picker">
+        <p class="font-medium mb-2">${escapeHtml(fileName)} has ${sheetNames.length} sheets. Choose the sheets to load; several sheets are merged into one dataset.</p>
+        <div class="sheet-options">
+          ${sheetNames.map((name, index) => `
+            <label>
+              <input type="checkbox" class="sheet-option" data-index="${index}" ${index === sheetNames.length - 1 ? 'checked' : ''}>
+              ${escapeHtml(name)}
+            </label>
+          `).join('')}
+        </div>
+        <p class="sheet-error hidden">Choose at least one sheet.</p>
+        <div class="sheet-buttons">
+          <button class="sheet-load bg-blue-500 text-white py-1 px-3 rounded hover:bg-blue-600 transition-colors">Load selected</button>
+          <button class="sheet-select-all py-1 px-3 rounded border hover:bg-gray-100 transition-colors">Select all</button>
+          <button class="sheet-cancel py-1 px-3 rounded border hover:bg-gray-100 transition-colors">Cancel</button>
+        </div>
+      </div>
+    `;
+    container.classList.remove('hidden');
+
+    const checkboxes = [...container.querySelectorAll('.sheet-option')];
+
+    return new Promise(resolve => {
+      const finish = (result) => {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        resolve(result);
+      };
+
+      container.querySelector('.sheet-select-all').addEventListener('click', () => {
+        checkboxes.forEach(checkbox => {
+          checkbox.checked = true;
+        });
+      });
+      container.querySelector('.sheet-cancel').addEventListener('click', () => finish(null));
+      container.querySelector('.sheet-load').addEventListener('click', () => {
+        const chosen = checkboxes
+          .filter(checkbox => checkbox.checked)
+          .map(checkbox => sheetNames[Number(checkbox.getAttribute('data-index'))]);
+
+        if (chosen.length === 0) {
+          container.querySelector('.sheet-error').classList.remove('hidden');
+          return;
+        }
+        finish(chosen);
+      });
+    });
+  }
+}
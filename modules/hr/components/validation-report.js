@@ -0,0 +1,151 @@
+/**
+ * Validation Report Component for HR Metrics Dashboard
+ * Collapsible panel listing row-level problems in the loaded data, with a choice to
+ * keep or exclude the rows that have errors
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import { SEVERITY } from '../services/data-validation.js';
+import { escapeHtml, pluralize } from '../config/utils.js';
+
+// Remembers the keep/exclude choice between visits
+const ROW_MODE_STORAGE_KEY = 'hr-metrics.invalid-rows';
+
+export class ValidationReport {
+  constructor(options = {}) {
+    this.options = {
+      containerId: 'validation-report',
+      maxIssues: 200,
+      onModeChange: null,
+      ...options
+    };
+
+    this.elements = {};
+    this.mode = this.loadMode();
+    this.initialize();
+  }
+
+  /**
+   * Initialize the component
+   * @private
+   */
+  initialize() {
+    this.elements.container = document.getElementById(this.options.containerId);
+
+    if (!this.elements.container) {
+      throw new ValidationError('Required element not found: container');
+    }
+
+    this.elements.container.addEventListener('change', (event) => {
+      if (event.target.name !== 'invalid-rows-mode') return;
+
+      this.mode = event.target.value;
+      this.saveMode();
+
+      if (this.options.onModeChange) {
+        this.options.onModeChange(this.mode);
+      }
+    });
+  }
+
+  /**
+   * Read the saved keep/exclude choice
+   * @private
+   * @returns {string} - 'keep' or 'exclude'
+   */
+  loadMode() {
+    try {
+      return localStorage.getItem(ROW_MODE_STORAGE_KEY) === 'exclude' ? 'exclude' : 'keep';
+    } catch (error) {
+      return 'keep';
+    }
+  }
+
+  /**
+   * Save the keep/exclude choice
+   * @private
+   */
+  saveMode() {
+    try {
+      localStorage.setItem(ROW_MODE_STORAGE_KEY, this.mode);
+    } catch (error) {
+      console.warn('Could not save invalid row setting', error);
+    }
+  }
+
+  /**
+   * Whether rows with errors should be left out of the charts
+   * @returns {boolean}
+   */
+  shouldExclude() {
+    return this.mode === 'exclude';
+  }
+
+  /**
+   * Render a validation report, or hide the panel when there is nothing to report
+   * @param {Object|null} report - Report from validateRows
+   * @param {string} [sourceLabel] - Where the rows came from
+   */
+  render(report, sourceLabel = 'the data') {
+    const container = this.elements.container;
+
+    if (!report || report.issues.length === 0) {
+      container.classList.add('hidden');
+      container.innerHTML = '';
+      return;
+    }
+
+    const errorCount = report.issues.filter(issue => issue.severity === SEVERITY.ERROR).length;
+    const warningCount = report.issues.length - errorCount;
+    const badRowCount = report.invalidRows.size;
+    const wasOpen = container.querySelector('details')?.open || false;
+
+    const counts = [
+      errorCount > 0 ? pluralize(errorCount, 'error') : null,
+      warningCount > 0 ? pluralize(warningCount, 'warning') : null
+    ].filter(Boolean).join(', ');
+
+    const shownIssues = report.issues.slice(0, this.options.maxIssues);
+    const hiddenCount = report.issues.length - shownIssues.length;
+
+    const rowOptions = badRowCount > 0 ? `
+      <div class="validation-options">
+        <label>
+          <input type="radio" name="invalid-rows-mode" value="keep" ${this.mode === 'keep' ? 'checked' : ''}>
+          Keep ${pluralize(badRowCount, 'row')} with errors (problem values count as zero)
+        </label>
+        <label>
+          <input type="radio" name="invalid-rows-mode" value="exclude" ${this.mode === 'exclude' ? 'checked' : ''}>
+          Exclude ${badRowCount === 1 ? 'it' : 'them'} from the dashboard
+        </label>
+      </div>
+    ` : '';
+
+    container.innerHTML = `
+      <details class="validation-report ${errorCount > 0 ? 'has-errors' : 'has-warnings'}" ${wasOpen ? 'open' : ''}>
+        <summary>
+          Data check for ${escapeHtml(sourceLabel)}: ${counts} in ${pluralize(report.rowCount, 'row')}
+          ${badRowCount > 0 && this.mode === 'exclude' ? `<span class="validation-excluded">(${pluralize(badRowCount, 'row')} excluded)</span>` : ''}
+        </summary>
+        ${rowOptions}
+        <table class="validation-table">
+          <thead>
+            <tr><th>Row</th><th>Column</th><th>Problem</th><th>Severity</th></tr>
+          </thead>
+          <tbody>
+            ${shownIssues.map(issue => `
+              <tr class="validation-${issue.severity}">
+                <td>${issue.sheet ? `${escapeHtml(issue.sheet)}!` : ''}${issue.row !== null ? issue.row : '–'}</td>
+                <td>${issue.column !== null ? escapeHtml(issue.column) : '–'}</td>
+                <td>${escapeHtml(issue.problem)}</td>
+                <td>${issue.severity}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${hiddenCount > 0 ? `<p class="validation-more">and ${pluralize(hiddenCount, 'more issue')} not shown</p>` : ''}
+      </details>
+    `;
+    container.classList.remove('hidden');
+  }
+}
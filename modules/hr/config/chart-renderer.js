@@ -4,7 +4,8 @@
  */
 
 import { CATEGORY_COLORS, EMPLOYEE_COLORS, TASK_CATEGORIES, TASK_ORDER } from '../config/metrics-config.js';
-import { getHourlyRate } from '../services/utils.js';
+import { getHourlyRate } from '../config/utils.js';
+import { TIME_GRANULARITIES } from '../services/time-buckets.js';
 
 // Color caches for consistent styling
 const TASK_COLOR_CACHE = {};
@@ -12,14 +13,9 @@ const TASK_BORDER_COLOR_CACHE = {};
 const CATEGORY_COLOR_CACHE = {};
 const CATEGORY_BORDER_COLOR_CACHE = {};
 
-// Chart instances
+// Chart instances (employee slots are added by syncEmployeeCharts)
 const charts = {
-  all: { pieChart: null, barChart: null, timeLineChart: null, comparisonChart: null },
-  victoria: { pieChart: null, barChart: null, timeLineChart: null },
-  kyle: { pieChart: null, barChart: null, timeLineChart: null },
-  brooke: { pieChart: null, barChart: null, timeLineChart: null },
-  melanie: { pieChart: null, barChart: null, timeLineChart: null },
-  austin: { pieChart: null, barChart: null, timeLineChart: null }
+  all: { pieChart: null, comparePieChart: null, barChart: null, timeLineChart: null, comparisonChart: null, utilizationChart: null }
 };
 
 // Common chart configuration
@@ -298,183 +294,251 @@ export function cleanupAllCharts(employeeName) {
   }
 }
 
+/**
+ * Make sure there is a chart slot for every employee on the roster
+ * Slots for employees no longer on the roster are cleaned up and removed.
+ * @param {Array<string>} employeeIds - Employee ids on the roster
+ */
+export function syncEmployeeCharts(employeeIds) {
+  Object.keys(charts).forEach(employeeName => {
+    if (employeeName !== 'all' && !employeeIds.includes(employeeName)) {
+      cleanupAllCharts(employeeName);
+      delete charts[employeeName];
+    }
+  });
+
+  employeeIds.forEach(employeeName => {
+    if (!charts[employeeName]) {
+      charts[employeeName] = { pieChart: null, comparePieChart: null, barChart: null, timeLineChart: null, utilizationChart: null };
+    }
+  });
+}
+
 // Add cleanup on window unload
 window.addEventListener('unload', () => {
   cleanupAllCharts();
 });
 
 /**
- * Initialize pie chart for employee or team
- * @param {string} employeeName - Employee name or 'all' for team
+ * Build pie chart data from task totals
  * @param {Object} detailedTaskData - Task data
  * @param {string} globalLevelMode - 'category' or 'task'
  * @param {string} globalDisplayMode - 'hours' or 'cost'
- * @returns {Chart} - Chart.js instance
- * @throws {Error} If chart initialization fails
+ * @returns {Object} - Chart.js data object
  */
-export function initializeTaskPieChart(employeeName, detailedTaskData, globalLevelMode, globalDisplayMode) {
-  try {
-    validateChartParams(employeeName, 'pieChart');
-    
-    // Clean up existing chart before creating new one
-    cleanupChart(employeeName, 'pieChart');
+function buildPieChartData(detailedTaskData, globalLevelMode, globalDisplayMode) {
+  let chartData = [];
+  
+  if (globalLevelMode === 'category') {
+    // Prepare data aggregated by category
+    const categoryData = {};
     
-    const cacheKey = `${employeeName}-pie-${globalLevelMode}-${globalDisplayMode}`;
+    // Initialize category data
+    Object.keys(TASK_CATEGORIES).forEach(category => {
+      categoryData[category] = {
+        name: category,
+        hours: 0,
+        cost: 0,
+        type: category
+      };
+    });
     
-    // Get or calculate chart data
-    const chartData = getCachedChartData(cacheKey, () => {
-      // Get the canvas element
-      const pieCanvas = document.getElementById(`${employeeName}-pieChart`);
-      if (!pieCanvas) {
-        throw new Error(`Canvas element not found for ${employeeName} pie chart`);
-      }
-      
-      let chartData = [];
-      
-      if (globalLevelMode === 'category') {
-        // Prepare data aggregated by category
-        const categoryData = {};
-        
-        // Initialize category data
-        Object.keys(TASK_CATEGORIES).forEach(category => {
-          categoryData[category] = {
-            name: category,
-            hours: 0,
-            cost: 0,
-            type: category
-          };
-        });
-        
-        // Aggregate task data into categories
-        Object.entries(detailedTaskData).forEach(([taskName, data]) => {
-          if (data.totalHours > 0) {
-            // Find which category this task belongs to
-            Object.entries(TASK_CATEGORIES).forEach(([category, tasks]) => {
-              if (tasks.includes(taskName)) {
-                categoryData[category].hours += data.totalHours;
-                categoryData[category].cost += data.totalCost;
-              }
-            });
+    // Aggregate task data into categories
+    Object.entries(detailedTaskData).forEach(([taskName, data]) => {
+      if (data.totalHours > 0) {
+        // Find which category this task belongs to
+        Object.entries(TASK_CATEGORIES).forEach(([category, tasks]) => {
+          if (tasks.includes(taskName)) {
+            categoryData[category].hours += data.totalHours;
+            categoryData[category].cost += data.totalCost;
           }
         });
-        
-        // Convert to array and filter out empty categories
-        chartData = Object.values(categoryData).filter(item => item.hours > 0);
-        
-        // Sort by hours (descending)
-        chartData.sort((a, b) => b.hours - a.hours);
-      } else {
-        // Use task-level data
-        Object.entries(detailedTaskData).forEach(([taskName, data]) => {
-          if (data.totalHours > 0) {
-            // Find which type this category belongs to
-            let categoryType = '';
-            Object.entries(TASK_CATEGORIES).forEach(([type, categories]) => {
-              if (categories.includes(taskName)) {
-                categoryType = type;
-              }
-            });
-            
-            chartData.push({
-              name: taskName,
-              hours: data.totalHours,
-              cost: data.totalCost,
-              type: categoryType
-            });
+      }
+    });
+    
+    // Convert to array and filter out empty categories
+    chartData = Object.values(categoryData).filter(item => item.hours > 0);
+    
+    // Sort by hours (descending)
+    chartData.sort((a, b) => b.hours - a.hours);
+  } else {
+    // Use task-level data
+    Object.entries(detailedTaskData).forEach(([taskName, data]) => {
+      if (data.totalHours > 0) {
+        // Find which type this category belongs to
+        let categoryType = '';
+        Object.entries(TASK_CATEGORIES).forEach(([type, categories]) => {
+          if (categories.includes(taskName)) {
+            categoryType = type;
           }
         });
         
-        // Sort tasks according to predefined order
-        chartData = [...chartData].sort((a, b) => {
-          const indexA = TASK_ORDER.indexOf(a.name);
-          const indexB = TASK_ORDER.indexOf(b.name);
-          
-          // If both tasks are in our order list, use that order
-          if (indexA !== -1 && indexB !== -1) {
-            return indexA - indexB;
-          }
-          
-          // If only one is in the list, prioritize the one in the list
-          if (indexA !== -1) return -1;
-          if (indexB !== -1) return 1;
-          
-          // If neither is in the list, sort by hours (descending)
-          return b.hours - a.hours;
+        chartData.push({
+          name: taskName,
+          hours: data.totalHours,
+          cost: data.totalCost,
+          type: categoryType
         });
       }
+    });
+    
+    // Sort tasks according to predefined order
+    chartData = [...chartData].sort((a, b) => {
+      const indexA = TASK_ORDER.indexOf(a.name);
+      const indexB = TASK_ORDER.indexOf(b.name);
       
-      // Calculate total values for percentages
-      const totalHours = chartData.reduce((sum, item) => sum + item.hours, 0);
-      const totalCost = chartData.reduce((sum, item) => sum + item.cost, 0);
-      
-      // Determine which value to use for the pie chart (hours or cost)
-      const displayByCost = globalDisplayMode === 'cost';
-      const dataValues = displayByCost ? 
-        chartData.map(item => item.cost) : 
-        chartData.map(item => item.hours);
-      
-      // Create labels with appropriate percentages
-      const labels = chartData.map(item => {
-        const value = displayByCost ? item.cost : item.hours;
-        const total = displayByCost ? totalCost : totalHours;
-        const percentage = ((value / total) * 100).toFixed(1);
-        return `${item.name}: ${percentage}%`;
-      });
+      // If both tasks are in our order list, use that order
+      if (indexA !== -1 && indexB !== -1) {
+        return indexA - indexB;
+      }
       
-      // Get appropriate colors based on level mode
-      const backgroundColor = globalLevelMode === 'category' ?
-        chartData.map(item => getCategoryColor(item.name)) :
-        chartData.map(item => getTaskColor(item.name));
-        
-      const borderColor = globalLevelMode === 'category' ?
-        chartData.map(item => getCategoryBorderColor(item.name)) :
-        chartData.map(item => getTaskBorderColor(item.name));
+      // If only one is in the list, prioritize the one in the list
+      if (indexA !== -1) return -1;
+      if (indexB !== -1) return 1;
       
-      return {
-        labels: labels,
-        datasets: [{
-          data: dataValues,
-          backgroundColor: backgroundColor,
-          borderColor: borderColor,
-          borderWidth: 1
-        }]
-      };
+      // If neither is in the list, sort by hours (descending)
+      return b.hours - a.hours;
     });
+  }
+  
+  // Calculate total values for percentages
+  const totalHours = chartData.reduce((sum, item) => sum + item.hours, 0);
+  const totalCost = chartData.reduce((sum, item) => sum + item.cost, 0);
+  
+  // Determine which value to use for the pie chart (hours or cost)
+  const displayByCost = globalDisplayMode === 'cost';
+  const dataValues = displayByCost ? 
+    chartData.map(item => item.cost) : 
+    chartData.map(item => item.hours);
+  
+  // Create labels with appropriate percentages
+  const labels = chartData.map(item => {
+    const value = displayByCost ? item.cost : item.hours;
+    const total = displayByCost ? totalCost : totalHours;
+    const percentage = ((value / total) * 100).toFixed(1);
+    return `${item.name}: ${percentage}%`;
+  });
+  
+  // Get appropriate colors based on level mode
+  const backgroundColor = globalLevelMode === 'category' ?
+    chartData.map(item => getCategoryColor(item.name)) :
+    chartData.map(item => getTaskColor(item.name));
     
-    // Create the pie chart with error handling
-    const pieCtx = pieCanvas.getContext('2d');
-    if (!pieCtx) {
-      throw new Error('Failed to get canvas context');
-    }
-    
-    charts[employeeName].pieChart = new Chart(pieCtx, {
-      type: 'pie',
-      data: chartData,
-      options: {
-        ...commonChartConfig,
-        plugins: {
-          ...commonChartConfig.plugins,
-          tooltip: getTooltipConfig(globalDisplayMode)
-        }
+  const borderColor = globalLevelMode === 'category' ?
+    chartData.map(item => getCategoryBorderColor(item.name)) :
+    chartData.map(item => getTaskBorderColor(item.name));
+  
+  return {
+    labels: labels,
+    datasets: [{
+      data: dataValues,
+      backgroundColor: backgroundColor,
+      borderColor: borderColor,
+      borderWidth: 1
+    }]
+  };
+}
+
+/**
+ * Render a pie chart into one of an employee's pie canvases
+ * @param {string} employeeName - Employee name or 'all' for team
+ * @param {string} chartType - Chart slot: 'pieChart' or 'comparePieChart'
+ * @param {string} canvasId - Canvas element id
+ * @param {Object} detailedTaskData - Task data
+ * @param {string} globalLevelMode - 'category' or 'task'
+ * @param {string} globalDisplayMode - 'hours' or 'cost'
+ * @returns {Chart} - Chart.js instance
+ */
+function renderPieChart(employeeName, chartType, canvasId, detailedTaskData, globalLevelMode, globalDisplayMode) {
+  validateChartParams(employeeName, chartType);
+  
+  // Clean up existing chart before creating new one
+  cleanupChart(employeeName, chartType);
+  
+  // Get the canvas element
+  const pieCanvas = document.getElementById(canvasId);
+  if (!pieCanvas) {
+    throw new Error(`Canvas element not found for ${employeeName} pie chart`);
+  }
+  
+  const cacheKey = `${employeeName}-${chartType}-${globalLevelMode}-${globalDisplayMode}`;
+  
+  // Get or calculate chart data
+  const chartData = getCachedChartData(cacheKey, () => 
+    buildPieChartData(detailedTaskData, globalLevelMode, globalDisplayMode)
+  );
+  
+  // Create the pie chart with error handling
+  const pieCtx = pieCanvas.getContext('2d');
+  if (!pieCtx) {
+    throw new Error('Failed to get canvas context');
+  }
+  
+  charts[employeeName][chartType] = new Chart(pieCtx, {
+    type: 'pie',
+    data: chartData,
+    options: {
+      ...commonChartConfig,
+      plugins: {
+        ...commonChartConfig.plugins,
+        tooltip: getTooltipConfig(globalDisplayMode)
       }
-    });
-    
-    return charts[employeeName].pieChart;
+    }
+  });
+  
+  return charts[employeeName][chartType];
+}
+
+/**
+ * Initialize pie chart for employee or team
+ * @param {string} employeeName - Employee name or 'all' for team
+ * @param {Object} detailedTaskData - Task data
+ * @param {string} globalLevelMode - 'category' or 'task'
+ * @param {string} globalDisplayMode - 'hours' or 'cost'
+ * @returns {Chart} - Chart.js instance
+ * @throws {Error} If chart initialization fails
+ */
+export function initializeTaskPieChart(employeeName, detailedTaskData, globalLevelMode, globalDisplayMode) {
+  try {
+    return renderPieChart(employeeName, 'pieChart', `${employeeName}-pieChart`, detailedTaskData, globalLevelMode, globalDisplayMode);
   } catch (error) {
     console.error(`Failed to initialize pie chart for ${employeeName}:`, error);
     throw new Error(`Pie chart initialization failed: ${error.message}`);
   }
 }
 
+/**
+ * Initialize the second pie chart shown beside the first in compare mode
+ * @param {string} employeeName - Employee name or 'all' for team
+ * @param {Object} detailedTaskData - Task data for the comparison range
+ * @param {string} globalLevelMode - 'category' or 'task'
+ * @param {string} globalDisplayMode - 'hours' or 'cost'
+ * @returns {Chart} - Chart.js instance
+ * @throws {Error} If chart initialization fails
+ */
+export function initializeComparisonPieChart(employeeName, detailedTaskData, globalLevelMode, globalDisplayMode) {
+  try {
+    return renderPieChart(employeeName, 'comparePieChart', `${employeeName}-pieChart-compare`, detailedTaskData, globalLevelMode, globalDisplayMode);
+  } catch (error) {
+    console.error(`Failed to initialize comparison pie chart for ${employeeName}:`, error);
+    throw new Error(`Comparison pie chart initialization failed: ${error.message}`);
+  }
+}
+
 /**
  * Initialize bar chart for employee or team
+ * In compare mode each category or task gets a pair of bars: the current range in its own
+ * color and the comparison range in gray. With budgets, an outlined bar shows each item's
+ * target and items over it by more than the threshold get a red border.
  * @param {string} employeeName - Employee name or 'all' for team
  * @param {Array} barData - Data for the bar chart
  * @param {string} globalLevelMode - 'category' or 'task'
  * @param {string} globalDisplayMode - 'hours' or 'cost'
+ * @param {{barData: Array, currentLabel: string, compareLabel: string}|null} [comparison] - Comparison range data
+ * @param {Array|null} [budget] - Budget-vs-actual per item, from compareWithBudget
  * @returns {Chart} - Chart.js instance
  */
-export function initializeBarChart(employeeName, barData, globalLevelMode, globalDisplayMode) {
+export function initializeBarChart(employeeName, barData, globalLevelMode, globalDisplayMode, comparison = null, budget = null) {
   try {
     validateChartParams(employeeName, 'barChart');
     
@@ -487,29 +551,65 @@ export function initializeBarChart(employeeName, barData, globalLevelMode, globa
     // Use cost or hours based on global display mode
     const displayByCost = globalDisplayMode === 'cost';
     
+    // Items only worked on in the comparison range, or only budgeted, still get their bars
+    const emptyItem = name => ({ name, hours: 0, cost: 0 });
+    const items = [...barData];
+    [...(comparison ? comparison.barData : []), ...(budget || [])].forEach(other => {
+      if (!items.some(item => item.name === other.name)) items.push(emptyItem(other.name));
+    });
+    const compareItems = comparison ?
+      items.map(item => comparison.barData.find(previous => previous.name === item.name) || emptyItem(item.name)) :
+      [];
+    
     // Get appropriate colors based on level mode
     const backgroundColor = globalLevelMode === 'category' ?
-      barData.map(item => getCategoryColor(item.name)) :
-      barData.map(item => getTaskColor(item.name));
+      items.map(item => getCategoryColor(item.name)) :
+      items.map(item => getTaskColor(item.name));
       
     const borderColor = globalLevelMode === 'category' ?
-      barData.map(item => getCategoryBorderColor(item.name)) :
-      barData.map(item => getTaskBorderColor(item.name));
+      items.map(item => getCategoryBorderColor(item.name)) :
+      items.map(item => getTaskBorderColor(item.name));
+    
+    const getValue = item => displayByCost ? item.cost : item.hours;
+    const budgetItems = items.map(item => (budget || []).find(planned => planned.name === item.name) || null);
+    const formatAmount = value => displayByCost ? `$${value.toFixed(2)}` : `${value.toFixed(1)} hours`;
+    
+    const datasets = [{
+      label: comparison ? comparison.currentLabel : (displayByCost ? 'Cost ($)' : 'Hours'),
+      data: items.map(getValue),
+      backgroundColor: backgroundColor,
+      borderColor: borderColor.map((color, index) => budgetItems[index] && budgetItems[index].over ? '#dc2626' : color),
+      borderWidth: budgetItems.map(planned => planned && planned.over ? 3 : 1)
+    }];
+    
+    if (comparison) {
+      datasets.push({
+        label: comparison.compareLabel,
+        data: compareItems.map(getValue),
+        backgroundColor: 'rgba(156, 163, 175, 0.6)',
+        borderColor: '#9ca3af',
+        borderWidth: 1
+      });
+    }
+    
+    if (budget) {
+      datasets.push({
+        label: 'Budget',
+        isBudget: true,
+        data: budgetItems.map(planned => planned ? planned.budget : null),
+        backgroundColor: 'rgba(255, 255, 255, 0)',
+        borderColor: '#374151',
+        borderWidth: 2,
+        borderDash: [4, 4]
+      });
+    }
     
     const barCtx = barCanvas.getContext('2d');
     charts[employeeName].barChart = new Chart(barCtx, {
       type: 'bar',
       data: {
-        labels: barData.map(item => item.name),
-        datasets: [{
-          label: displayByCost ? 'Cost ($)' : 'Hours',
-          data: displayByCost ? 
-            barData.map(item => item.cost) : 
-            barData.map(item => item.hours),
-          backgroundColor: backgroundColor,
-          borderColor: borderColor,
-          borderWidth: 1
-        }]
+        labels: items.map(item => item.name),
+        datasets: datasets
       },
       options: {
         indexAxis: 'y',
@@ -520,17 +620,27 @@ export function initializeBarChart(employeeName, barData, globalLevelMode, globa
             callbacks: {
               label: function(context) {
                 const index = context.dataIndex;
-                const item = barData[index];
-                if (displayByCost) {
-                  return [`Cost: $${item.cost.toFixed(2)}`, `Hours: ${item.hours.toFixed(1)}`];
-                } else {
-                  return [`Hours: ${item.hours.toFixed(1)}`, `Cost: $${item.cost.toFixed(2)}`];
+                const planned = budgetItems[index];
+                
+                if (context.dataset.isBudget) {
+                  const percent = planned.percent === null ? '' : ` (${planned.percent >= 0 ? '+' : ''}${planned.percent.toFixed(0)}%)`;
+                  return [
+                    `Budget: ${formatAmount(planned.budget)}`,
+                    `${planned.variance >= 0 ? 'Over' : 'Under'} by ${formatAmount(Math.abs(planned.variance))}${percent}`
+                  ];
                 }
+                
+                const item = context.datasetIndex === 0 ? items[index] : compareItems[index];
+                const lines = displayByCost ?
+                  [`Cost: $${item.cost.toFixed(2)}`, `Hours: ${item.hours.toFixed(1)}`] :
+                  [`Hours: ${item.hours.toFixed(1)}`, `Cost: $${item.cost.toFixed(2)}`];
+                return comparison || budget ? [context.dataset.label, ...lines] : lines;
               }
             }
           },
           legend: {
-            display: false
+            display: !!comparison || !!budget,
+            position: 'bottom'
           }
         },
         scales: {
@@ -562,7 +672,7 @@ export function initializeBarChart(employeeName, barData, globalLevelMode, globa
 /**
  * Initialize time trend line chart
  * @param {string} employeeName - Employee name or 'all' for team
- * @param {Array} datasets - Chart datasets
+ * @param {Array} datasets - Chart datasets; one with gapNotes (text per point) marks missing timesheets
  * @param {Array} labels - Week labels
  * @param {string} globalDisplayMode - 'hours' or 'cost'
  * @returns {Chart} - Chart.js instance
@@ -594,6 +704,10 @@ export function initializeTimeLineChart(employeeName, datasets, labels, globalDi
                 const label = context.dataset.label || '';
                 const value = context.raw || 0;
                 
+                if (context.dataset.gapNotes) {
+                  return context.dataset.gapNotes[context.dataIndex];
+                }
+                
                 if (globalDisplayMode === 'cost') {
                   return [`${label}: $${value.toFixed(2)}`];
                 } else {
@@ -622,6 +736,114 @@ export function initializeTimeLineChart(employeeName, datasets, labels, globalDi
   }
 }
 
+/**
+ * Initialize the utilization chart: contracted against logged hours per week, with the
+ * utilization percentage on a second axis. Logged bars are red for weeks over capacity and
+ * amber for weeks under it.
+ * @param {string} employeeName - Employee name or 'all' for team
+ * @param {Array<{week: string, contracted: number, logged: number, utilization: number|null, status: string|null}>} weeks
+ *   - Weekly figures from summarizeCapacity
+ * @returns {Chart} - Chart.js instance
+ */
+export function initializeUtilizationChart(employeeName, weeks) {
+  try {
+    validateChartParams(employeeName, 'utilizationChart');
+    
+    // Clean up existing chart before creating new one
+    cleanupChart(employeeName, 'utilizationChart');
+    
+    const utilizationCanvas = document.getElementById(`${employeeName}-utilizationChart`);
+    if (!utilizationCanvas) return null;
+    
+    const statusColors = {
+      over: 'rgba(220, 38, 38, 0.7)',
+      under: 'rgba(245, 158, 11, 0.7)',
+      ok: 'rgba(5, 150, 105, 0.7)'
+    };
+    
+    const utilizationCtx = utilizationCanvas.getContext('2d');
+    charts[employeeName].utilizationChart = new Chart(utilizationCtx, {
+      type: 'bar',
+      data: {
+        labels: weeks.map(figures => figures.week),
+        datasets: [
+          {
+            type: 'line',
+            label: 'Utilization (%)',
+            data: weeks.map(figures => figures.utilization),
+            yAxisID: 'percent',
+            borderColor: '#374151',
+            backgroundColor: '#374151',
+            pointBackgroundColor: weeks.map(figures => statusColors[figures.status] || '#374151'),
+            pointRadius: 4,
+            spanGaps: true,
+            tension: 0.1
+          },
+          {
+            label: 'Contracted hours',
+            data: weeks.map(figures => figures.contracted),
+            backgroundColor: 'rgba(156, 163, 175, 0.4)',
+            borderColor: '#9ca3af',
+            borderWidth: 1
+          },
+          {
+            label: 'Logged hours',
+            data: weeks.map(figures => figures.logged),
+            backgroundColor: weeks.map(figures => statusColors[figures.status] || 'rgba(156, 163, 175, 0.7)'),
+            borderWidth: 0
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: function(context) {
+                const value = context.raw;
+                if (value === null || value === undefined) return `${context.dataset.label}: no contract`;
+                
+                return context.dataset.yAxisID === 'percent' ?
+                  `Utilization: ${value.toFixed(0)}%` :
+                  `${context.dataset.label}: ${value.toFixed(1)}`;
+              }
+            }
+          },
+          legend: {
+            position: 'bottom'
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Hours'
+            }
+          },
+          percent: {
+            position: 'right',
+            beginAtZero: true,
+            grid: {
+              drawOnChartArea: false
+            },
+            title: {
+              display: true,
+              text: 'Utilization (%)'
+            }
+          }
+        }
+      }
+    });
+    
+    return charts[employeeName].utilizationChart;
+  } catch (error) {
+    console.error(`Failed to initialize utilization chart for ${employeeName}:`, error);
+    throw new Error(`Utilization chart initialization failed: ${error.message}`);
+  }
+}
+
 /**
  * Initialize employee comparison chart for team view
  * @param {Object} comparisonData - Comparison data object
@@ -689,186 +911,28 @@ export function initializeComparisonChart(comparisonData, globalDisplayMode) {
  * Update chart titles based on display mode
  * @param {string} globalLevelMode - 'category' or 'task'
  * @param {string} globalDisplayMode - 'hours' or 'cost'
+ * @param {Array<string>} [employeeIds] - Employee ids on the roster
+ * @param {string} [timeGranularity] - Timeline bucket size: 'day', 'week', 'month' or 'quarter'
  */
-export function updateChartTitles(globalLevelMode, globalDisplayMode) {
+export function updateChartTitles(globalLevelMode, globalDisplayMode, employeeIds = [], timeGranularity = 'week') {
   const displayType = globalDisplayMode === 'hours' ? 'Hours' : 'Cost';
   const levelType = globalLevelMode === 'category' ? 'Category' : 'Task';
+  const periodType = TIME_GRANULARITIES[timeGranularity];
   
-  // Update all chart titles
+  // Update team chart titles
   document.getElementById('all-pie-chart-title').textContent = `Team ${levelType} Distribution (${displayType})`;
   document.getElementById('all-bar-chart-title').textContent = `Team ${levelType} Breakdown (${displayType})`;
   document.getElementById('team-comparison-chart-title').textContent = `Employee Time Allocation Comparison (${displayType})`;
-  document.getElementById('all-time-line-chart-title').textContent = `Team Weekly Trends (${displayType})`;
-  
-  document.getElementById('victoria-pie-chart-title').textContent = `Time Distribution by ${levelType} (${displayType})`;
-  document.getElementById('victoria-bar-chart-title').textContent = `${levelType} Breakdown (${displayType})`;
-  document.getElementById('victoria-time-line-chart-title').textContent = `Weekly Time Trends (${displayType})`;
-  
-  document.getElementById('kyle-pie-chart-title').textContent = `Time Distribution by ${levelType} (${displayType})`;
-  document.getElementById('kyle-bar-chart-title').textContent = `${levelType} Breakdown (${displayType})`;
-  document.getElementById('kyle-time-line-chart-title').textContent = `Weekly Time Trends (${displayType})`;
+  document.getElementById('all-time-line-chart-title').textContent = `Team ${periodType} Trends (${displayType})`;
   
-  document.getElementById('brooke-pie-chart-title').textContent = `Time Distribution by ${levelType} (${displayType})`;
-  document.getElementById('brooke-bar-chart-title').textContent = `${levelType} Breakdown (${displayType})`;
-  document.getElementById('brooke-time-line-chart-title').textContent = `Weekly Time Trends (${displayType})`;
-  
-  document.getElementById('melanie-pie-chart-title').textContent = `Time Distribution by ${levelType} (${displayType})`;
-  document.getElementById('melanie-bar-chart-title').textContent = `${levelType} Breakdown (${displayType})`;
-  document.getElementById('melanie-time-line-chart-title').textContent = `Weekly Time Trends (${displayType})`;
-  
-  document.getElementById('austin-pie-chart-title').textContent = `Time Distribution by ${levelType} (${displayType})`;
-  document.getElementById('austin-bar-chart-title').textContent = `${levelType} Breakdown (${displayType})`;
-  document.getElementById('austin-time-line-chart-title').textContent = `Weekly Time Trends (${displayType})`;
-}
-
-// Add a proper caching layer
-class DataCache {
-  constructor(ttl = 5 * 60 * 1000) { // 5 minutes TTL
-    this.cache = new Map();
-    this.ttl = ttl;
-  }
-
-  set(key, value) {
-    this.cache.set(key, {
-      value,
-      timestamp: Date.now()
-    });
-  }
-
-  get(key) {
-    const item = this.cache.get(key);
-    if (!item) return null;
-    
-    if (Date.now() - item.timestamp > this.ttl) {
-      this.cache.delete(key);
-      return null;
-    }
+  // Update chart titles for each employee on the roster
+  employeeIds.forEach(employeeName => {
+    const pieTitle = document.getElementById(`${employeeName}-pie-chart-title`);
+    const barTitle = document.getElementById(`${employeeName}-bar-chart-title`);
+    const timeLineTitle = document.getElementById(`${employeeName}-time-line-chart-title`);
     
-    return item.value;
-  }
-}
-
-class DashboardError extends Error {
-  constructor(message, type, details = {}) {
-    super(message);
-    this.name = 'DashboardError';
-    this.type = type;
-    this.details = details;
-  }
-}
-
-// Usage in data fetching
-async function fetchEmployeeData(silent = false) {
-  try {
-    // ... existing code ...
-  } catch (error) {
-    if (error instanceof DashboardError) {
-      handleDashboardError(error);
-    } else {
-      throw new DashboardError(
-        'Failed to fetch employee data',
-        'FETCH_ERROR',
-        { originalError: error }
-      );
-    }
-  }
-}
-
-class DashboardState {
-  constructor() {
-    this.state = {
-      displayMode: 'hours',
-      levelMode: 'category',
-      activeEmployee: 'all',
-      dateRange: { start: 'all', end: 'all' },
-      data: null,
-      loading: false,
-      error: null
-    };
-    this.listeners = new Set();
-  }
-
-  subscribe(listener) {
-    this.listeners.add(listener);
-    return () => this.listeners.delete(listener);
-  }
-
-  setState(newState) {
-    this.state = { ...this.state, ...newState };
-    this.notifyListeners();
-  }
-
-  notifyListeners() {
-    this.listeners.forEach(listener => listener(this.state));
-  }
-}
-
-// Example test structure
-describe('DataProcessor', () => {
-  describe('calculateDetailedTaskData', () => {
-    it('should correctly aggregate task data', () => {
-      const testData = [...];
-      const result = calculateDetailedTaskData(testData);
-      expect(result).toMatchSnapshot();
-    });
+    if (pieTitle) pieTitle.textContent = `Time Distribution by ${levelType} (${displayType})`;
+    if (barTitle) barTitle.textContent = `${levelType} Breakdown (${displayType})`;
+    if (timeLineTitle) timeLineTitle.textContent = `${periodType} Time Trends (${displayType})`;
   });
-});
-
-/* Add more breakpoints and mobile-specific styles */
-@media (max-width: 480px) {
-  .stats-container {
-    grid-template-columns: 1fr;
-  }
-  
-  .chart-container {
-    margin: 10px 0;
-  }
-  
-  .global-toggle-container {
-    flex-direction: column;
-  }
-}
-
-function renderLoadingState(container) {
-  container.innerHTML = `
-    <div class="loading-skeleton">
-      <div class="skeleton-header"></div>
-      <div class="skeleton-chart"></div>
-    </div>
-  `;
-}
-
-function renderErrorState(container, error) {
-  container.innerHTML = `
-    <div class="error-state">
-      <h3>Error Loading Data</h3>
-      <p>${error.message}</p>
-      <button onclick="retryLoading()">Retry</button>
-    </div>
-  `;
 }
-
-interface EmployeeData {
-  User: string;
-  WeekRange: string;
-  [key: string]: number | string;
-}
-
-interface ChartConfig {
-  type: 'pie' | 'bar' | 'line';
-  data: ChartData;
-  options: ChartOptions;
-}
-
-/**
- * Initializes the employee dashboard with the specified configuration
- * @param {Object} config - Dashboard configuration
- * @param {string} config.employeeName - Name of the employee
- * @param {string} config.displayMode - Display mode ('hours' or 'cost')
- * @param {string} config.levelMode - Level mode ('category' or 'task')
- * @returns {Promise<void>}
- * @throws {DashboardError} If initialization fails
- */
-async function initializeEmployeeDashboard(config) {
-  // Implementation
-}
\ No newline at end of file
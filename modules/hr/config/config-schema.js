@@ -0,0 +1,516 @@
+/**
+ * Configuration Schema for HR Metrics Dashboard
+ * Checks a merged configuration object and lists every problem found
+ */
+
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATA_SOURCE_IDS = ['google-sheets', 'remote-json', 'fixture'];
+const BUDGET_PERIODS = ['week', 'month'];
+
+/**
+ * Top-level keys and the checks for each
+ */
+const CONFIG_SCHEMA = {
+  spreadsheet: validateSpreadsheet,
+  dataSources: validateDataSources,
+  employeeRates: validateEmployeeRates,
+  taskCategories: validateTaskCategories,
+  taskOrder: validateTaskOrder,
+  categoryColors: validateCategoryColors,
+  employeeColors: validateEmployeeColors,
+  roster: validateRoster,
+  budgets: validateBudgets,
+  capacity: validateCapacity,
+  timesheets: validateTimesheets,
+  anomalies: validateAnomalies
+};
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - Date string
+ * @returns {boolean} - True if valid
+ */
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) return false;
+
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Validate the spreadsheet settings
+ * @private
+ */
+function validateSpreadsheet(spreadsheet, issues) {
+  if (!isPlainObject(spreadsheet)) {
+    issues.push({ path: 'spreadsheet', message: 'must be an object' });
+    return;
+  }
+
+  if (typeof spreadsheet.spreadsheetId !== 'string' || spreadsheet.spreadsheetId.trim() === '') {
+    issues.push({ path: 'spreadsheet.spreadsheetId', message: 'must be a non-empty string' });
+  }
+  if (typeof spreadsheet.sheetName !== 'string' || spreadsheet.sheetName.trim() === '') {
+    issues.push({ path: 'spreadsheet.sheetName', message: 'must be a non-empty string' });
+  }
+  if (typeof spreadsheet.refreshInterval !== 'number' || !(spreadsheet.refreshInterval > 0)) {
+    issues.push({ path: 'spreadsheet.refreshInterval', message: 'must be a positive number of milliseconds' });
+  }
+  if (typeof spreadsheet.proxyUrl !== 'string' || spreadsheet.proxyUrl.trim() === '') {
+    issues.push({ path: 'spreadsheet.proxyUrl', message: 'must be a non-empty URL' });
+  }
+}
+
+/**
+ * Validate the data source selection and fallback order
+ * @private
+ */
+function validateDataSources(dataSources, issues) {
+  if (!isPlainObject(dataSources)) {
+    issues.push({ path: 'dataSources', message: 'must be an object' });
+    return;
+  }
+
+  if (!DATA_SOURCE_IDS.includes(dataSources.active)) {
+    issues.push({ path: 'dataSources.active', message: `must be one of ${DATA_SOURCE_IDS.join(', ')}` });
+  }
+
+  if (!Array.isArray(dataSources.fallbacks)) {
+    issues.push({ path: 'dataSources.fallbacks', message: 'must be a list of source ids' });
+    return;
+  }
+
+  const seen = new Set([dataSources.active]);
+  dataSources.fallbacks.forEach((id, index) => {
+    if (!DATA_SOURCE_IDS.includes(id)) {
+      issues.push({ path: `dataSources.fallbacks[${index}]`, message: `"${id}" is not one of ${DATA_SOURCE_IDS.join(', ')}` });
+    } else if (seen.has(id)) {
+      issues.push({ path: `dataSources.fallbacks[${index}]`, message: `"${id}" is already tried earlier` });
+    }
+    seen.add(id);
+  });
+
+  const used = [dataSources.active, ...dataSources.fallbacks];
+  if (used.includes('remote-json') &&
+      !(isPlainObject(dataSources.remoteJson) && typeof dataSources.remoteJson.url === 'string' && dataSources.remoteJson.url.trim() !== '')) {
+    issues.push({ path: 'dataSources.remoteJson.url', message: 'is required when remote-json is used' });
+  }
+  if (used.includes('fixture') &&
+      !(isPlainObject(dataSources.fixture) && typeof dataSources.fixture.url === 'string' && dataSources.fixture.url.trim() !== '')) {
+    issues.push({ path: 'dataSources.fixture.url', message: 'is required when fixture is used' });
+  }
+}
+
+/**
+ * Validate the hourly rate history
+ * @private
+ */
+function validateEmployeeRates(employeeRates, issues) {
+  if (!isPlainObject(employeeRates)) {
+    issues.push({ path: 'employeeRates', message: 'must be an object keyed by employee id' });
+    return;
+  }
+
+  Object.entries(employeeRates).forEach(([employee, history]) => {
+    const path = `employeeRates.${employee}`;
+
+    if (!Array.isArray(history) || history.length === 0) {
+      issues.push({ path, message: 'must be a non-empty list of { from, rate } entries' });
+      return;
+    }
+
+    const seenDates = new Set();
+    history.forEach((entry, index) => {
+      const entryPath = `${path}[${index}]`;
+
+      if (!isPlainObject(entry)) {
+        issues.push({ path: entryPath, message: 'must be an object with from and rate' });
+        return;
+      }
+      if (!isIsoDate(entry.from)) {
+        issues.push({ path: `${entryPath}.from`, message: `"${entry.from}" is not a valid YYYY-MM-DD date` });
+      } else if (seenDates.has(entry.from)) {
+        issues.push({ path: `${entryPath}.from`, message: `another rate already starts on ${entry.from}` });
+      } else {
+        seenDates.add(entry.from);
+      }
+      if (typeof entry.rate !== 'number' || !Number.isFinite(entry.rate)) {
+        issues.push({ path: `${entryPath}.rate`, message: 'must be a number' });
+      } else if (entry.rate < 0) {
+        issues.push({ path: `${entryPath}.rate`, message: `rate ${entry.rate} is negative` });
+      }
+    });
+  });
+}
+
+/**
+ * Validate task categories, including tasks listed under more than one category
+ * @private
+ */
+function validateTaskCategories(taskCategories, issues) {
+  if (!isPlainObject(taskCategories)) {
+    issues.push({ path: 'taskCategories', message: 'must be an object of category name to task list' });
+    return;
+  }
+
+  const taskOwners = {};
+
+  Object.entries(taskCategories).forEach(([category, tasks]) => {
+    const path = `taskCategories.${category}`;
+
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+      issues.push({ path, message: 'must be a non-empty list of task names' });
+      return;
+    }
+
+    tasks.forEach((task, index) => {
+      if (typeof task !== 'string' || task.trim() === '') {
+        issues.push({ path: `${path}[${index}]`, message: 'must be a non-empty string' });
+        return;
+      }
+      if (['Date', 'User', 'Week Range'].includes(task)) {
+        issues.push({ path: `${path}[${index}]`, message: `"${task}" is a reserved column name` });
+      }
+
+      taskOwners[task] = taskOwners[task] || [];
+      taskOwners[task].push(category);
+    });
+  });
+
+  Object.entries(taskOwners).forEach(([task, categories]) => {
+    if (categories.length > 1) {
+      issues.push({
+        path: 'taskCategories',
+        message: `task "${task}" appears in more than one category (${categories.join(', ')})`
+      });
+    }
+  });
+}
+
+/**
+ * Validate the task display order against the categories
+ * @private
+ */
+function validateTaskOrder(taskOrder, issues, config) {
+  if (!Array.isArray(taskOrder)) {
+    issues.push({ path: 'taskOrder', message: 'must be a list of task names' });
+    return;
+  }
+
+  const knownTasks = isPlainObject(config.taskCategories) ?
+    Object.values(config.taskCategories).filter(Array.isArray).flat() :
+    [];
+
+  const seen = new Set();
+  taskOrder.forEach((task, index) => {
+    if (seen.has(task)) {
+      issues.push({ path: `taskOrder[${index}]`, message: `"${task}" is listed more than once` });
+    }
+    seen.add(task);
+
+    if (!knownTasks.includes(task)) {
+      issues.push({ path: `taskOrder[${index}]`, message: `"${task}" is not in any task category` });
+    }
+  });
+}
+
+/**
+ * Validate category colors; every category needs one
+ * @private
+ */
+function validateCategoryColors(categoryColors, issues, config) {
+  if (!isPlainObject(categoryColors)) {
+    issues.push({ path: 'categoryColors', message: 'must be an object of category name to color' });
+    return;
+  }
+
+  Object.entries(categoryColors).forEach(([category, color]) => {
+    if (typeof color !== 'string' || !HEX_COLOR_PATTERN.test(color)) {
+      issues.push({ path: `categoryColors.${category}`, message: `"${color}" is not a #RRGGBB color` });
+    }
+  });
+
+  if (isPlainObject(config.taskCategories)) {
+    Object.keys(config.taskCategories).forEach(category => {
+      if (!(category in categoryColors)) {
+        issues.push({ path: `categoryColors.${category}`, message: 'missing color for category' });
+      }
+    });
+  }
+}
+
+/**
+ * Validate employee colors
+ * @private
+ */
+function validateEmployeeColors(employeeColors, issues) {
+  if (!isPlainObject(employeeColors)) {
+    issues.push({ path: 'employeeColors', message: 'must be an object of employee id to color' });
+    return;
+  }
+
+  Object.entries(employeeColors).forEach(([employee, color]) => {
+    if (typeof color !== 'string' || !HEX_COLOR_PATTERN.test(color)) {
+      issues.push({ path: `employeeColors.${employee}`, message: `"${color}" is not a #RRGGBB color` });
+    }
+  });
+}
+
+/**
+ * Validate the roster overrides
+ * @private
+ */
+function validateRoster(roster, issues) {
+  if (!isPlainObject(roster)) {
+    issues.push({ path: 'roster', message: 'must be an object' });
+    return;
+  }
+
+  if (roster.order !== undefined &&
+      (!Array.isArray(roster.order) || roster.order.some(id => typeof id !== 'string'))) {
+    issues.push({ path: 'roster.order', message: 'must be a list of employee ids' });
+  }
+
+  if (roster.groups !== undefined) {
+    if (!isPlainObject(roster.groups)) {
+      issues.push({ path: 'roster.groups', message: 'must be an object keyed by group name' });
+    } else {
+      Object.entries(roster.groups).forEach(([group, members]) => {
+        if (!Array.isArray(members) || members.some(id => typeof id !== 'string')) {
+          issues.push({ path: `roster.groups.${group}`, message: 'must be a list of employee ids' });
+        }
+      });
+    }
+  }
+
+  if (roster.employees === undefined) return;
+  if (!isPlainObject(roster.employees)) {
+    issues.push({ path: 'roster.employees', message: 'must be an object keyed by employee id' });
+    return;
+  }
+
+  Object.entries(roster.employees).forEach(([employee, settings]) => {
+    const path = `roster.employees.${employee}`;
+
+    if (!isPlainObject(settings)) {
+      issues.push({ path, message: 'must be an object' });
+      return;
+    }
+    if (settings.displayName !== undefined && typeof settings.displayName !== 'string') {
+      issues.push({ path: `${path}.displayName`, message: 'must be a string' });
+    }
+    if (settings.hidden !== undefined && typeof settings.hidden !== 'boolean') {
+      issues.push({ path: `${path}.hidden`, message: 'must be true or false' });
+    }
+  });
+}
+
+/**
+ * Validate the budget targets against the categories
+ * @private
+ */
+function validateBudgets(budgets, issues, config) {
+  if (!isPlainObject(budgets)) {
+    issues.push({ path: 'budgets', message: 'must be an object' });
+    return;
+  }
+
+  if (budgets.overThreshold !== undefined &&
+      (typeof budgets.overThreshold !== 'number' || !(budgets.overThreshold >= 0))) {
+    issues.push({ path: 'budgets.overThreshold', message: 'must be a percentage of 0 or more' });
+  }
+
+  if (!Array.isArray(budgets.targets)) {
+    issues.push({ path: 'budgets.targets', message: 'must be a list of targets' });
+    return;
+  }
+
+  const categories = isPlainObject(config.taskCategories) ? config.taskCategories : {};
+  const knownTasks = Object.values(categories).filter(Array.isArray).flat();
+
+  budgets.targets.forEach((target, index) => {
+    const path = `budgets.targets[${index}]`;
+
+    if (!isPlainObject(target)) {
+      issues.push({ path, message: 'must be an object' });
+      return;
+    }
+
+    if ((target.category === undefined) === (target.task === undefined)) {
+      issues.push({ path, message: 'must name exactly one of category or task' });
+    } else if (target.category !== undefined && !(target.category in categories)) {
+      issues.push({ path: `${path}.category`, message: `"${target.category}" is not a task category` });
+    } else if (target.task !== undefined && !knownTasks.includes(target.task)) {
+      issues.push({ path: `${path}.task`, message: `"${target.task}" is not in any task category` });
+    }
+
+    if (target.employee !== undefined && (typeof target.employee !== 'string' || target.employee.trim() === '')) {
+      issues.push({ path: `${path}.employee`, message: 'must be an employee id' });
+    }
+
+    if (target.hours === undefined && target.cost === undefined) {
+      issues.push({ path, message: 'must set hours or cost' });
+    }
+    ['hours', 'cost'].forEach(unit => {
+      if (target[unit] !== undefined && (typeof target[unit] !== 'number' || !(target[unit] >= 0))) {
+        issues.push({ path: `${path}.${unit}`, message: 'must be a number of 0 or more' });
+      }
+    });
+
+    if (target.period !== undefined && !BUDGET_PERIODS.includes(target.period)) {
+      issues.push({ path: `${path}.period`, message: `must be one of ${BUDGET_PERIODS.join(', ')}` });
+    }
+  });
+}
+
+/**
+ * Validate the contracted hours and utilization thresholds
+ * @private
+ */
+function validateCapacity(capacity, issues) {
+  if (!isPlainObject(capacity)) {
+    issues.push({ path: 'capacity', message: 'must be an object' });
+    return;
+  }
+
+  ['underThreshold', 'overThreshold'].forEach(key => {
+    if (capacity[key] !== undefined && (typeof capacity[key] !== 'number' || !(capacity[key] >= 0))) {
+      issues.push({ path: `capacity.${key}`, message: 'must be a percentage of 0 or more' });
+    }
+  });
+  if (typeof capacity.underThreshold === 'number' && typeof capacity.overThreshold === 'number' &&
+      capacity.underThreshold > capacity.overThreshold) {
+    issues.push({ path: 'capacity.underThreshold', message: 'must not be above overThreshold' });
+  }
+
+  if (!isPlainObject(capacity.contracts)) {
+    issues.push({ path: 'capacity.contracts', message: 'must be an object keyed by employee id' });
+    return;
+  }
+
+  Object.entries(capacity.contracts).forEach(([employee, contracts]) => {
+    const path = `capacity.contracts.${employee}`;
+
+    if (!Array.isArray(contracts) || contracts.length === 0) {
+      issues.push({ path, message: 'must be a non-empty list of { from, to, hours } entries' });
+      return;
+    }
+
+    const periods = [];
+    contracts.forEach((contract, index) => {
+      const entryPath = `${path}[${index}]`;
+
+      if (!isPlainObject(contract)) {
+        issues.push({ path: entryPath, message: 'must be an object with from and hours' });
+        return;
+      }
+      if (typeof contract.hours !== 'number' || !(contract.hours > 0)) {
+        issues.push({ path: `${entryPath}.hours`, message: 'must be a positive number of hours per week' });
+      }
+      if (!isIsoDate(contract.from)) {
+        issues.push({ path: `${entryPath}.from`, message: `"${contract.from}" is not a valid YYYY-MM-DD date` });
+        return;
+      }
+      if (contract.to !== undefined) {
+        if (!isIsoDate(contract.to)) {
+          issues.push({ path: `${entryPath}.to`, message: `"${contract.to}" is not a valid YYYY-MM-DD date` });
+          return;
+        }
+        if (contract.to < contract.from) {
+          issues.push({ path: `${entryPath}.to`, message: `ends before it starts (${contract.from})` });
+          return;
+        }
+      }
+
+      // ISO dates compare correctly as strings; an open end runs forever
+      const end = contract.to || '9999-12-31';
+      const overlap = periods.find(other => contract.from <= other.end && other.from <= end);
+      if (overlap) {
+        issues.push({ path: entryPath, message: `overlaps the contract starting ${overlap.from}` });
+      }
+      periods.push({ from: contract.from, end });
+    });
+  });
+}
+
+/**
+ * Validate the missing-timesheet settings
+ * @private
+ */
+function validateTimesheets(timesheets, issues) {
+  if (!isPlainObject(timesheets)) {
+    issues.push({ path: 'timesheets', message: 'must be an object' });
+    return;
+  }
+
+  if (timesheets.lowThreshold !== undefined &&
+      (typeof timesheets.lowThreshold !== 'number' || !(timesheets.lowThreshold >= 0))) {
+    issues.push({ path: 'timesheets.lowThreshold', message: 'must be a percentage of 0 or more' });
+  }
+  if (timesheets.reminder !== undefined && (typeof timesheets.reminder !== 'string' || timesheets.reminder.trim() === '')) {
+    issues.push({ path: 'timesheets.reminder', message: 'must be a non-empty message' });
+  }
+}
+
+/**
+ * Validate the anomaly detection settings
+ * @private
+ */
+function validateAnomalies(anomalies, issues) {
+  if (!isPlainObject(anomalies)) {
+    issues.push({ path: 'anomalies', message: 'must be an object' });
+    return;
+  }
+
+  if (anomalies.threshold !== undefined && (typeof anomalies.threshold !== 'number' || !(anomalies.threshold > 0))) {
+    issues.push({ path: 'anomalies.threshold', message: 'must be a positive number' });
+  }
+  if (anomalies.minChange !== undefined && (typeof anomalies.minChange !== 'number' || !(anomalies.minChange >= 0))) {
+    issues.push({ path: 'anomalies.minChange', message: 'must be a number of hours, 0 or more' });
+  }
+  ['window', 'minHistory'].forEach(key => {
+    if (anomalies[key] !== undefined && (!Number.isInteger(anomalies[key]) || anomalies[key] < 2)) {
+      issues.push({ path: `anomalies.${key}`, message: 'must be a whole number of weeks, 2 or more' });
+    }
+  });
+  if (Number.isInteger(anomalies.window) && Number.isInteger(anomalies.minHistory) &&
+      anomalies.minHistory > anomalies.window) {
+    issues.push({ path: 'anomalies.minHistory', message: 'must not be more than window' });
+  }
+}
+
+/**
+ * Validate a full dashboard configuration
+ * @param {Object} config - Configuration using the JSON key names
+ * @returns {Array<{path: string, message: string}>} - Every problem found (empty if valid)
+ */
+export function validateMetricsConfig(config) {
+  const issues = [];
+
+  Object.keys(config).forEach(key => {
+    if (!(key in CONFIG_SCHEMA)) {
+      issues.push({ path: key, message: 'is not a known configuration key' });
+    }
+  });
+
+  Object.entries(CONFIG_SCHEMA).forEach(([key, validate]) => {
+    if (config[key] === undefined) {
+      issues.push({ path: key, message: 'is required' });
+      return;
+    }
+    validate(config[key], issues, config);
+  });
+
+  return issues;
+}
@@ -3,155 +3,110 @@
  * Handles data fetching, parsing, and calculations
  */
 
-import { getSpreadsheetUrl } from '../config/metrics-config.js';
-import { getHourlyRate, getTaskCategories } from '../services/utils.js';
 import { TASK_CATEGORIES } from '../config/metrics-config.js';
+import { getHourlyRateForWeek, getTaskCategories, escapeHtml } from '../config/utils.js';
+import { getConfiguredSources, loadFromSources, updateDataSourceIndicator } from '../services/data-sources.js';
+import { validateRows } from '../services/data-validation.js';
+import { resolveColumns } from '../services/column-mapping.js';
+import { saveLastDataset } from '../services/dataset-store.js';
+import { getEmployeeId } from '../services/roster.js';
+
+// The indicator lives with the data sources; re-exported for existing imports
+export { updateDataSourceIndicator };
+
+// Source of the most recent successful load
+let activeDataSource = null;
+
+// Validation report for the rows of the most recent successful load
+let validationReport = null;
 
 /**
- * Fetch employee data from Google Sheets or uploaded CSV
+ * Fetch employee data from the configured data sources
+ * Sources are tried in order (see DATA_SOURCE_CONFIG) until one succeeds.
  * @param {boolean} silent - If true, don't show loading indicators
+ * @param {Array<DataSource>} [sources] - Sources to try instead of the configured ones
  * @returns {Promise<Array>} - Array of employee time entries
  */
-export async function fetchEmployeeData(silent = false) {
+export async function fetchEmployeeData(silent = false, sources = getConfiguredSources()) {
+  const loadingMessage = document.getElementById('loading-message');
+  const refreshIcon = document.getElementById('refresh-icon');
+  
   try {
     // Show loading indicator unless silent refresh
-    const loadingMessage = document.getElementById('loading-message');
     if (!silent) {
       loadingMessage.style.display = 'block';
-      loadingMessage.textContent = 'Loading data from Google Sheets...';
+      loadingMessage.textContent = `Loading data from ${sources.map(source => source.label).join(' or ')}...`;
     }
     
     // Start refresh icon animation
-    const refreshIcon = document.getElementById('refresh-icon');
     refreshIcon.classList.add('spin-animation');
     
-    let csvText = null;
-    let fetchMethod = '';
-    
-    try {
-      // Method 1: Direct fetch - may fail due to CORS
-      const response = await fetch(getSpreadsheetUrl());
-      if (response.ok) {
-        csvText = await response.text();
-        fetchMethod = 'direct';
-        console.log('Successfully fetched data with direct method');
-      }
-    } catch (directFetchError) {
-      console.log('Direct fetch failed, trying alternate methods...', directFetchError);
-    }
-    
-    // If direct fetch failed, try with a CORS proxy
-    if (!csvText) {
-      try {
-        const proxyUrl = 'https://cors-anywhere.herokuapp.com/' + getSpreadsheetUrl();
-        const proxyResponse = await fetch(proxyUrl, {
-          headers: {
-            'Origin': window.location.origin,
-            'X-Requested-With': 'XMLHttpRequest'
-          }
-        });
-        
-        if (proxyResponse.ok) {
-          csvText = await proxyResponse.text();
-          fetchMethod = 'proxy';
-          console.log('Successfully fetched data with CORS proxy');
-        }
-      } catch (proxyError) {
-        console.log('CORS proxy fetch failed...', proxyError);
-      }
-    }
-    
-    // Try another method with alternative export format
-    if (!csvText) {
-      try {
-        const alternateUrl = `https://docs.google.com/spreadsheets/d/${SPREADSHEET_CONFIG.spreadsheetId}/export?format=csv&gid=0`;
-        const alternateResponse = await fetch(alternateUrl);
-        
-        if (alternateResponse.ok) {
-          csvText = await alternateResponse.text();
-          fetchMethod = 'alternate';
-          console.log('Successfully fetched data with alternate export URL');
-        }
-      } catch (alternateError) {
-        console.log('Alternate export URL fetch failed...', alternateError);
-      }
-    }
+    const { rows: sourceRows, source } = await loadFromSources(sources);
+    activeDataSource = source;
     
-    // If all methods failed, show message to upload CSV
-    if (!csvText) {
-      updateDataSourceIndicator('disconnected', 'Could not connect to Google Sheets');
-      
-      if (!silent) {
-        loadingMessage.innerHTML = 
-          'Could not load data from Google Sheets due to browser security restrictions.<br><br>' +
-          'Please use the file upload option to load your CSV file.';
-      }
-      
-      refreshIcon.classList.remove('spin-animation');
-      
-      // Show fallback text in file import area
-      document.getElementById('file-import-primary-text').classList.add('hidden');
-      document.getElementById('file-import-fallback-text').classList.remove('hidden');
-      
-      return [];
-    }
+    // Map renamed or unknown columns onto the task list (asks the user unless silent)
+    const rows = await resolveColumns(sourceRows, { interactive: !silent });
     
-    // Parse CSV using Papa Parse
-    const parseResult = Papa.parse(csvText, {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true
-    });
-    
-    if (parseResult.errors.length > 0) {
-      console.warn('CSV parsing had errors:', parseResult.errors);
+    // Check every row so bad values are reported instead of counted as zero
+    validationReport = validateRows(rows, source.parseErrors, source.rowOrigins);
+    if (validationReport.issues.length > 0) {
+      console.warn(`Data from ${source.label} has ${validationReport.issues.length} validation issue(s)`, validationReport.issues);
     }
     
-    if (parseResult.data.length === 0) {
-      throw new Error('No data found in the CSV');
-    }
-    
-    // Update data source indicator
-    updateDataSourceIndicator('connected', `Connected to Google Sheets via ${fetchMethod} method`);
-    
     // Show primary text in file import area
     document.getElementById('file-import-primary-text').classList.remove('hidden');
     document.getElementById('file-import-fallback-text').classList.add('hidden');
     
-    // Update last updated time
-    const lastUpdated = new Date();
-    document.getElementById('last-updated-time').textContent = lastUpdated.toLocaleString();
+    // Keep a copy for the next visit, or for when every source is down
+    if (source.cacheable) {
+      saveLastDataset({ rows, source });
+    }
     
-    // Stop refresh icon animation
-    refreshIcon.classList.remove('spin-animation');
+    // Update last updated time (cached rows keep the time they were loaded)
+    const lastUpdated = source.cachedAt || new Date();
+    document.getElementById('last-updated-time').textContent = lastUpdated.toLocaleString();
     
     // Hide loading message
     if (!silent) {
       loadingMessage.style.display = 'none';
     }
     
-    return parseResult.data;
+    return rows;
   } catch (error) {
     console.error('Error fetching or parsing data:', error);
     
-    // Update data source indicator
-    updateDataSourceIndicator('disconnected', 'Error connecting to Google Sheets');
-    
     if (!silent) {
-      document.getElementById('loading-message').innerHTML = 
-        `Error: ${error.message} <br><br>Please try using the file upload option instead.`;
+      loadingMessage.innerHTML = 
+        `Error: ${escapeHtml(error.message)} <br><br>Please try using the file upload option instead.`;
     }
     
-    document.getElementById('refresh-icon').classList.remove('spin-animation');
-    
     // Show fallback text in file import area
     document.getElementById('file-import-primary-text').classList.add('hidden');
     document.getElementById('file-import-fallback-text').classList.remove('hidden');
     
     return [];
+  } finally {
+    // Stop refresh icon animation
+    refreshIcon.classList.remove('spin-animation');
   }
 }
 
+/**
+ * Get the data source the current data was loaded from
+ * @returns {DataSource|null} - Source of the last successful load
+ */
+export function getActiveDataSource() {
+  return activeDataSource;
+}
+
+/**
+ * Get the validation report for the current data
+ * @returns {Object|null} - Report from validateRows for the last successful load
+ */
+export function getValidationReport() {
+  return validationReport;
+}
+
 /**
  * Calculate detailed task data by employee
  * @param {Array} employeeData - Filtered employee data
@@ -170,10 +125,11 @@ export function calculateDetailedTaskData(employeeData, taskCategories) {
     };
   });
   
-  // Populate with employee data
+  // Populate with employee data, pricing each row at the rate in force for its week
   employeeData.forEach(row => {
-    const employeeName = row.User.toLowerCase().split('@')[0];
-    const hourlyRate = getHourlyRate(employeeName);
+    // Rows without a User are reported by validation; don't let them break the totals
+    const employeeName = getEmployeeId(row.User) || 'unknown';
+    const hourlyRate = getHourlyRateForWeek(employeeName, row['Week Range']) || 0;
     
     taskCategories.forEach(task => {
       const hours = row[task] || 0;
@@ -273,28 +229,3 @@ export function preparePieData(totalsByType) {
       percentage: ((hours / totalHours) * 100).toFixed(1)
     }));
 }
-
-/**
- * Update data source indicator
- * @param {string} status - Connection status ('connected' or 'disconnected')
- * @param {string} message - Optional status message
- */
-export function updateDataSourceIndicator(status, message) {
-  const indicator = document.getElementById('data-source-indicator');
-  const dot = document.getElementById('source-dot');
-  const text = document.getElementById('source-text');
-  
-  if (status === 'connected') {
-    dot.classList.add('connected');
-    dot.classList.remove('disconnected');
-    window.dataSourceConnected = true;
-  } else {
-    dot.classList.add('disconnected');
-    dot.classList.remove('connected');
-    window.dataSourceConnected = false;
-  }
-  
-  text.textContent = message || (status === 'connected' ? 
-    'Connected to Google Sheets data source' : 
-    'Not connected to data source');
-}
\ No newline at end of file
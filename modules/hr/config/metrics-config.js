@@ -0,0 +1,313 @@
+/**
+ * Configuration Module for HR Metrics Dashboard
+ * Central place for dashboard settings shared across modules
+ *
+ * The values below are the defaults. At startup loadMetricsConfig() looks for an
+ * optional JSON file (metrics-config.json next to this module) whose top-level keys
+ * replace the matching defaults:
+ *   spreadsheet, dataSources, employeeRates, taskCategories, taskOrder,
+ *   categoryColors, employeeColors, roster, budgets, capacity, timesheets, anomalies
+ * Within spreadsheet, budgets, capacity, timesheets and anomalies only the keys given
+ * replace the defaults. The merged result is validated before anything renders.
+ */
+
+import { validateMetricsConfig } from './config-schema.js';
+import { ConfigValidationError } from '../utils/errors.js';
+
+/**
+ * Location of the optional JSON override, relative to the page
+ */
+export const CONFIG_OVERRIDE_URL = '../config/metrics-config.json';
+
+// Keys whose settings an override can change one at a time
+const MERGED_SECTIONS = ['spreadsheet', 'budgets', 'capacity', 'timesheets', 'anomalies'];
+
+/**
+ * Google Sheets data source
+ * - spreadsheetId: id from the sheet URL
+ * - sheetName: tab to export
+ * - refreshInterval: auto-refresh interval in milliseconds
+ * - proxyUrl: same-origin endpoint served by server/server.mjs that fetches the sheet for us
+ */
+export const SPREADSHEET_CONFIG = {
+  spreadsheetId: '1Y-koc05vPSjUJqZlo9N759GO69f2UucugFEbnuBJ4BM',
+  sheetName: 'DATA',
+  refreshInterval: 5 * 60 * 1000,
+  proxyUrl: '/api/sheet'
+};
+
+/**
+ * Get the CSV export URL for the configured sheet
+ * @returns {string} - Spreadsheet CSV URL
+ */
+export function getSpreadsheetUrl() {
+  return `https://docs.google.com/spreadsheets/d/${SPREADSHEET_CONFIG.spreadsheetId}/gviz/tq?tqx=out:csv&sheet=${encodeURIComponent(SPREADSHEET_CONFIG.sheetName)}`;
+}
+
+/**
+ * Where the dashboard loads data from
+ * - active: source tried first
+ * - fallbacks: sources tried in order when the active one fails
+ * Source ids: 'google-sheets', 'remote-json' and 'fixture'. Uploaded files are always
+ * available from the import area and don't need to be listed.
+ * - remoteJson.url: endpoint returning an array of rows (or { rows: [...] }) keyed by column name
+ * - fixture.url: bundled sample CSV, relative to the page
+ */
+export const DATA_SOURCE_CONFIG = {
+  active: 'google-sheets',
+  fallbacks: [],
+  remoteJson: { url: '' },
+  fixture: { url: '../fixtures/sample-timesheet.csv' }
+};
+
+/**
+ * Roster overrides for the employee tabs.
+ * Employees are discovered from the distinct `User` values in the loaded data;
+ * entries here are keyed by employee id (the part of the email before the @).
+ * - order: ids listed first, in this order; anyone else follows alphabetically
+ * - employees[id].displayName: label used for the tab and messages
+ * - employees[id].hidden: leave this person's tab out of the dashboard
+ * - groups: named lists of ids offered as one choice in the employee filter
+ */
+export const ROSTER_CONFIG = {
+  order: ['victoria', 'kyle', 'brooke', 'melanie', 'austin'],
+  employees: {
+    victoria: { displayName: 'Victoria' },
+    kyle: { displayName: 'Kyle' },
+    brooke: { displayName: 'Brooke' },
+    melanie: { displayName: 'Melanie' },
+    austin: { displayName: 'Austin' }
+  },
+  groups: {}
+};
+
+/**
+ * Hourly rate history per employee id.
+ * Each entry applies from its `from` date (YYYY-MM-DD) until the next entry starts,
+ * so a raise only changes the cost of weeks that begin on or after its date.
+ * Employees without their own history use `default`. Weeks that start before the
+ * first applicable entry have no rate and are flagged on the dashboard.
+ */
+export const EMPLOYEE_RATES = {
+  victoria: [{ from: '2024-01-01', rate: 16.50 }],
+  kyle: [{ from: '2024-01-01', rate: 20.00 }],
+  brooke: [{ from: '2024-01-01', rate: 25.00 }],
+  melanie: [{ from: '2024-01-01', rate: 25.00 }],
+  default: [{ from: '2024-01-01', rate: 16.50 }]
+};
+
+/**
+ * Tasks grouped by category. Each task column in the data belongs to exactly one category.
+ */
+export const TASK_CATEGORIES = {
+  'Business Development': ['BD - Research', 'BD - Emailing', 'BD - Calls'],
+  'Congress': ['Congress - Research', 'Congress - Emailing', 'Congress - Calls'],
+  'Social Media': ['Social Management', 'Social Content - Research', 'Social Content - Scripting',
+                   'Social Content - Recording', 'Social Content - Video Editing', 'Social Content - Graphic Design',
+                   'Influencer Outreach'],
+  'Newsletter': ['Newsletter - Writing/Editing', 'Newsletter - Operations'],
+  'Miscellaneous': ['Misc. Content', 'Misc. Research'],
+  'Meetings and Admin': ['Internal Meetings', 'Admin']
+};
+
+/**
+ * Display order for tasks in the task-level charts
+ */
+export const TASK_ORDER = [
+  'BD - Research',
+  'BD - Emailing',
+  'BD - Calls',
+  'Congress - Research',
+  'Congress - Emailing',
+  'Congress - Calls',
+  'Social Management',
+  'Social Content - Research',
+  'Social Content - Scripting',
+  'Social Content - Recording',
+  'Social Content - Video Editing',
+  'Social Content - Graphic Design',
+  'Influencer Outreach',
+  'Newsletter - Writing/Editing',
+  'Newsletter - Operations',
+  'Misc. Content',
+  'Misc. Research',
+  'Internal Meetings',
+  'Admin'
+];
+
+/**
+ * Base color per category (#RRGGBB). Task colors are shades of their category color.
+ */
+export const CATEGORY_COLORS = {
+  'Social Media': '#247c26', // Green
+  'Business Development': '#0066cc', // Blue
+  'Newsletter': '#ff8c00', // Orange
+  'Congress': '#cc0000', // Red
+  'Meetings and Admin': '#666666', // Gray
+  'Miscellaneous': '#9370db' // Purple for any other category
+};
+
+/**
+ * Color per employee id (#RRGGBB) for the team comparison charts
+ */
+export const EMPLOYEE_COLORS = {
+  victoria: '#FF6384', // Pink
+  kyle: '#36A2EB', // Blue
+  brooke: '#FFCE56', // Yellow
+  melanie: '#4BC0C0', // Teal
+  austin: '#9966FF' // Purple
+};
+
+/**
+ * Planned hours or cost, compared with actuals on the bar charts and stat cards.
+ * Each target covers one category or one task:
+ * - category or task: what the target is for (give exactly one)
+ * - employee: optional employee id; without it the target is for the whole team
+ * - hours and/or cost: the planned amount
+ * - period: 'week' (default) or 'month'; a monthly target counts 12/52 of itself per week
+ * overThreshold: percent over target at which a category or task is highlighted
+ */
+export const BUDGET_CONFIG = {
+  overThreshold: 10,
+  targets: []
+};
+
+/**
+ * Contracted hours per week for each employee id, for the utilization charts.
+ * Each contract runs from its `from` date to its optional `to` date (YYYY-MM-DD, both
+ * inclusive), matched against the start of each week; outside every contract the person
+ * has no capacity that week and their hours are left out of utilization.
+ * underThreshold / overThreshold: utilization percent below or above which a week is flagged
+ */
+export const CAPACITY_CONFIG = {
+  underThreshold: 80,
+  overThreshold: 100,
+  contracts: {}
+};
+
+/**
+ * Missing-timesheet checks.
+ * Everyone on the roster is expected to log every week in the data from their first logged
+ * week on, or, with contracted hours under capacity.contracts, every week a contract covers.
+ * - lowThreshold: percent of a person's contracted hours (or of their median week, without
+ *   a contract) below which a logged week counts as suspiciously low
+ * - reminder: message offered to copy; {name} and {weeks} are filled in
+ */
+export const TIMESHEET_CONFIG = {
+  lowThreshold: 50,
+  reminder: 'Hi {name}, your timesheet for {weeks} is missing or looks incomplete. Could you fill it in when you get a chance? Thanks!'
+};
+
+/**
+ * Week-over-week anomaly checks on each person's hours per task.
+ * Each week is compared with the median of the weeks before it, using the median absolute
+ * deviation (MAD) as the spread so one earlier spike doesn't hide the next.
+ * - threshold: robust z-score beyond which a week is reported
+ * - window: number of earlier logged weeks to compare with
+ * - minHistory: earlier weeks needed before a week is checked
+ * - minChange: hours a week must differ from the median by, so small tasks don't raise alerts
+ */
+export const ANOMALY_CONFIG = {
+  threshold: 3.5,
+  window: 8,
+  minHistory: 4,
+  minChange: 2
+};
+
+/**
+ * Get the current configuration as a plain object using the JSON key names
+ * @returns {Object} - Current configuration
+ */
+export function getMetricsConfig() {
+  return {
+    spreadsheet: SPREADSHEET_CONFIG,
+    dataSources: DATA_SOURCE_CONFIG,
+    employeeRates: EMPLOYEE_RATES,
+    taskCategories: TASK_CATEGORIES,
+    taskOrder: TASK_ORDER,
+    categoryColors: CATEGORY_COLORS,
+    employeeColors: EMPLOYEE_COLORS,
+    roster: ROSTER_CONFIG,
+    budgets: BUDGET_CONFIG,
+    capacity: CAPACITY_CONFIG,
+    timesheets: TIMESHEET_CONFIG,
+    anomalies: ANOMALY_CONFIG
+  };
+}
+
+/**
+ * Replace the contents of an exported object or array in place
+ * Other modules hold references to these, so they are never reassigned.
+ * @param {Object|Array} target - Exported config value
+ * @param {Object|Array} source - New contents
+ */
+function replaceContents(target, source) {
+  if (Array.isArray(target)) {
+    target.splice(0, target.length, ...source);
+    return;
+  }
+
+  Object.keys(target).forEach(key => delete target[key]);
+  Object.assign(target, source);
+}
+
+/**
+ * Load the optional JSON override, validate the merged configuration and apply it
+ * A missing override file is not an error; the defaults are validated either way.
+ * @param {string} [url] - Override file URL
+ * @returns {Promise<Object>} - The configuration in effect
+ * @throws {ConfigValidationError} If the override can't be read or the result is invalid
+ */
+export async function loadMetricsConfig(url = CONFIG_OVERRIDE_URL) {
+  const current = getMetricsConfig();
+  let overrides = {};
+
+  let response = null;
+  try {
+    response = await fetch(url, { cache: 'no-store' });
+  } catch (error) {
+    console.log('Configuration override could not be fetched, using defaults', error);
+  }
+
+  if (response && response.ok) {
+    try {
+      overrides = await response.json();
+    } catch (error) {
+      throw new ConfigValidationError(`Could not read ${url}`, {
+        issues: [{ path: url, message: `is not valid JSON (${error.message})` }]
+      });
+    }
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new ConfigValidationError(`Could not read ${url}`, {
+        issues: [{ path: url, message: 'must contain a JSON object' }]
+      });
+    }
+  }
+
+  // A section that isn't an object is kept as given for the schema to report
+  const merged = { ...current, ...overrides };
+  MERGED_SECTIONS.forEach(key => {
+    const section = overrides[key];
+    if (section && typeof section === 'object' && !Array.isArray(section)) {
+      merged[key] = { ...current[key], ...section };
+    }
+  });
+
+  const issues = validateMetricsConfig(merged);
+  if (issues.length > 0) {
+    throw new ConfigValidationError(
+      `Dashboard configuration has ${issues.length} problem${issues.length !== 1 ? 's' : ''}`,
+      { issues }
+    );
+  }
+
+  // Apply in place so existing imports see the new values
+  Object.entries(current).forEach(([key, target]) => {
+    if (merged[key] !== target) {
+      replaceContents(target, merged[key]);
+    }
+  });
+
+  return getMetricsConfig();
+}
@@ -0,0 +1,75 @@
+/**
+ * Checks for loading the metrics configuration override
+ *
+ * Usage:
+ *   node --test modules/
+ */
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+import {
+  ANOMALY_CONFIG,
+  BUDGET_CONFIG,
+  CAPACITY_CONFIG,
+  SPREADSHEET_CONFIG,
+  TIMESHEET_CONFIG,
+  loadMetricsConfig
+} from './metrics-config.js';
+import { ConfigValidationError } from '../utils/errors.js';
+
+const DEFAULTS = structuredClone({
+  spreadsheet: SPREADSHEET_CONFIG,
+  budgets: BUDGET_CONFIG,
+  capacity: CAPACITY_CONFIG,
+  timesheets: TIMESHEET_CONFIG,
+  anomalies: ANOMALY_CONFIG
+});
+
+/**
+ * Load the configuration with an override served by a stubbed fetch
+ * @param {Object} overrides - Override file contents
+ * @returns {Promise<Object>} - The configuration in effect
+ */
+async function loadWithOverride(overrides) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response(JSON.stringify(overrides));
+
+  try {
+    return await loadMetricsConfig('metrics-config.json');
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+describe('loadMetricsConfig', () => {
+  afterEach(() => loadWithOverride(DEFAULTS));
+
+  it('keeps the defaults an override leaves out of a settings section', async () => {
+    const config = await loadWithOverride({
+      spreadsheet: { sheetName: 'HOURS' },
+      budgets: { overThreshold: 20 },
+      capacity: { contracts: { kyle: [{ from: '2025-01-01', hours: 20 }] } },
+      timesheets: { lowThreshold: 30 },
+      anomalies: { threshold: 5 }
+    });
+
+    assert.deepEqual(config.spreadsheet, { ...DEFAULTS.spreadsheet, sheetName: 'HOURS' });
+    assert.deepEqual(config.budgets, { ...DEFAULTS.budgets, overThreshold: 20 });
+    assert.deepEqual(config.capacity, {
+      ...DEFAULTS.capacity,
+      contracts: { kyle: [{ from: '2025-01-01', hours: 20 }] }
+    });
+    assert.deepEqual(config.timesheets, { ...DEFAULTS.timesheets, lowThreshold: 30 });
+    assert.deepEqual(config.anomalies, { ...DEFAULTS.anomalies, threshold: 5 });
+
+    // Applied in place, so modules holding the exports see the merged values
+    assert.equal(ANOMALY_CONFIG.threshold, 5);
+    assert.equal(ANOMALY_CONFIG.window, DEFAULTS.anomalies.window);
+  });
+
+  it('still reports a section that is not an object', async () => {
+    await assert.rejects(() => loadWithOverride({ anomalies: 5 }), ConfigValidationError);
+    assert.deepEqual({ ...ANOMALY_CONFIG }, DEFAULTS.anomalies);
+  });
+});
@@ -3,60 +3,176 @@
  */
 
 import { EMPLOYEE_RATES } from '../config/metrics-config.js';
+import { getWeekStart, compareWeekRanges } from '../services/week-range.js';
+import { getEmployeeId } from '../services/roster.js';
 
 /**
- * Get hourly rate for a specific employee
- * @param {string} employeeName - The name of the employee
- * @returns {number} - Hourly rate
+ * Parse a YYYY-MM-DD date (rate tables, date inputs) as a local date
+ * @param {string} value - Date string
+ * @returns {Date} - Parsed date
+ */
+export function parseIsoDate(value) {
+  const [year, month, day] = String(value).split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a date as YYYY-MM-DD (the value format of date inputs)
+ * @param {Date} date - Date
+ * @returns {string} - Formatted date
+ */
+export function formatIsoDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Build a local date, rejecting days that don't exist (e.g. 2/30)
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} day - Day of month
+ * @returns {Date|null} - Date, or null if invalid
  */
-export function getHourlyRate(employeeName) {
-  if (!employeeName) return EMPLOYEE_RATES.default;
+export function makeDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+/**
+ * Parse a value from the Date column
+ * Accepts M/D/YYYY (and M/D/YY) as the sheet exports it, YYYY-MM-DD, and Date objects.
+ * A trailing time of day is ignored.
+ * @param {*} value - Date cell
+ * @returns {Date|null} - Local date at midnight, or null if it can't be read
+ */
+export function parseRowDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : makeDate(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  if (value === null || value === undefined) return null;
+  
+  const text = String(value).trim();
+  
+  const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+  if (isoMatch) {
+    return makeDate(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]));
+  }
+  
+  const usMatch = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?:\s.*)?$/);
+  if (usMatch) {
+    const year = usMatch[3].length === 2 ? 2000 + Number(usMatch[3]) : Number(usMatch[3]);
+    return makeDate(year, Number(usMatch[1]) - 1, Number(usMatch[2]));
+  }
   
+  return null;
+}
+
+/**
+ * Get the date a row's hours belong to
+ * Uses the Date column, falling back to the start of the row's week.
+ * @param {Object} row - Data row
+ * @returns {Date|null} - Row date, or null if neither column can be read
+ */
+export function getRowDate(row) {
+  const date = parseRowDate(row.Date);
+  if (date) return date;
+  
+  return getWeekStart(row['Week Range']);
+}
+
+/**
+ * Get the rate history that applies to an employee
+ * @param {string} employeeName - Employee name or email
+ * @returns {Array<{from: string, rate: number}>} - Entries sorted by start date
+ */
+function getRateHistory(employeeName) {
   // Convert to lowercase and remove any email domain if present
-  const normalizedName = employeeName.toLowerCase().split('@')[0];
-  return EMPLOYEE_RATES[normalizedName] || EMPLOYEE_RATES.default;
+  const normalizedName = employeeName ? employeeName.toLowerCase().split('@')[0] : '';
+  const history = EMPLOYEE_RATES[normalizedName] || EMPLOYEE_RATES.default || [];
+  
+  return [...history].sort((a, b) => parseIsoDate(a.from) - parseIsoDate(b.from));
 }
 
 /**
- * Parse start date from a week range string
- * @param {string} weekRange - Week range string (e.g., "Mar 10 – Mar 15 (2025)")
- * @returns {Date} - Parsed date
+ * Get hourly rate for a specific employee on a given date
+ * @param {string} employeeName - The name of the employee
+ * @param {Date} [date] - Date the rate should be in force on (defaults to today)
+ * @returns {number|null} - Hourly rate, or null if no rate was defined for that date
  */
-export function parseStartDateFromWeekRange(weekRange) {
-  try {
-    // Format example: "Mar 10 – Mar 15 (2025)"
-    const match = weekRange.match(/([A-Za-z]+)\s+(\d+)/);
-    if (match) {
-      const month = match[1];
-      const day = parseInt(match[2]);
-      const year = weekRange.match(/\((\d{4})\)/) ? 
-        parseInt(weekRange.match(/\((\d{4})\)/)[1]) : 
-        new Date().getFullYear();
-      
-      const monthMap = {
-        'Jan': 0, 'Feb': 1, 'Mar': 2, 'Apr': 3, 'May': 4, 'Jun': 5,
-        'Jul': 6, 'Aug': 7, 'Sep': 8, 'Oct': 9, 'Nov': 10, 'Dec': 11
-      };
-      
-      return new Date(year, monthMap[month], day);
+export function getHourlyRate(employeeName, date = new Date()) {
+  let rate = null;
+  
+  getRateHistory(employeeName).forEach(entry => {
+    if (parseIsoDate(entry.from) <= date) {
+      rate = entry.rate;
     }
-    return new Date(0); // Default to epoch if parsing fails
-  } catch (e) {
-    console.error("Error parsing date from:", weekRange, e);
-    return new Date(0);
-  }
+  });
+  
+  return rate;
 }
 
 /**
- * Compare two week ranges for sorting
- * @param {string} a - First week range
- * @param {string} b - Second week range
- * @returns {number} - Comparison result (-1, 0, 1)
+ * Get hourly rate for an employee in the week a row belongs to
+ * @param {string} employeeName - The name of the employee
+ * @param {string} weekRange - Week range string
+ * @returns {number|null} - Hourly rate, or null if no rate was defined for that week
  */
-export function compareWeekRanges(a, b) {
-  const dateA = parseStartDateFromWeekRange(a);
-  const dateB = parseStartDateFromWeekRange(b);
-  return dateA - dateB;
+export function getHourlyRateForWeek(employeeName, weekRange) {
+  const weekStart = getWeekStart(weekRange);
+  return weekStart ? getHourlyRate(employeeName, weekStart) : null;
+}
+
+/**
+ * Total a row's hours across some task columns
+ * Only finite positive numbers count, so text a validation report kept in a cell is skipped.
+ * @param {Object} row - Data row
+ * @param {Array<string>} taskColumns - Task columns holding hours
+ * @returns {number} - Hours
+ */
+export function sumRowHours(row, taskColumns) {
+  return taskColumns.reduce((sum, task) => {
+    const hours = row[task];
+    return Number.isFinite(hours) && hours > 0 ? sum + hours : sum;
+  }, 0);
+}
+
+/**
+ * Get the median of some numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} - Median, or null for an empty list
+ */
+export function getMedian(values) {
+  if (values.length === 0) return null;
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Find weeks that have hours logged but no hourly rate defined
+ * @param {Array} data - Raw data array
+ * @returns {Array<{employee: string, week: string}>} - Employee/week pairs without a rate
+ */
+export function findWeeksWithoutRate(data) {
+  const missing = new Map();
+  
+  data.forEach(row => {
+    const employee = getEmployeeId(row.User);
+    if (!employee) return;
+    
+    const week = row['Week Range'];
+    const key = `${employee}|${week}`;
+    
+    if (!missing.has(key) && getHourlyRateForWeek(employee, week) === null) {
+      missing.set(key, { employee, week });
+    }
+  });
+  
+  return [...missing.values()].sort((a, b) => compareWeekRanges(a.week, b.week));
 }
 
 /**
@@ -98,6 +214,29 @@ export function formatCurrency(value, decimals = 2) {
   return `$${value.toFixed(decimals)}`;
 }
 
+/**
+ * Format a count with a singular or plural noun
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} - e.g. "1 week", "3 weeks"
+ */
+export function pluralize(count, noun) {
+  return `${count} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Get task categories (exclude metadata columns)
  * @param {Array} data - Raw data array
@@ -113,6 +252,7 @@ export function getTaskCategories(data) {
 
 /**
  * Filter data by week range
+ * Rows whose week range can't be read are dropped once either end is set.
  * @param {Array} data - Raw data array
  * @param {string} startWeek - Start week (or 'all')
  * @param {string} endWeek - End week (or 'all')
@@ -125,6 +265,7 @@ export function filterDataByWeekRange(data, startWeek, endWeek) {
   
   return data.filter(row => {
     const weekRange = row['Week Range'];
+    if (!getWeekStart(weekRange)) return false;
     
     // If only start week is specified
     if (startWeek !== 'all' && endWeek === 'all') {
@@ -142,6 +283,27 @@ export function filterDataByWeekRange(data, startWeek, endWeek) {
   });
 }
 
+/**
+ * Filter data to rows dated within a range
+ * Rows are dated with getRowDate(); both ends are inclusive.
+ * @param {Array} data - Raw data array
+ * @param {Date|null} startDate - First day to include, or null for no lower bound
+ * @param {Date|null} endDate - Last day to include, or null for no upper bound
+ * @returns {Array} - Filtered data array
+ */
+export function filterDataByDateRange(data, startDate, endDate) {
+  if (!startDate && !endDate) {
+    return [...data];
+  }
+  
+  return data.filter(row => {
+    const date = getRowDate(row);
+    if (!date) return false;
+    
+    return (!startDate || date >= startDate) && (!endDate || date <= endDate);
+  });
+}
+
 /**
  * Validate week selection
  * @param {string} startWeek - Start week
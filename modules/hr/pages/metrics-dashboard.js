@@ -4,33 +4,92 @@
  */
 
 // Import modules
-import { SPREADSHEET_CONFIG, EMPLOYEE_RATES, TASK_CATEGORIES, TASK_ORDER, EMPLOYEE_COLORS } from '../config/metrics-config.js';
-import { initializeColorCaches, updateChartTitles, initializeTaskPieChart, initializeBarChart, initializeTimeLineChart, initializeComparisonChart } from '../services/chart-renderer.js';
-import { fetchEmployeeData, calculateDetailedTaskData, updateDataSourceIndicator } from '../services/data-processor.js';
-import { getTaskCategories, filterDataByWeekRange, validateWeekSelection, getHourlyRate } from '../services/utils.js';
+import { SPREADSHEET_CONFIG, EMPLOYEE_RATES, TASK_CATEGORIES, TASK_ORDER, EMPLOYEE_COLORS, loadMetricsConfig } from '../config/metrics-config.js';
+import { initializeColorCaches, updateChartTitles, initializeTaskPieChart, initializeComparisonPieChart, cleanupChart, initializeBarChart, initializeTimeLineChart, initializeComparisonChart, initializeUtilizationChart, syncEmployeeCharts, getCategoryColor, getCategoryBorderColor, getTaskColor, getTaskBorderColor } from '../config/chart-renderer.js';
+import { fetchEmployeeData, calculateDetailedTaskData, updateDataSourceIndicator, getActiveDataSource, getValidationReport } from '../config/data-processor.js';
+import { getTaskCategories, filterDataByDateRange, parseIsoDate, formatIsoDate, getHourlyRateForWeek, findWeeksWithoutRate, pluralize } from '../config/utils.js';
+import { buildRoster, getEmployeeId, getEmployeeRows, getRowsForEmployees } from '../services/roster.js';
+import { createUploadSource, LoadedRowsSource, MergedSource, getConfiguredSources, getCachedDatasetSource } from '../services/data-sources.js';
+import { excludeInvalidRows } from '../services/data-validation.js';
+import { setColumnResolver } from '../services/column-mapping.js';
+import { TIME_GRANULARITIES, getBucket, groupRowsByBucket } from '../services/time-buckets.js';
+import { getWeekStart, getWeekEnd, sortWeekRanges } from '../services/week-range.js';
+import { DATE_PRESETS, resolveDatePreset } from '../services/date-presets.js';
+import { COMPARE_MODES, getComparisonRange, calculateChange, formatChange, formatRangeLabel } from '../services/period-comparison.js';
 
 // Import new components
 import { LoadingState } from '../components/loading-state.js';
-import { errorHandler, ValidationError, DataFetchError } from '../utils/errors.js';
+import { EmployeeDashboards } from '../components/employee-dashboards.js';
+import { ValidationReport } from '../components/validation-report.js';
+import { ColumnMappingWizard } from '../components/column-mapping-wizard.js';
+import { SheetPicker } from '../components/sheet-picker.js';
+import { MergeConflicts } from '../components/merge-conflicts.js';
+import { SearchFilter } from '../components/filters/search-filter.js';
+import { TaskCategoryFilter } from '../components/filters/task-category-filter.js';
+import { EmployeeFilter } from '../components/filters/employee-filter.js';
+import { SavedViewsMenu } from '../components/saved-views-menu.js';
+import { NeedsAttentionPanel } from '../components/needs-attention-panel.js';
+import { AnomalyAlertsPanel } from '../components/anomaly-alerts-panel.js';
+import dashboardState from '../services/state-manager.js';
+import { bindStateToUrl } from '../services/url-state.js';
+import { parseSearchQuery, matchesSearch } from '../services/search-query.js';
+import { getBudgetAmounts, compareWithBudget, countWeeks } from '../services/budgets.js';
+import { hasContracts, summarizeCapacity } from '../services/capacity.js';
+import { findTimesheetGaps } from '../services/timesheet-gaps.js';
+import { findAnomalies } from '../services/anomalies.js';
+import { errorHandler, ValidationError, DataFetchError, ConfigValidationError, FilterError } from '../utils/errors.js';
 
-// Global state variables
-let employeesData = [];
-let filteredEmployeesData = [];
-let activeStartWeek = 'all';
-let activeEndWeek = 'all';
-let lastUpdated = null;
-let autoRefreshEnabled = false;
+// Rows as loaded, before any the user chose to exclude
+let loadedRows = [];
 let autoRefreshIntervalId = null;
-let dataSourceConnected = false;
 
-// Display mode state (hours or cost)
-let globalDisplayMode = 'hours';
+// What the current dashboardState resolves to (dates of a preset, rows in range, the
+// comparison range); worked out again on every render and never written elsewhere
+let view = {
+  dateRange: { start: null, end: null },
+  filteredData: [],
+  comparisonRange: null,
+  comparisonData: [],
+  rangeData: [],
+  weeks: [],
+  budgetWeeks: 0
+};
 
-// View level state (category or task)
-let globalLevelMode = 'category';
+// State changes that redraw the charts
+const VIEW_KEYS = ['data', 'selectedEmployees', 'displayMode', 'levelMode', 'timeGranularity', 'dateRange', 'comparison', 'searchQuery', 'selectedTasks'];
+
+// Employees shown as tabs, built from the loaded data
+let roster = [];
 
 // Initialize components
 const loadingState = new LoadingState();
+const employeeDashboards = new EmployeeDashboards();
+const validationReport = new ValidationReport({
+  onModeChange: () => applyEmployeeData(loadedRows)
+});
+const columnMappingWizard = new ColumnMappingWizard();
+const sheetPicker = new SheetPicker();
+const mergeConflicts = new MergeConflicts();
+const searchFilter = new SearchFilter();
+const taskCategoryFilter = new TaskCategoryFilter();
+const employeeFilter = new EmployeeFilter();
+const savedViewsMenu = new SavedViewsMenu();
+const needsAttentionPanel = new NeedsAttentionPanel();
+const anomalyAlertsPanel = new AnomalyAlertsPanel();
+
+// Everything on screen follows the state
+dashboardState.subscribe((state, previousState) => {
+  if (state.activeEmployee !== previousState.activeEmployee) {
+    employeeDashboards.setActive(state.activeEmployee);
+  }
+  
+  if (VIEW_KEYS.some(key => state[key] !== previousState[key])) {
+    renderDashboard(state, previousState);
+  }
+});
+
+// Ask about unknown CSV columns while data loads
+setColumnResolver(unknownColumns => columnMappingWizard.prompt(unknownColumns));
 
 /**
  * Initialize the dashboard
@@ -42,6 +101,9 @@ async function initializeDashboard() {
     // Show initial loading state
     loadingState.show('Initializing dashboard...');
     
+    // Load and validate configuration before anything renders
+    await loadMetricsConfig();
+    
     // Initialize color caches for charts
     initializeColorCaches();
     
@@ -51,23 +113,34 @@ async function initializeDashboard() {
     // Initialize filter and file upload controls
     initializeFilterControls();
     
+    // Open the view a shared link describes, and follow back/forward from here on
+    bindStateToUrl(dashboardState);
+    
     // Initialize data source indicator
     updateDataSourceIndicator('disconnected', 'Connecting to data source...');
     
     // Attempt to fetch data
     try {
-      employeesData = await fetchEmployeeData();
+      // Show the last good dataset straight away while fresh data loads
+      const cachedSource = await getCachedDatasetSource();
+      if (cachedSource) {
+        const cachedData = await fetchEmployeeData(true, [cachedSource]);
+        if (cachedData.length > 0) {
+          applyEmployeeData(cachedData);
+          loadingState.hide();
+        }
+      }
+      
+      // Fall back to the cached copy if every source fails
+      const sources = cachedSource ? [...getConfiguredSources(), cachedSource] : getConfiguredSources();
+      const newData = await fetchEmployeeData(!!dashboardState.getData(), sources);
       
       // If we successfully got data
-      if (employeesData.length > 0) {
-        // Set filtered data to full dataset initially
-        filteredEmployeesData = [...employeesData];
-        
-        // Update all charts
-        updateAllEmployeeCharts();
+      if (newData.length > 0) {
+        applyEmployeeData(newData);
         
-        // Set up auto-refresh if connected to data source
-        if (dataSourceConnected) {
+        // Set up auto-refresh if connected to a live data source
+        if (dashboardState.isDataSourceConnected()) {
           setupAutoRefresh();
         }
         
@@ -89,6 +162,12 @@ async function initializeDashboard() {
     // Handle initialization error
     errorHandler.handleError(error, { context: 'dashboard-initialization' });
     
+    // Configuration problems need a fix, not a retry
+    if (error instanceof ConfigValidationError) {
+      loadingState.showError(error);
+      return;
+    }
+    
     // Show error state with retry option
     loadingState.showError(error, () => {
       initializeDashboard();
@@ -100,31 +179,58 @@ async function initializeDashboard() {
  * Set up employee tab navigation
  */
 function setupTabNavigation() {
-  const tabs = document.querySelectorAll('.tab');
-  const dashboards = document.querySelectorAll('.employee-dashboard');
-  
-  tabs.forEach(tab => {
-    tab.addEventListener('click', () => {
-      // Update active tab
-      tabs.forEach(t => t.classList.remove('active'));
-      tab.classList.add('active');
-      
-      // Show corresponding dashboard
-      const employeeName = tab.getAttribute('data-employee');
-      dashboards.forEach(dashboard => {
-        dashboard.classList.remove('active');
-      });
-      document.getElementById(`${employeeName}-dashboard`).classList.add('active');
-    });
+  const tabsContainer = document.getElementById('employee-tabs');
+  
+  // Tabs are created from the roster, so listen on the container
+  tabsContainer.addEventListener('click', (event) => {
+    const tab = event.target.closest('.tab');
+    if (!tab) return;
+    
+    dashboardState.setActiveEmployee(tab.getAttribute('data-employee'));
   });
 }
 
+/**
+ * Rebuild the employee tabs and dashboards when the set of people shown changes
+ * Only the people chosen in the employee filter get a tab.
+ */
+function updateRoster() {
+  const selected = dashboardState.getSelectedEmployees();
+  const newRoster = buildRoster(dashboardState.getData() || [])
+    .filter(employee => selected.length === 0 || selected.includes(employee.id));
+  const currentIds = roster.map(employee => employee.id).join(',');
+  const newIds = newRoster.map(employee => employee.id).join(',');
+  
+  roster = newRoster;
+  
+  if (currentIds !== newIds) {
+    employeeDashboards.render(roster);
+    syncEmployeeCharts(roster.map(employee => employee.id));
+    
+    // Someone who left the data can't keep their tab open
+    const activeEmployee = dashboardState.getActiveEmployee();
+    if (activeEmployee !== 'all' && !roster.some(employee => employee.id === activeEmployee)) {
+      dashboardState.setActiveEmployee('all');
+    } else {
+      employeeDashboards.setActive(activeEmployee);
+    }
+  }
+}
+
 /**
  * Initialize filter controls and global toggles
+ * Controls only write to dashboardState; syncFilterControls shows the state in them.
  */
 function initializeFilterControls() {
   const startWeekSelect = document.getElementById('start-week');
   const endWeekSelect = document.getElementById('end-week');
+  const startDateInput = document.getElementById('start-date');
+  const endDateInput = document.getElementById('end-date');
+  const datePresetSelect = document.getElementById('date-preset');
+  const compareModeSelect = document.getElementById('compare-mode');
+  const compareStartInput = document.getElementById('compare-start-date');
+  const compareEndInput = document.getElementById('compare-end-date');
+  const granularitySelect = document.getElementById('timeline-granularity');
   const applyFilterButton = document.getElementById('apply-filter');
   const resetFilterButton = document.getElementById('reset-filter');
   const refreshButton = document.getElementById('refresh-button');
@@ -141,54 +247,102 @@ function initializeFilterControls() {
   const categoryTaskToggle = document.getElementById('category-task-toggle');
   const categoryLabel = document.getElementById('global-category-label');
   const taskLabel = document.getElementById('global-task-label');
-
-  // Initialize search filter
-  const searchFilter = new SearchFilter();
+  
+  // List the relative presets after "Custom range"
+  Object.entries(DATE_PRESETS).forEach(([id, preset]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = preset.label;
+    datePresetSelect.appendChild(option);
+  });
+  
+  // List the ways to pick a comparison range
+  Object.entries(COMPARE_MODES).forEach(([mode, label]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    compareModeSelect.appendChild(option);
+  });
+  
+  // Custom comparison dates are only needed for a custom range
+  compareModeSelect.addEventListener('change', () => {
+    showCustomCompareFields(compareModeSelect.value === 'custom');
+  });
+  
+  // Picking a preset shows the dates it covers for the current data
+  datePresetSelect.addEventListener('change', () => {
+    startWeekSelect.value = 'all';
+    endWeekSelect.value = 'all';
+    
+    const range = datePresetSelect.value ? resolveDatePreset(datePresetSelect.value, dashboardState.getData() || []) : null;
+    startDateInput.value = range ? formatIsoDate(range.start) : '';
+    endDateInput.value = range ? formatIsoDate(range.end) : '';
+  });
+  
+  // Picking a week fills in its first or last day
+  startWeekSelect.addEventListener('change', () => {
+    const weekStart = getWeekStart(startWeekSelect.value);
+    startDateInput.value = weekStart ? formatIsoDate(weekStart) : '';
+    datePresetSelect.value = '';
+  });
+  
+  endWeekSelect.addEventListener('change', () => {
+    const weekEnd = getWeekEnd(endWeekSelect.value);
+    endDateInput.value = weekEnd ? formatIsoDate(weekEnd) : '';
+    datePresetSelect.value = '';
+  });
+  
+  // Typing a date no longer matches a whole week or a preset
+  startDateInput.addEventListener('change', () => {
+    startWeekSelect.value = 'all';
+    datePresetSelect.value = '';
+  });
+  
+  endDateInput.addEventListener('change', () => {
+    endWeekSelect.value = 'all';
+    datePresetSelect.value = '';
+  });
   
   // Apply filter button
   applyFilterButton.addEventListener('click', () => {
-    const startWeek = startWeekSelect.value;
-    const endWeek = endWeekSelect.value;
+    const startDate = startDateInput.value ? parseIsoDate(startDateInput.value) : null;
+    const endDate = endDateInput.value ? parseIsoDate(endDateInput.value) : null;
     
-    if (!validateWeekSelection(startWeek, endWeek)) {
-      alert('Invalid selection: Start week must be before or equal to end week');
+    if (startDate && endDate && startDate > endDate) {
+      alert('Invalid selection: Start date must be before or equal to end date');
       return;
     }
     
-    console.log(`Applying filter: ${startWeek} to ${endWeek}`);
+    const compareMode = compareModeSelect.value;
+    const customRange = {
+      start: compareStartInput.value ? parseIsoDate(compareStartInput.value) : null,
+      end: compareEndInput.value ? parseIsoDate(compareEndInput.value) : null
+    };
     
-    // Update active filter variables
-    activeStartWeek = startWeek;
-    activeEndWeek = endWeek;
+    if (compareMode === 'custom' && (!customRange.start || !customRange.end || customRange.start > customRange.end)) {
+      alert('Invalid selection: Choose a comparison start date before or equal to its end date');
+      return;
+    }
     
-    // Recalculate filtered data
-    filteredEmployeesData = filterDataByWeekRange(employeesData, startWeek, endWeek);
-    console.log(`Filter applied, ${filteredEmployeesData.length} records now in filtered data`);
+    if ((compareMode === 'previous' || compareMode === 'last-year') && (!startDate || !endDate)) {
+      alert(`Invalid selection: ${COMPARE_MODES[compareMode]} needs both a start and an end date`);
+      return;
+    }
     
-    // Update all charts with new filtered data
-    updateAllEmployeeCharts();
+    console.log(`Applying filter: ${startDateInput.value || 'all'} to ${endDateInput.value || 'all'}`);
+    
+    // A preset is kept by name so it can move with the data
+    const preset = datePresetSelect.value || null;
+    dashboardState.setState({
+      dateRange: preset ? { start: null, end: null, preset } : { start: startDate, end: endDate, preset: null },
+      comparison: compareMode ? { mode: compareMode, customRange } : null
+    });
   });
   
   // Reset filter button
   resetFilterButton.addEventListener('click', () => {
     console.log('Resetting all filters');
-    
-    // Reset week range
-    startWeekSelect.value = 'all';
-    endWeekSelect.value = 'all';
-    
-    // Reset search
-    searchFilter.reset();
-    
-    // Reset state
     dashboardState.resetAllFilters();
-    
-    // Reset filtered data
-    filteredEmployeesData = [...employeesData];
-    console.log(`All filters reset, using all ${filteredEmployeesData.length} records`);
-    
-    // Update all charts with full data
-    updateAllEmployeeCharts();
   });
   
   // Refresh button
@@ -197,13 +351,8 @@ function initializeFilterControls() {
     const newData = await fetchEmployeeData();
     
     if (newData.length > 0) {
-      employeesData = newData;
-      
-      // Update filtered data based on current filter settings
-      filteredEmployeesData = filterDataByWeekRange(employeesData, activeStartWeek, activeEndWeek);
-      
-      // Update all charts
-      updateAllEmployeeCharts();
+      applyEmployeeData(newData);
+      setupAutoRefresh();
     }
   });
   
@@ -215,8 +364,11 @@ function initializeFilterControls() {
   // File input change
   fileInput.addEventListener('change', (event) => {
     if (event.target.files.length > 0) {
-      handleFileUpload(event.target.files[0]);
+      handleFileUpload([...event.target.files]);
     }
+    
+    // Allow the same file to be chosen again
+    fileInput.value = '';
   });
   
   // Drag and drop for file import area
@@ -234,165 +386,241 @@ function initializeFilterControls() {
     fileImportArea.classList.remove('active');
     
     if (event.dataTransfer.files.length > 0) {
-      handleFileUpload(event.dataTransfer.files[0]);
+      handleFileUpload([...event.dataTransfer.files]);
     }
   });
   
   // Global display toggle event handler
   globalToggleSwitch.addEventListener('click', () => {
-    // Toggle the global display mode
-    globalDisplayMode = globalDisplayMode === 'hours' ? 'cost' : 'hours';
-    
-    // Update UI
-    if (globalDisplayMode === 'cost') {
-      globalToggleSwitch.classList.add('active');
-      globalHoursLabel.classList.remove('active');
-      globalCostLabel.classList.add('active');
-    } else {
-      globalToggleSwitch.classList.remove('active');
-      globalHoursLabel.classList.add('active');
-      globalCostLabel.classList.remove('active');
-    }
-    
-    // Update all charts to reflect the new display mode
-    updateAllEmployeeCharts();
+    dashboardState.setDisplayMode(dashboardState.getDisplayMode() === 'hours' ? 'cost' : 'hours');
   });
   
   // Hours label click handler
   globalHoursLabel.addEventListener('click', () => {
-    if (globalDisplayMode !== 'hours') {
-      globalDisplayMode = 'hours';
-      globalToggleSwitch.classList.remove('active');
-      globalHoursLabel.classList.add('active');
-      globalCostLabel.classList.remove('active');
-      updateAllEmployeeCharts();
-    }
+    dashboardState.setDisplayMode('hours');
   });
   
   // Cost label click handler
   globalCostLabel.addEventListener('click', () => {
-    if (globalDisplayMode !== 'cost') {
-      globalDisplayMode = 'cost';
-      globalToggleSwitch.classList.add('active');
-      globalHoursLabel.classList.remove('active');
-      globalCostLabel.classList.add('active');
-      updateAllEmployeeCharts();
-    }
+    dashboardState.setDisplayMode('cost');
+  });
+  
+  // Timeline granularity
+  granularitySelect.addEventListener('change', () => {
+    dashboardState.setTimeGranularity(granularitySelect.value);
   });
   
   // Category/Task toggle event handler
   categoryTaskToggle.addEventListener('click', () => {
-    // Toggle the global level mode
-    globalLevelMode = globalLevelMode === 'category' ? 'task' : 'category';
-    
-    // Update UI
-    if (globalLevelMode === 'task') {
-      categoryTaskToggle.classList.add('active');
-      categoryLabel.classList.remove('active');
-      taskLabel.classList.add('active');
-    } else {
-      categoryTaskToggle.classList.remove('active');
-      categoryLabel.classList.add('active');
-      taskLabel.classList.remove('active');
-    }
-    
-    // Update all charts to reflect the new level mode
-    updateAllEmployeeCharts();
+    dashboardState.setLevelMode(dashboardState.getLevelMode() === 'category' ? 'task' : 'category');
   });
   
   // Category label click handler
   categoryLabel.addEventListener('click', () => {
-    if (globalLevelMode !== 'category') {
-      globalLevelMode = 'category';
-      categoryTaskToggle.classList.remove('active');
-      categoryLabel.classList.add('active');
-      taskLabel.classList.remove('active');
-      updateAllEmployeeCharts();
-    }
+    dashboardState.setLevelMode('category');
   });
   
   // Task label click handler
   taskLabel.addEventListener('click', () => {
-    if (globalLevelMode !== 'task') {
-      globalLevelMode = 'task';
-      categoryTaskToggle.classList.add('active');
-      categoryLabel.classList.remove('active');
-      taskLabel.classList.add('active');
-      updateAllEmployeeCharts();
-    }
+    dashboardState.setLevelMode('task');
   });
 }
 
 /**
- * Handle file upload
- * @param {File} file - Uploaded CSV file
+ * Show or hide the custom comparison date fields
+ * @param {boolean} visible - True for a custom comparison range
  */
-function handleFileUpload(file) {
-  loadingState.show('Processing CSV file...');
-  
-  const refreshIcon = document.getElementById('refresh-icon');
-  refreshIcon.classList.add('spin-animation');
-  
-  // Use Papa Parse to parse the CSV
-  Papa.parse(file, {
-    header: true,
-    dynamicTyping: true,
-    skipEmptyLines: true,
-    complete: function(results) {
-      try {
-        if (results.errors.length > 0) {
-          console.warn('CSV parsing had errors:', results.errors);
-        }
-        
-        if (results.data.length === 0) {
-          throw new ValidationError('No data found in the CSV file.');
-        }
-        
-        // Update global data
-        employeesData = results.data;
-        filteredEmployeesData = [...employeesData];
-        
-        // Update data source indicator
-        updateDataSourceIndicator('disconnected', 'Using manually uploaded CSV file');
-        
-        // Update last updated time
-        lastUpdated = new Date();
-        document.getElementById('last-updated-time').textContent = lastUpdated.toLocaleString();
-        
-        // Update week range dropdowns
-        updateWeekRangeOptions(results.data);
-        
-        // Update all charts
-        updateAllEmployeeCharts();
-        
-        // Hide loading state
-        loadingState.hide();
-        
-      } catch (error) {
-        errorHandler.handleError(error, { context: 'file-upload' });
-        loadingState.showError(error);
-      } finally {
-        refreshIcon.classList.remove('spin-animation');
-      }
-    },
-    error: function(error) {
-      const fetchError = new DataFetchError('Error parsing CSV file', { originalError: error });
-      errorHandler.handleError(fetchError, { context: 'file-upload' });
-      loadingState.showError(fetchError);
-      refreshIcon.classList.remove('spin-animation');
-    }
+function showCustomCompareFields(visible) {
+  document.querySelectorAll('.compare-custom').forEach(field => {
+    field.classList.toggle('hidden', !visible);
   });
 }
 
+/**
+ * Show the state in the filter bar and toggles
+ * Only controls whose part of the state changed are touched, so half-edited filter
+ * fields survive a data refresh or a toggle.
+ * @param {Object} state - Dashboard state
+ * @param {Object} previousState - State before the change
+ */
+function syncFilterControls(state, previousState) {
+  const changed = key => state[key] !== previousState[key];
+  
+  if (changed('dateRange') || (state.dateRange.preset && changed('data'))) {
+    document.getElementById('date-preset').value = state.dateRange.preset || '';
+    document.getElementById('start-date').value = view.dateRange.start ? formatIsoDate(view.dateRange.start) : '';
+    document.getElementById('end-date').value = view.dateRange.end ? formatIsoDate(view.dateRange.end) : '';
+    
+    if (!view.dateRange.start && !view.dateRange.end) {
+      document.getElementById('start-week').value = 'all';
+      document.getElementById('end-week').value = 'all';
+    }
+  }
+  
+  if (changed('comparison')) {
+    const comparison = state.comparison;
+    const customRange = comparison ? comparison.customRange : null;
+    document.getElementById('compare-mode').value = comparison ? comparison.mode : '';
+    document.getElementById('compare-start-date').value = customRange && customRange.start ? formatIsoDate(customRange.start) : '';
+    document.getElementById('compare-end-date').value = customRange && customRange.end ? formatIsoDate(customRange.end) : '';
+    showCustomCompareFields(!!comparison && comparison.mode === 'custom');
+  }
+  
+  if (changed('timeGranularity')) {
+    document.getElementById('timeline-granularity').value = state.timeGranularity;
+  }
+  
+  if (changed('displayMode')) {
+    const byCost = state.displayMode === 'cost';
+    document.getElementById('global-display-toggle').classList.toggle('active', byCost);
+    document.getElementById('global-hours-label').classList.toggle('active', !byCost);
+    document.getElementById('global-cost-label').classList.toggle('active', byCost);
+  }
+  
+  if (changed('levelMode')) {
+    const byTask = state.levelMode === 'task';
+    document.getElementById('category-task-toggle').classList.toggle('active', byTask);
+    document.getElementById('global-category-label').classList.toggle('active', !byTask);
+    document.getElementById('global-task-label').classList.toggle('active', byTask);
+  }
+}
+
+/**
+ * Handle file upload
+ * Several files are merged into one dataset, and are added to the current data unless
+ * the user unticked "add to current data".
+ * @param {Array<File>} files - Uploaded CSV or Excel files
+ */
+async function handleFileUpload(files) {
+  const fileNames = files.map(file => file.name).join(', ');
+  loadingState.show(`Processing ${fileNames}...`);
+  
+  const sources = files.map(file => createUploadSource(file, {
+    chooseSheets: sheetNames => sheetPicker.prompt(sheetNames, file.name)
+  }));
+  
+  if (document.getElementById('append-upload').checked && loadedRows.length > 0) {
+    sources.unshift(new LoadedRowsSource({ rows: loadedRows }));
+  }
+  
+  const source = sources.length > 1 ?
+    new MergedSource({
+      sources,
+      resolveConflicts: (conflicts, labels) => mergeConflicts.prompt(conflicts, labels)
+    }) :
+    sources[0];
+  const newData = await fetchEmployeeData(false, [source]);
+  
+  if (newData.length === 0) {
+    const error = new ValidationError(`Could not load any rows from ${fileNames}.`);
+    errorHandler.handleError(error, { context: 'file-upload' });
+    loadingState.showError(error);
+    return;
+  }
+  
+  applyEmployeeData(newData);
+  
+  // An uploaded file doesn't change, so stop refreshing from the previous source
+  setupAutoRefresh();
+  
+  loadingState.hide();
+}
+
+/**
+ * Replace the dashboard data
+ * The charts redraw through the state subscription.
+ * @param {Array} newData - Rows from the data source
+ */
+function applyEmployeeData(newData) {
+  loadedRows = newData;
+  
+  // Leave out rows with errors if the user chose to
+  const report = getValidationReport();
+  const employeesData = validationReport.shouldExclude() ? excludeInvalidRows(loadedRows, report) : loadedRows;
+  
+  const source = getActiveDataSource();
+  validationReport.render(report, source ? source.label : undefined);
+  
+  // Tasks created through the column mapping need colors and a place in the category filter
+  initializeColorCaches();
+  taskCategoryFilter.updateCategoryOptions();
+  employeeFilter.updateEmployeeOptions(employeesData);
+  searchFilter.updateSuggestionNames(employeesData);
+  
+  // Only live sources are worth auto-refreshing
+  dashboardState.setDataSourceConnected(!!(source && source.live));
+  dashboardState.setData(employeesData);
+}
+
+/**
+ * Redraw the dashboard from the state
+ * @param {Object} state - Dashboard state
+ * @param {Object} previousState - State before the change
+ */
+function renderDashboard(state, previousState) {
+  view = deriveView(state);
+  
+  syncFilterControls(state, previousState);
+  
+  if (state.data !== previousState.data) {
+    updateWeekRangeOptions(state.data || []);
+  }
+  
+  updateAllEmployeeCharts();
+  
+  // Keep the filtered rows in the state for anything else reading it
+  dashboardState.setFilteredData(view.filteredData);
+}
+
+/**
+ * Work out what the state shows
+ * A preset such as "Last 4 weeks" is resolved against the current data, so it moves when
+ * new weeks arrive; "Previous period" and "Same period last year" follow the resolved range.
+ * @param {Object} state - Dashboard state
+ * @returns {{dateRange: {start: Date|null, end: Date|null}, filteredData: Array, comparisonRange: Object|null, comparisonData: Array,
+ *   rangeData: Array, weeks: Array<string>, budgetWeeks: number}}
+ */
+function deriveView(state) {
+  const data = state.data || [];
+  
+  let dateRange = { start: state.dateRange.start, end: state.dateRange.end };
+  if (state.dateRange.preset) {
+    dateRange = resolveDatePreset(state.dateRange.preset, data) || { start: null, end: null };
+  }
+  
+  const comparisonRange = state.comparison ?
+    getComparisonRange(state.comparison.mode, dateRange, state.comparison.customRange) :
+    null;
+  
+  // Every row and readable week in the range, before the employee, task and search filters
+  const rangeData = filterDataByDateRange(data, dateRange.start, dateRange.end);
+  const { weeks: sortedWeeks, unparseable } = sortWeekRanges(rangeData.map(row => row['Week Range']));
+  const weeks = sortedWeeks.filter(week => !unparseable.includes(week));
+  
+  return {
+    dateRange,
+    filteredData: filterData(data, dateRange, state),
+    comparisonRange,
+    comparisonData: comparisonRange ? filterData(data, comparisonRange, state) : [],
+    rangeData,
+    weeks,
+    // Weekly budgets count every week in the range that anyone logged, whatever the filters
+    budgetWeeks: countWeeks(rangeData)
+  };
+}
+
 /**
  * Update week range dropdown options
  * @param {Array} data - Employee data
  */
 function updateWeekRangeOptions(data) {
-  // Extract unique weeks and sort them
-  const weeks = [...new Set(data.map(row => row['Week Range']))].sort((a, b) => {
-    return new Date(a) - new Date(b);
-  });
+  // Unreadable weeks can't be filtered by date; the validation report lists their rows
+  const { weeks: sortedWeeks, unparseable } = sortWeekRanges(data.map(row => row['Week Range']));
+  const weeks = sortedWeeks.filter(week => !unparseable.includes(week));
+  
+  if (unparseable.length > 0) {
+    console.warn(`Unrecognized week ranges left out of the week filter: ${unparseable.join(', ')}`);
+  }
   
   const startWeekSelect = document.getElementById('start-week');
   const endWeekSelect = document.getElementById('end-week');
@@ -430,9 +658,6 @@ function updateWeekRangeOptions(data) {
   
   if (weeks.includes(currentEndWeek)) {
     endWeekSelect.value = currentEndWeek;
-  } else if (weeks.length > 0) {
-    // Default to the latest week for end week
-    endWeekSelect.value = weeks[weeks.length - 1];
   }
 }
 
@@ -442,19 +667,27 @@ function updateWeekRangeOptions(data) {
 function updateFilterDisplay() {
   const activeFilter = document.getElementById('active-filter');
   const filterText = document.getElementById('filter-text');
+  const preset = dashboardState.getDateRange().preset;
+  const comparison = dashboardState.getComparison();
+  
+  const selectedEmployees = dashboardState.getSelectedEmployees();
   
-  if (activeStartWeek === 'all' && activeEndWeek === 'all') {
+  if (!view.dateRange.start && !view.dateRange.end && !comparison && selectedEmployees.length === 0) {
     activeFilter.classList.add('hidden');
   } else {
     activeFilter.classList.remove('hidden');
-    let filterString = '';
+    let filterString = preset ?
+      `${DATE_PRESETS[preset].label} (${describeDateFilter()})` :
+      describeDateFilter();
     
-    if (activeStartWeek === 'all') {
-      filterString = `Up to ${activeEndWeek}`;
-    } else if (activeEndWeek === 'all') {
-      filterString = `From ${activeStartWeek} onwards`;
-    } else {
-      filterString = `${activeStartWeek} to ${activeEndWeek}`;
+    if (selectedEmployees.length > 0) {
+      filterString += ` for ${employeeFilter.describeSelection()}`;
+    }
+    
+    if (comparison) {
+      filterString += view.comparisonRange ?
+        `, compared with ${formatRangeLabel(view.comparisonRange)}` :
+        `, no range to compare with (${COMPARE_MODES[comparison.mode].toLowerCase()} needs a start and end date)`;
     }
     
     filterText.textContent = filterString;
@@ -472,7 +705,8 @@ function setupAutoRefresh() {
   }
   
   // Only set up auto-refresh if we successfully loaded data
-  if (employeesData.length > 0 && dataSourceConnected) {
+  const employeesData = dashboardState.getData() || [];
+  if (employeesData.length > 0 && dashboardState.isDataSourceConnected()) {
     console.log(`Setting up auto-refresh every ${SPREADSHEET_CONFIG.refreshInterval/1000} seconds`);
     
     // Set interval for auto-refresh
@@ -484,13 +718,7 @@ function setupAutoRefresh() {
         const newData = await fetchEmployeeData(true); // true = silent refresh
         
         if (newData.length > 0) {
-          employeesData = newData;
-          
-          // Update filtered data based on current filter settings
-          filteredEmployeesData = filterDataByWeekRange(employeesData, activeStartWeek, activeEndWeek);
-          
-          // Update all charts
-          updateAllEmployeeCharts();
+          applyEmployeeData(newData);
           
           console.log('Auto-refresh completed successfully');
         } else {
@@ -501,16 +729,12 @@ function setupAutoRefresh() {
       }
     }, SPREADSHEET_CONFIG.refreshInterval);
     
-    // Store status
-    autoRefreshEnabled = true;
-    
     // Update UI
     const autoRefreshStatus = document.getElementById('auto-refresh-status');
     autoRefreshStatus.textContent = `Auto-refreshes every ${SPREADSHEET_CONFIG.refreshInterval/60000} minutes`;
     autoRefreshStatus.classList.remove('hidden');
   } else {
     // Disable auto-refresh UI
-    autoRefreshEnabled = false;
     const autoRefreshStatus = document.getElementById('auto-refresh-status');
     autoRefreshStatus.classList.add('hidden');
   }
@@ -520,152 +744,148 @@ function setupAutoRefresh() {
  * Update all employee charts with filtered data
  */
 function updateAllEmployeeCharts() {
+  // Make sure there is a tab and dashboard for everyone in the data
+  updateRoster();
+  
   // Update chart titles based on display mode
-  updateChartTitles(globalLevelMode, globalDisplayMode);
+  updateChartTitles(
+    dashboardState.getLevelMode(),
+    dashboardState.getDisplayMode(),
+    roster.map(employee => employee.id),
+    dashboardState.getTimeGranularity()
+  );
   
   // Initialize the team dashboard first
   initializeTeamDashboard();
   
   // Then initialize individual employee dashboards
-  initializeEmployeeCharts('victoria');
-  initializeEmployeeCharts('kyle');
-  initializeEmployeeCharts('brooke');
-  initializeEmployeeCharts('melanie');
-  initializeEmployeeCharts('austin');
+  roster.forEach(employee => initializeEmployeeCharts(employee.id));
+  
+  // Flag weeks that could not be priced
+  updateRateWarning();
   
   // Update filter display
   updateFilterDisplay();
 }
 
 /**
- * Initialize charts for an individual employee
- * @param {string} employeeName - Employee name
+ * Show which employee weeks have hours but no hourly rate defined
  */
-function initializeEmployeeCharts(employeeName) {
-  if (employeesData.length === 0) {
-    displayNoDataMessage(employeeName);
+function updateRateWarning() {
+  const rateWarning = document.getElementById('rate-warning');
+  const rateWarningText = document.getElementById('rate-warning-text');
+  const missing = findWeeksWithoutRate(dashboardState.getData() || []);
+  
+  if (missing.length === 0) {
+    rateWarning.classList.add('hidden');
     return;
   }
   
-  const taskCategories = getTaskCategories(employeesData);
-  
-  // Get data for this employee
-  const employeeData = filteredEmployeesData.filter(row => {
-    const email = row.User.toLowerCase();
-    return email.includes(employeeName.toLowerCase());
-  });
+  rateWarningText.textContent = missing
+    .map(({ employee, week }) => `${getDisplayName(employee)} (${week})`)
+    .join(', ');
+  rateWarning.classList.remove('hidden');
+}
+
+/**
+ * Initialize charts for an individual employee
+ * @param {string} employeeName - Employee name
+ */
+function initializeEmployeeCharts(employeeName) {
+  initializeDashboardCharts(
+    employeeName,
+    getEmployeeRows(view.filteredData, employeeName),
+    getEmployeeRows(view.comparisonData, employeeName),
+    [employeeName]
+  );
+}
+
+/**
+ * Fill in the stat cards, pie, bar, timeline and utilization charts of one dashboard
+ * @param {string} employeeName - Employee id, or 'all' for the team dashboard
+ * @param {Array} employeeData - Rows in the date range
+ * @param {Array} comparisonData - Rows in the comparison range (used in compare mode)
+ * @param {Array<string>} employeeIds - People the dashboard covers, for their contracted hours
+ * @returns {{detailedTaskData: Object, totalsByCategory: Object, detailedBreakdown: Array}|null}
+ *   - Figures for the date range, or null when there is nothing to show
+ */
+function initializeDashboardCharts(employeeName, employeeData, comparisonData, employeeIds) {
+  const employeesData = dashboardState.getData() || [];
+  const globalDisplayMode = dashboardState.getDisplayMode();
+  const globalLevelMode = dashboardState.getLevelMode();
+  const globalTimeGranularity = dashboardState.getTimeGranularity();
+  
+  // Utilization counts every hour logged in the range, so it shows even when the filters
+  // leave nothing else (a contracted week with no hours is 0%)
+  const capacity = hasContracts(employeeIds) ?
+    summarizeCapacity(view.rangeData, employeeIds, view.weeks, getTaskCategories(employeesData)) :
+    null;
+  updateCapacity(employeeName, capacity);
+  
+  // Weeks someone should have logged but didn't, or logged suspiciously little
+  const gaps = getTimesheetGaps(employeeIds);
   
   // If no data after filtering, show a message
-  if (employeeData.length === 0) {
+  if (employeesData.length === 0 || employeeData.length === 0) {
     displayNoDataMessage(employeeName);
-    return;
+    return null;
   }
   
-  // Calculate detailed task data
-  const detailedTaskData = calculateDetailedTaskData(employeeData, taskCategories);
+  const taskCategories = getVisibleTasks(getTaskCategories(employeesData), dashboardState.getFilterState());
   
-  // Also calculate simple totals for backward compatibility
-  const totalsByCategory = {};
-  taskCategories.forEach(task => {
-    totalsByCategory[task] = detailedTaskData[task].totalHours;
-  });
+  const { detailedTaskData, totalsByCategory, detailedBreakdown } = summarizeRows(employeeData, taskCategories);
   
-  // Create detailed breakdown for bar chart
-  const detailedBreakdown = [];
-  Object.entries(detailedTaskData).forEach(([taskName, data]) => {
-    if (data.totalHours > 0) {
-      // Find which type this category belongs to
-      let categoryType = '';
-      Object.entries(TASK_CATEGORIES).forEach(([type, categories]) => {
-        if (categories.includes(taskName)) {
-          categoryType = type;
-        }
-      });
-      
-      detailedBreakdown.push({
-        name: taskName,
-        hours: data.totalHours,
-        cost: data.totalCost,
-        type: categoryType
-      });
-    }
-  });
+  // The same figures for the comparison range, in compare mode
+  const comparison = view.comparisonRange ?
+    summarizeRows(comparisonData, taskCategories) :
+    null;
   
-  const hourlyRate = getHourlyRate(employeeName);
+  // Planned against logged hours or cost, for the current range
+  const barData = buildBarData(detailedBreakdown);
+  const budget = getDashboardBudget(employeeName, barData, taskCategories);
   
   // Update summary statistics
-  updateEmployeeSummary(employeeName, totalsByCategory, detailedBreakdown);
-  
-  // Initialize pie chart
+  // The team's weeks already include any a person missed
+  const missingWeeks = employeeName === 'all' ?
+    [] :
+    gaps.filter(gap => gap.reason === 'missing').map(gap => gap.week);
+  updateEmployeeSummary(employeeName, totalsByCategory, detailedBreakdown, employeeData, comparison, capacity, missingWeeks);
+  updateBudgetVariance(employeeName, budget);
+  
+  // Initialize pie chart, with the comparison range's beside it
   initializeTaskPieChart(
     employeeName, 
     detailedTaskData,
     globalLevelMode,
     globalDisplayMode
   );
+  updateComparisonPieChart(employeeName, comparison);
   
-  // Initialize bar chart with category or task view
-  let barData = [];
-  
-  if (globalLevelMode === 'category') {
-    // Prepare data aggregated by category
-    const categoryData = {};
-    
-    // Initialize category data
-    Object.keys(TASK_CATEGORIES).forEach(category => {
-      categoryData[category] = {
-        name: category,
-        hours: 0,
-        cost: 0,
-        type: category
-      };
-    });
-    
-    // Aggregate task data into categories
-    detailedBreakdown.forEach(task => {
-      Object.entries(TASK_CATEGORIES).forEach(([category, tasks]) => {
-        if (tasks.includes(task.name)) {
-          categoryData[category].hours += task.hours;
-          categoryData[category].cost += task.cost;
-        }
-      });
-    });
-    
-    // Convert to array and filter out empty categories
-    barData = Object.values(categoryData).filter(item => item.hours > 0);
-    
-    // Sort by hours (descending)
-    barData.sort((a, b) => b.hours - a.hours);
-  } else {
-    // Use task-level data (original implementation)
-    barData = [...detailedBreakdown].sort((a, b) => {
-      const indexA = TASK_ORDER.indexOf(a.name);
-      const indexB = TASK_ORDER.indexOf(b.name);
-      
-      // If both tasks are in our order list, use that order
-      if (indexA !== -1 && indexB !== -1) {
-        return indexA - indexB;
-      }
-      
-      // If only one is in the list, prioritize the one in the list
-      if (indexA !== -1) return -1;
-      if (indexB !== -1) return 1;
-      
-      // If neither is in the list, sort by hours (descending)
-      return b.hours - a.hours;
-    });
-  }
-  
-  initializeBarChart(employeeName, barData, globalLevelMode, globalDisplayMode);
+  // Initialize bar chart with category or task view, paired with the comparison range
+  initializeBarChart(
+    employeeName,
+    barData,
+    globalLevelMode,
+    globalDisplayMode,
+    comparison ? {
+      barData: buildBarData(comparison.detailedBreakdown),
+      currentLabel: describeDateFilter(),
+      compareLabel: formatRangeLabel(view.comparisonRange)
+    } : null,
+    budget
+  );
   
   // Initialize time line chart if available
   const timeChartContainer = document.getElementById(`${employeeName}-timeLineChart-container`);
   const noDataMessage = document.getElementById(`${employeeName}-no-trend-data`);
   
-  // Check if we have multiple weeks of data
-  const uniqueWeeks = [...new Set(employeeData.map(row => row['Week Range']))];
+  // Group rows into days, weeks, months or quarters, in date order. Each gap adds an empty
+  // row so a missing week still gets a bucket for its marker.
+  const gapRows = gaps.map(gap => ({ User: gap.employee, 'Week Range': gap.week }));
+  const buckets = groupRowsByBucket([...employeeData, ...gapRows], globalTimeGranularity);
+  const bucketLabels = buckets.map(bucket => bucket.label);
   
-  if (uniqueWeeks.length > 1) {
+  if (buckets.length > 1) {
     if (noDataMessage) {
       noDataMessage.style.display = 'none';
     }
@@ -674,52 +894,51 @@ function initializeEmployeeCharts(employeeName) {
       timeChartContainer.style.display = 'block';
     }
     
-    // Get weeks in chronological order
-    const weeks = [...uniqueWeeks].sort((a, b) => new Date(a) - new Date(b));
-    
     // Prepare datasets based on view level
     let datasets = [];
     
     if (globalLevelMode === 'category') {
-      // Create weekly data by category
-      const weeklyDataByCategory = {};
-      weeks.forEach(week => {
-        weeklyDataByCategory[week] = {
+      // Create data by category for each bucket
+      const bucketDataByCategory = buckets.map(bucket => {
+        const bucketData = {
           totalHours: 0,
           totalCost: 0
         };
         
         // Initialize categories
         Object.keys(TASK_CATEGORIES).forEach(category => {
-          weeklyDataByCategory[week][category] = {
+          bucketData[category] = {
             hours: 0,
             cost: 0
           };
         });
-      });
-      
-      // Fill data
-      employeeData.forEach(row => {
-        const week = row['Week Range'];
         
-        Object.entries(TASK_CATEGORIES).forEach(([category, tasks]) => {
-          tasks.forEach(task => {
-            const hours = row[task] || 0;
-            if (hours > 0) {
-              weeklyDataByCategory[week][category].hours += hours;
-              weeklyDataByCategory[week][category].cost += hours * hourlyRate;
-              weeklyDataByCategory[week].totalHours += hours;
-              weeklyDataByCategory[week].totalCost += hours * hourlyRate;
-            }
+        // Fill data
+        bucket.rows.forEach(row => {
+          // Each row at its own person's rate, so the team timeline prices everyone correctly
+          const hourlyRate = getHourlyRateForWeek(getEmployeeId(row.User), row['Week Range']) || 0;
+          
+          Object.entries(TASK_CATEGORIES).forEach(([category, tasks]) => {
+            tasks.forEach(task => {
+              const hours = row[task] || 0;
+              if (hours > 0) {
+                bucketData[category].hours += hours;
+                bucketData[category].cost += hours * hourlyRate;
+                bucketData.totalHours += hours;
+                bucketData.totalCost += hours * hourlyRate;
+              }
+            });
           });
         });
+        
+        return bucketData;
       });
       
       // Create datasets for categories (top 3 by total hours)
       const categoryTotals = {};
       Object.keys(TASK_CATEGORIES).forEach(category => {
-        categoryTotals[category] = weeks.reduce((sum, week) => {
-          return sum + weeklyDataByCategory[week][category].hours;
+        categoryTotals[category] = bucketDataByCategory.reduce((sum, bucketData) => {
+          return sum + bucketData[category].hours;
         }, 0);
       });
       
@@ -737,9 +956,9 @@ function initializeEmployeeCharts(employeeName) {
       topCategories.forEach(category => {
         datasets.push({
           label: category,
-          data: weeks.map(week => displayByCost ? 
-            weeklyDataByCategory[week][category].cost : 
-            weeklyDataByCategory[week][category].hours),
+          data: bucketDataByCategory.map(bucketData => displayByCost ? 
+            bucketData[category].cost : 
+            bucketData[category].hours),
           borderColor: getCategoryBorderColor(category),
           backgroundColor: getCategoryColor(category),
           tension: 0.1
@@ -749,9 +968,9 @@ function initializeEmployeeCharts(employeeName) {
       // Add total dataset
       datasets.push({
         label: displayByCost ? 'Total Cost' : 'Total Hours',
-        data: weeks.map(week => displayByCost ? 
-          weeklyDataByCategory[week].totalCost : 
-          weeklyDataByCategory[week].totalHours),
+        data: bucketDataByCategory.map(bucketData => displayByCost ? 
+          bucketData.totalCost : 
+          bucketData.totalHours),
         borderColor: '#FF5733',
         backgroundColor: 'rgba(255, 87, 51, 0.8)',
         borderWidth: 2,
@@ -761,64 +980,60 @@ function initializeEmployeeCharts(employeeName) {
       // Get top 3 activities
       const topActivities = detailedBreakdown.slice(0, 3);
       
-      // Prepare data for each week
-      const weeklyDataMap = {};
-      employeeData.forEach(row => {
-        const week = row['Week Range'];
-        if (!weeklyDataMap[week]) {
-          weeklyDataMap[week] = {
-            totalHours: 0,
-            totalCost: 0
-          };
-          
-          // Initialize all top activities
-          topActivities.forEach(activity => {
-            weeklyDataMap[week][activity.name] = {
-              hours: 0,
-              cost: 0
-            };
-          });
-        }
+      // Prepare data for each bucket
+      const bucketData = buckets.map(bucket => {
+        const totals = {
+          totalHours: 0,
+          totalCost: 0
+        };
         
-        // Add hours for each activity
+        // Initialize all top activities
         topActivities.forEach(activity => {
-          const hours = row[activity.name] || 0;
-          if (hours > 0) {
-            weeklyDataMap[week][activity.name].hours += hours;
-            weeklyDataMap[week][activity.name].cost += hours * hourlyRate;
-            weeklyDataMap[week].totalHours += hours;
-            weeklyDataMap[week].totalCost += hours * hourlyRate;
-          }
+          totals[activity.name] = {
+            hours: 0,
+            cost: 0
+          };
         });
         
-        // Add other hours and costs
-        Object.keys(row).forEach(key => {
-          if (!['Date', 'User', 'Week Range'].includes(key) && 
-              !topActivities.some(a => a.name === key)) {
-            const hours = row[key] || 0;
+        bucket.rows.forEach(row => {
+          const hourlyRate = getHourlyRateForWeek(getEmployeeId(row.User), row['Week Range']) || 0;
+          
+          // Add hours for each activity
+          topActivities.forEach(activity => {
+            const hours = row[activity.name] || 0;
             if (hours > 0) {
-              weeklyDataMap[week].totalHours += hours;
-              weeklyDataMap[week].totalCost += hours * hourlyRate;
+              totals[activity.name].hours += hours;
+              totals[activity.name].cost += hours * hourlyRate;
+              totals.totalHours += hours;
+              totals.totalCost += hours * hourlyRate;
             }
-          }
+          });
+          
+          // Add other hours and costs
+          Object.keys(row).forEach(key => {
+            if (!['Date', 'User', 'Week Range'].includes(key) && 
+                !topActivities.some(a => a.name === key)) {
+              const hours = row[key] || 0;
+              if (hours > 0) {
+                totals.totalHours += hours;
+                totals.totalCost += hours * hourlyRate;
+              }
+            }
+          });
         });
+        
+        return totals;
       });
       
-      // Convert to array format for chart
-      const weeklyData = weeks.map(week => ({
-        week,
-        ...weeklyDataMap[week]
-      }));
-      
       // Use cost or hours based on global display mode
       const displayByCost = globalDisplayMode === 'cost';
       
       // Create datasets
       datasets = topActivities.map(activity => ({
         label: activity.name,
-        data: weeklyData.map(week => displayByCost ? 
-          week[activity.name]?.cost || 0 : 
-          week[activity.name]?.hours || 0),
+        data: bucketData.map(totals => displayByCost ? 
+          totals[activity.name]?.cost || 0 : 
+          totals[activity.name]?.hours || 0),
         borderColor: getTaskBorderColor(activity.name),
         backgroundColor: getTaskColor(activity.name),
         tension: 0.1
@@ -827,7 +1042,7 @@ function initializeEmployeeCharts(employeeName) {
       // Add total dataset
       datasets.push({
         label: displayByCost ? 'Total Cost' : 'Total Hours',
-        data: weeklyData.map(week => displayByCost ? week.totalCost : week.totalHours),
+        data: bucketData.map(totals => displayByCost ? totals.totalCost : totals.totalHours),
         borderColor: '#FF5733',
         backgroundColor: 'rgba(255, 87, 51, 0.8)',
         borderWidth: 2,
@@ -835,7 +1050,26 @@ function initializeEmployeeCharts(employeeName) {
       });
     }
     
-    initializeTimeLineChart(employeeName, datasets, weeks, globalDisplayMode);
+    // Mark the buckets holding a missing or low week
+    const gapNotes = buckets.map(bucket => gaps
+      .filter(gap => getBucket({ 'Week Range': gap.week }, globalTimeGranularity)?.key === bucket.key)
+      .map(gap => `${getDisplayName(gap.employee)}: ${gap.reason === 'missing' ? 'no timesheet' : `only ${gap.hours.toFixed(1)} hours`} (${gap.week})`));
+    
+    if (gapNotes.some(notes => notes.length > 0)) {
+      datasets.push({
+        label: 'Missing or low timesheet',
+        data: gapNotes.map(notes => notes.length > 0 ? 0 : null),
+        gapNotes,
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: 8,
+        pointHoverRadius: 10,
+        borderColor: '#dc2626',
+        backgroundColor: '#dc2626'
+      });
+    }
+    
+    initializeTimeLineChart(employeeName, datasets, bucketLabels, globalDisplayMode);
   } else {
     // Hide line chart container
     if (timeChartContainer) {
@@ -845,22 +1079,237 @@ function initializeEmployeeCharts(employeeName) {
     // Show no data message
     if (noDataMessage) {
       noDataMessage.style.display = 'block';
-      if (uniqueWeeks.length === 1) {
-        noDataMessage.textContent = `Weekly trend data not available - ${employeeName} only has data for one week (${uniqueWeeks[0]})`;
+      if (buckets.length === 1) {
+        const granularityLabel = TIME_GRANULARITIES[globalTimeGranularity];
+        noDataMessage.textContent = `${granularityLabel} trend data not available - ${getDisplayName(employeeName)} only has data for one ${globalTimeGranularity} (${bucketLabels[0]})`;
       } else {
         noDataMessage.textContent = `No data available for the selected date range.`;
       }
     }
   }
+  
+  return { detailedTaskData, totalsByCategory, detailedBreakdown };
+}
+
+/**
+ * Total up rows by task
+ * @param {Array} rows - Rows for one employee (or the team)
+ * @param {Array<string>} taskCategories - Task columns
+ * @returns {{rows: Array, detailedTaskData: Object, totalsByCategory: Object, detailedBreakdown: Array}}
+ *   - The rows, task totals with cost, hours by task, and the tasks worked on
+ */
+function summarizeRows(rows, taskCategories) {
+  // Calculate detailed task data
+  const detailedTaskData = calculateDetailedTaskData(rows, taskCategories);
+  
+  // Also calculate simple totals for backward compatibility
+  const totalsByCategory = {};
+  taskCategories.forEach(task => {
+    totalsByCategory[task] = detailedTaskData[task].totalHours;
+  });
+  
+  // Create detailed breakdown for bar chart
+  const detailedBreakdown = [];
+  Object.entries(detailedTaskData).forEach(([taskName, data]) => {
+    if (data.totalHours > 0) {
+      // Find which type this category belongs to
+      let categoryType = '';
+      Object.entries(TASK_CATEGORIES).forEach(([type, categories]) => {
+        if (categories.includes(taskName)) {
+          categoryType = type;
+        }
+      });
+      
+      detailedBreakdown.push({
+        name: taskName,
+        hours: data.totalHours,
+        cost: data.totalCost,
+        type: categoryType
+      });
+    }
+  });
+  
+  return { rows, detailedTaskData, totalsByCategory, detailedBreakdown };
+}
+
+/**
+ * Build the bar chart items for the current view level
+ * @param {Array} detailedBreakdown - Tasks worked on, from summarizeRows
+ * @returns {Array<{name: string, hours: number, cost: number, type: string}>} - Categories by
+ *   hours, or tasks in the configured order
+ */
+function buildBarData(detailedBreakdown) {
+  let barData = [];
+  
+  if (dashboardState.getLevelMode() === 'category') {
+    // Prepare data aggregated by category
+    const categoryData = {};
+    
+    // Initialize category data
+    Object.keys(TASK_CATEGORIES).forEach(category => {
+      categoryData[category] = {
+        name: category,
+        hours: 0,
+        cost: 0,
+        type: category
+      };
+    });
+    
+    // Aggregate task data into categories
+    detailedBreakdown.forEach(task => {
+      Object.entries(TASK_CATEGORIES).forEach(([category, tasks]) => {
+        if (tasks.includes(task.name)) {
+          categoryData[category].hours += task.hours;
+          categoryData[category].cost += task.cost;
+        }
+      });
+    });
+    
+    // Convert to array and filter out empty categories
+    barData = Object.values(categoryData).filter(item => item.hours > 0);
+    
+    // Sort by hours (descending)
+    barData.sort((a, b) => b.hours - a.hours);
+  } else {
+    // Use task-level data (original implementation)
+    barData = [...detailedBreakdown].sort((a, b) => {
+      const indexA = TASK_ORDER.indexOf(a.name);
+      const indexB = TASK_ORDER.indexOf(b.name);
+      
+      // If both tasks are in our order list, use that order
+      if (indexA !== -1 && indexB !== -1) {
+        return indexA - indexB;
+      }
+      
+      // If only one is in the list, prioritize the one in the list
+      if (indexA !== -1) return -1;
+      if (indexB !== -1) return 1;
+      
+      // If neither is in the list, sort by hours (descending)
+      return b.hours - a.hours;
+    });
+  }
+  
+  return barData;
 }
 
 /**
- * Initialize the team dashboard
+ * Describe the active date filter
+ * @returns {string} - e.g. "3/1/2025 to 3/31/2025", "From 3/1/2025 onwards" or "All dates"
+ */
+function describeDateFilter() {
+  const { start, end } = view.dateRange;
+  
+  if (start && end) {
+    return `${start.toLocaleDateString()} to ${end.toLocaleDateString()}`;
+  }
+  if (start) {
+    return `From ${start.toLocaleDateString()} onwards`;
+  }
+  if (end) {
+    return `Up to ${end.toLocaleDateString()}`;
+  }
+  return 'All dates';
+}
+
+/**
+ * Show or hide the comparison range's pie chart next to the current one
+ * @param {string} employeeName - Employee name or 'all'
+ * @param {Object|null} comparison - Comparison range figures from summarizeRows, or null
+ */
+function updateComparisonPieChart(employeeName, comparison) {
+  const pieContainer = document.getElementById(`${employeeName}-pie-container`);
+  const comparePanel = document.getElementById(`${employeeName}-pie-compare-panel`);
+  const currentCaption = document.getElementById(`${employeeName}-pie-caption`);
+  const compareCaption = document.getElementById(`${employeeName}-pie-compare-caption`);
+  if (!pieContainer || !comparePanel) return;
+  
+  const pair = pieContainer.querySelector('.pie-pair');
+  
+  if (!comparison) {
+    cleanupChart(employeeName, 'comparePieChart');
+    pieContainer.classList.remove('full-width-chart');
+    pair.classList.remove('comparing');
+    comparePanel.classList.add('hidden');
+    currentCaption.classList.add('hidden');
+    return;
+  }
+  
+  // Two pies need the full row
+  pieContainer.classList.add('full-width-chart');
+  pair.classList.add('comparing');
+  comparePanel.classList.remove('hidden');
+  currentCaption.classList.remove('hidden');
+  
+  currentCaption.textContent = describeDateFilter();
+  compareCaption.textContent = comparison.detailedBreakdown.length > 0 ?
+    formatRangeLabel(view.comparisonRange) :
+    `${formatRangeLabel(view.comparisonRange)}: no hours`;
+  
+  initializeComparisonPieChart(
+    employeeName,
+    comparison.detailedTaskData,
+    dashboardState.getLevelMode(),
+    dashboardState.getDisplayMode()
+  );
+}
+
+/**
+ * Initialize the team dashboard from everyone's rows, then compare the people in it
  */
 function initializeTeamDashboard() {
-  // Implementation of team dashboard goes here
-  // (Similar structure to individual employee dashboards)
-  // For brevity, this is omitted from this file
+  const employeeIds = roster.map(employee => employee.id);
+  needsAttentionPanel.render(getTimesheetGaps(employeeIds), roster);
+  
+  // Unusual weeks in the range for the tasks shown, each against that person's history
+  const data = dashboardState.getData() || [];
+  const visibleTasks = getVisibleTasks(getTaskCategories(data), dashboardState.getFilterState());
+  anomalyAlertsPanel.render(findAnomalies(data, employeeIds, view.weeks, visibleTasks), roster);
+  
+  const team = initializeDashboardCharts('all', view.filteredData, view.comparisonData, employeeIds);
+  
+  if (!team) {
+    cleanupChart('all', 'comparisonChart');
+    return;
+  }
+  
+  initializeComparisonChart(
+    buildEmployeeComparisonData(team.detailedTaskData, buildBarData(team.detailedBreakdown)),
+    dashboardState.getDisplayMode()
+  );
+}
+
+/**
+ * Build the stacked employee comparison: one bar per person, one stack per category or task
+ * @param {Object} detailedTaskData - Team task totals with their byEmployee split
+ * @param {Array} barData - Categories or tasks to stack, from buildBarData
+ * @returns {{labels: Array<string>, datasets: Array<Object>}} - Chart.js bar data
+ */
+function buildEmployeeComparisonData(detailedTaskData, barData) {
+  const displayByCost = dashboardState.getDisplayMode() === 'cost';
+  const byCategory = dashboardState.getLevelMode() === 'category';
+  
+  const datasets = barData.map(item => {
+    const tasks = byCategory ? TASK_CATEGORIES[item.name] : [item.name];
+    
+    return {
+      label: item.name,
+      // byEmployee was priced row by row, so each person's cost is at their own rate
+      data: roster.map(employee => tasks.reduce((sum, task) => {
+        const figures = detailedTaskData[task] && detailedTaskData[task].byEmployee[employee.id];
+        if (!figures) return sum;
+        return sum + (displayByCost ? figures.cost : figures.hours);
+      }, 0)),
+      backgroundColor: byCategory ? getCategoryColor(item.name) : getTaskColor(item.name),
+      borderColor: byCategory ? getCategoryBorderColor(item.name) : getTaskBorderColor(item.name),
+      borderWidth: 1
+    };
+  });
+  
+  return {
+    labels: roster.map(employee => employee.displayName),
+    datasets
+  };
 }
 
 /**
@@ -868,11 +1317,12 @@ function initializeTeamDashboard() {
  * @param {string} employeeName - Employee name
  * @param {Object} totalsByCategory - Hours by category
  * @param {Array} detailedBreakdown - Detailed breakdown
+ * @param {Array} employeeData - Rows the totals came from
+ * @param {Object|null} [comparison] - Comparison range figures from summarizeRows, in compare mode
+ * @param {Object|null} [capacity] - Contracted and logged hours from summarizeCapacity
+ * @param {Array<string>} [missingWeeks] - Weeks the employee should have logged but didn't
  */
-function updateEmployeeSummary(employeeName, totalsByCategory, detailedBreakdown) {
-  // Get the correct hourly rate for this employee
-  const hourlyRate = getHourlyRate(employeeName);
-  
+function updateEmployeeSummary(employeeName, totalsByCategory, detailedBreakdown, employeeData, comparison = null, capacity = null, missingWeeks = []) {
   const totalHoursElement = document.getElementById(`${employeeName}-total-hours`);
   const totalHoursSubtitleElement = document.getElementById(`${employeeName}-total-hours-subtitle`);
   const totalCostElement = document.getElementById(`${employeeName}-total-cost`);
@@ -885,8 +1335,9 @@ function updateEmployeeSummary(employeeName, totalsByCategory, detailedBreakdown
   const weeklyAverageSubtitleElement = document.getElementById(`${employeeName}-weekly-average-subtitle`);
   const weeklyAverageCostElement = document.getElementById(`${employeeName}-weekly-average-cost`);
   
-  // Calculate total hours
+  // Calculate total hours, and total cost priced week by week
   const totalHours = Object.values(totalsByCategory).reduce((sum, hours) => sum + hours, 0);
+  const totalCost = detailedBreakdown.reduce((sum, task) => sum + task.cost, 0);
   
   // Find most time-consuming activity
   let mostTimeActivity = "None";
@@ -901,13 +1352,15 @@ function updateEmployeeSummary(employeeName, totalsByCategory, detailedBreakdown
     mostTimeActivity = topActivity.name;
     mostTimeHours = topActivity.hours;
     mostTimePercentage = ((mostTimeHours / totalHours) * 100).toFixed(1);
-    mostTimeCost = topActivity.cost !== undefined ? topActivity.cost : mostTimeHours * hourlyRate;
+    mostTimeCost = topActivity.cost;
   }
   
   // Calculate weekly average
-  const employeeData = filteredEmployeesData.filter(row => row.User.toLowerCase().includes(employeeName));
-  const uniqueWeeks = [...new Set(employeeData.map(row => row['Week Range']))];
+  // Weeks without a timesheet still count, so a forgotten week doesn't inflate the average
+  const uniqueWeeks = [...new Set([...employeeData.map(row => row['Week Range']), ...missingWeeks])];
   const weeklyAverage = (totalHours / uniqueWeeks.length).toFixed(1);
+  const weeklyAverageCost = totalCost / uniqueWeeks.length;
+  const weeksWithoutRate = findWeeksWithoutRate(employeeData).length;
   
   // Update the elements if they exist
   if (totalHoursElement) {
@@ -915,11 +1368,13 @@ function updateEmployeeSummary(employeeName, totalsByCategory, detailedBreakdown
   }
   
   if (totalHoursSubtitleElement) {
-    totalHoursSubtitleElement.textContent = `Hours tracked across ${uniqueWeeks.length} week${uniqueWeeks.length !== 1 ? 's' : ''}`;
+    totalHoursSubtitleElement.textContent = `Hours tracked across ${pluralize(uniqueWeeks.length, 'week')}` +
+      (missingWeeks.length > 0 ? ` (${missingWeeks.length} without a timesheet)` : '');
   }
   
   if (totalCostElement) {
-    totalCostElement.textContent = `$${(totalHours * hourlyRate).toFixed(2)} total compensation`;
+    totalCostElement.textContent = `$${totalCost.toFixed(2)} total compensation` +
+      (weeksWithoutRate > 0 ? ` (${pluralize(weeksWithoutRate, 'week')} without a rate)` : '');
   }
   
   if (mostTimeActivityElement) {
@@ -939,12 +1394,165 @@ function updateEmployeeSummary(employeeName, totalsByCategory, detailedBreakdown
   }
   
   if (weeklyAverageSubtitleElement) {
-    weeklyAverageSubtitleElement.textContent = 'Hours per week';
+    // Set against the contracted hours per week, where there is a contract
+    const contractedWeeks = capacity ? capacity.weeks.filter(figures => figures.contracted > 0) : [];
+    weeklyAverageSubtitleElement.textContent = contractedWeeks.length > 0 ?
+      `Hours per week, against ${(capacity.contracted / contractedWeeks.length).toFixed(1)} contracted` :
+      'Hours per week';
   }
   
   if (weeklyAverageCostElement) {
-    weeklyAverageCostElement.textContent = `$${(weeklyAverage * hourlyRate).toFixed(2)} weekly compensation`;
+    weeklyAverageCostElement.textContent = `$${weeklyAverageCost.toFixed(2)} weekly compensation`;
+  }
+  
+  // Change against the comparison range
+  if (!comparison) {
+    updateStatChange(`${employeeName}-total-hours-change`, null);
+    updateStatChange(`${employeeName}-most-time-change`, null);
+    updateStatChange(`${employeeName}-weekly-average-change`, null);
+    return;
+  }
+  
+  const previousHours = Object.values(comparison.totalsByCategory).reduce((sum, hours) => sum + hours, 0);
+  const previousTopActivity = comparison.detailedBreakdown.find(task => task.name === mostTimeActivity);
+  const previousWeeks = new Set(comparison.rows.map(row => row['Week Range'])).size;
+  const previousWeeklyAverage = previousWeeks > 0 ? previousHours / previousWeeks : 0;
+  
+  updateStatChange(`${employeeName}-total-hours-change`, calculateChange(totalHours, previousHours), 'hours');
+  updateStatChange(`${employeeName}-most-time-change`, calculateChange(mostTimeHours, previousTopActivity ? previousTopActivity.hours : 0), 'hours on this activity');
+  updateStatChange(`${employeeName}-weekly-average-change`, calculateChange(totalHours / uniqueWeeks.length, previousWeeklyAverage), 'hours per week');
+}
+
+/**
+ * Find the missing and low weeks in the date range
+ * @param {Array<string>} employeeIds - Employees to check
+ * @returns {Array} - Gaps from findTimesheetGaps
+ */
+function getTimesheetGaps(employeeIds) {
+  const data = dashboardState.getData() || [];
+  return findTimesheetGaps(data, employeeIds, view.weeks, getTaskCategories(data));
+}
+
+/**
+ * Show contracted against logged hours on a dashboard's utilization chart
+ * @param {string} employeeName - Employee id, or 'all' for the team
+ * @param {Object|null} capacity - Result of summarizeCapacity, or null when no one has a contract
+ */
+function updateCapacity(employeeName, capacity) {
+  const summaryElement = document.getElementById(`${employeeName}-utilization-summary`);
+  const chartContainer = document.getElementById(`${employeeName}-utilizationChart-container`);
+  const noDataMessage = document.getElementById(`${employeeName}-no-utilization-data`);
+  if (!summaryElement || !chartContainer || !noDataMessage) return;
+  
+  if (!capacity || capacity.contracted === 0) {
+    cleanupChart(employeeName, 'utilizationChart');
+    chartContainer.style.display = 'none';
+    summaryElement.textContent = '';
+    noDataMessage.style.display = 'block';
+    noDataMessage.textContent = capacity ?
+      'No contracted weeks in the selected date range.' :
+      `No contracted hours are configured for ${getDisplayName(employeeName)}.`;
+    return;
   }
+  
+  summaryElement.textContent =
+    `${capacity.contracted.toFixed(1)} hours available, ${capacity.logged.toFixed(1)} used ` +
+    `(${capacity.utilization.toFixed(0)}% utilization). ` +
+    `${pluralize(capacity.underWeeks, 'week')} under capacity, ${pluralize(capacity.overWeeks, 'week')} over.`;
+  
+  noDataMessage.style.display = 'none';
+  chartContainer.style.display = 'block';
+  initializeUtilizationChart(employeeName, capacity.weeks);
+}
+
+/**
+ * Work out budget-vs-actual for a dashboard
+ * @param {string} employeeName - Employee id, or 'all' for the team
+ * @param {Array} barData - Actuals per category or task, from buildBarData
+ * @param {Array<string>} visibleTasks - Tasks shown on the dashboard
+ * @returns {Array|null} - Result of compareWithBudget, or null when nothing is budgeted
+ */
+function getDashboardBudget(employeeName, barData, visibleTasks) {
+  const unit = dashboardState.getDisplayMode();
+  const amounts = getBudgetAmounts({
+    employeeId: employeeName,
+    teamIds: roster.map(employee => employee.id),
+    level: dashboardState.getLevelMode(),
+    unit,
+    weeks: view.budgetWeeks,
+    visibleTasks
+  });
+  
+  return Object.keys(amounts).length > 0 ? compareWithBudget(barData, amounts, unit) : null;
+}
+
+/**
+ * Show the total variance against budget on the Total Hours card, naming what is over
+ * @param {string} employeeName - Employee id, or 'all' for the team
+ * @param {Array|null} budget - Result of compareWithBudget, or null to hide
+ */
+function updateBudgetVariance(employeeName, budget) {
+  const element = document.getElementById(`${employeeName}-budget-variance`);
+  if (!element) return;
+  
+  if (!budget) {
+    element.classList.add('hidden');
+    element.textContent = '';
+    return;
+  }
+  
+  const displayByCost = dashboardState.getDisplayMode() === 'cost';
+  const formatAmount = value => displayByCost ? `$${value.toFixed(2)}` : `${value.toFixed(1)} hours`;
+  
+  const planned = budget.reduce((sum, item) => sum + item.budget, 0);
+  const actual = budget.reduce((sum, item) => sum + item.actual, 0);
+  const change = calculateChange(actual, planned);
+  const overItems = budget.filter(item => item.over);
+  
+  // A budget of nothing has no percentage to show
+  const variance = planned > 0 ? formatChange(change, formatAmount) : `${formatAmount(actual)} logged`;
+  element.textContent = `${variance} vs budget of ${formatAmount(planned)}` +
+    (overItems.length > 0 ?
+      `. Over: ${overItems.map(item => item.percent === null ? item.name : `${item.name} (+${item.percent.toFixed(0)}%)`).join(', ')}` :
+      '');
+  element.classList.toggle('over', overItems.length > 0);
+  element.classList.remove('hidden');
+}
+
+/**
+ * Show a stat card's change against the comparison range
+ * @param {string} elementId - Change element id
+ * @param {{delta: number, percent: number|null}|null} change - Result of calculateChange, or null to hide
+ * @param {string} [unit] - What the change is measured in
+ */
+function updateStatChange(elementId, change, unit = '') {
+  const element = document.getElementById(elementId);
+  if (!element) return;
+  
+  element.classList.remove('up', 'down');
+  
+  if (!change) {
+    element.classList.add('hidden');
+    element.textContent = '';
+    return;
+  }
+  
+  element.textContent = `${formatChange(change)} ${unit} vs ${formatRangeLabel(view.comparisonRange)}`;
+  if (change.delta > 0) element.classList.add('up');
+  if (change.delta < 0) element.classList.add('down');
+  element.classList.remove('hidden');
+}
+
+/**
+ * Get the display name for an employee id
+ * @param {string} employeeName - Employee id or 'all'
+ * @returns {string} - Display name from the roster
+ */
+function getDisplayName(employeeName) {
+  if (employeeName === 'all') return 'the team';
+  
+  const employee = roster.find(entry => entry.id === employeeName);
+  return employee ? employee.displayName : employeeName;
 }
 
 /**
@@ -970,13 +1578,18 @@ function displayNoDataMessage(employeeName) {
     cost.textContent = '$0.00';
   });
   
+  // Nothing to compare
+  dashboard.querySelectorAll('.stat-change, .stat-budget').forEach(change => {
+    change.classList.add('hidden');
+  });
+  
   // Handle line chart
   const noTrendData = document.getElementById(`${employeeName}-no-trend-data`);
   const timeLineChartContainer = document.getElementById(`${employeeName}-timeLineChart-container`);
   
   if (noTrendData) {
     noTrendData.style.display = 'block';
-    noTrendData.textContent = `No data available for ${employeeName} in the selected date range.`;
+    noTrendData.textContent = `No data available for ${getDisplayName(employeeName)} in the selected date range.`;
   }
   
   if (timeLineChartContainer) {
@@ -1007,48 +1620,66 @@ function validateTaskCategories() {
 }
 
 /**
- * Filter data based on current state
- * @param {Array} data - Data to filter
- * @returns {Array} Filtered data
+ * Work out which task columns the task filter leaves visible
+ * @param {Array<string>} tasks - Task columns
+ * @param {Object} state - Filter state (selectedTasks)
+ * @returns {Array<string>} - Visible task columns
  */
-function filterData(data) {
-  let filtered = [...data];
-  const state = dashboardState.getFilterState();
-
-  // Apply week range filter
-  if (state.dateRange.start !== 'all' || state.dateRange.end !== 'all') {
-    filtered = filterDataByWeekRange(filtered, state.dateRange.start, state.dateRange.end);
-  }
+function getVisibleTasks(tasks, state) {
+  if (state.selectedTasks.length === 0) return tasks;
+  return tasks.filter(task => state.selectedTasks.includes(task));
+}
 
-  // Apply employee filter
-  if (state.activeEmployee !== 'all') {
-    filtered = filtered.filter(row => 
-      row.User.toLowerCase().includes(state.activeEmployee.toLowerCase())
-    );
+/**
+ * Read the search box query from the state
+ * A query the search box flagged as invalid (e.g. from an edited link) is ignored.
+ * @param {Object} state - Filter state (searchQuery)
+ * @returns {Object|null} - Parsed query, or null for no search
+ */
+function getSearchQuery(state) {
+  try {
+    return parseSearchQuery(state.searchQuery);
+  } catch (error) {
+    if (!(error instanceof FilterError)) throw error;
+    console.warn(`Ignoring search "${state.searchQuery}": ${error.message}`);
+    return null;
   }
+}
 
-  // Apply search filter
-  if (state.searchQuery) {
-    const query = state.searchQuery.toLowerCase();
-    filtered = filtered.filter(row => {
-      return Object.entries(row).some(([key, value]) => {
-        if (typeof value === 'string') {
-          return value.toLowerCase().includes(query);
-        }
-        return false;
-      });
-    });
+/**
+ * Filter data based on the state
+ * Rows are kept to the chosen people and the date range. The task filter and the search
+ * hide task columns rather than whole rows, since every row holds a week of every task;
+ * a search also drops rows where it matches no task.
+ * @param {Array} data - Data to filter
+ * @param {{start: Date|null, end: Date|null}} range - Date range
+ * @param {Object} state - Filter state
+ * @returns {Array} Filtered data
+ */
+function filterData(data, range, state) {
+  const filtered = filterDataByDateRange(getRowsForEmployees(data, state.selectedEmployees), range.start, range.end);
+  
+  const tasks = getTaskCategories(data);
+  const visibleTasks = getVisibleTasks(tasks, state);
+  const search = getSearchQuery(state);
+  if (!search && visibleTasks.length === tasks.length) {
+    return filtered;
   }
-
-  // Apply task category filter
-  if (state.taskCategory !== 'all') {
-    filtered = filtered.filter(row => {
-      const taskCategories = getTaskCategories([row]);
-      return taskCategories.includes(state.taskCategory);
+  
+  return filtered.flatMap(row => {
+    const projected = { ...row };
+    let matched = 0;
+    
+    tasks.forEach(task => {
+      if (visibleTasks.includes(task) && (!search || matchesSearch(search, row, task))) {
+        matched++;
+      } else {
+        delete projected[task];
+      }
     });
-  }
-
-  return filtered;
+    
+    return search && matched === 0 ? [] : [projected];
+  });
 }
 
 // Initialize the dashboard when DOM is loaded
@@ -0,0 +1,124 @@
+/**
+ * Anomaly Detection for HR Metrics Dashboard
+ * Flags weeks where someone's hours on a task fall well outside their recent pattern,
+ * using a rolling median and median absolute deviation (see ANOMALY_CONFIG).
+ */
+
+import { ANOMALY_CONFIG } from '../config/metrics-config.js';
+import { getMedian } from '../config/utils.js';
+import { getEmployeeId } from './roster.js';
+import { getWeekStart, compareWeekRanges } from './week-range.js';
+
+// Scales the MAD and the mean absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 1.4826;
+const MEAN_DEVIATION_SCALE = 1.2533;
+
+const DEFAULTS = {
+  threshold: 3.5,
+  window: 8,
+  minHistory: 4,
+  minChange: 2
+};
+
+/**
+ * Find unusual weeks per employee and task
+ * Only weeks the person logged are part of their series (a week with no timesheet at all
+ * is a missing timesheet, not a drop to zero), and only weeks in `weeks` are reported,
+ * though earlier weeks still serve as history.
+ * @param {Array} data - All rows
+ * @param {Array<string>} employeeIds - Employees to check
+ * @param {Array<string>} weeks - Week ranges to report on
+ * @param {Array<string>} taskColumns - Tasks to check
+ * @returns {Array<{employee: string, task: string, week: string, actual: number, expected: number,
+ *   low: number, high: number, score: number, direction: string, historyStart: string}>}
+ *   - Anomalies, most unusual first: the week's hours, the median of the earlier weeks and
+ *   the range counted as normal, the robust z-score, 'up' or 'down', and the first week
+ *   of the history it was compared with
+ */
+export function findAnomalies(data, employeeIds, weeks, taskColumns) {
+  const settings = { ...DEFAULTS, ...ANOMALY_CONFIG };
+  const reported = new Set(weeks);
+  const anomalies = [];
+
+  employeeIds.forEach(id => {
+    const series = getWeeklySeries(data, id, taskColumns);
+
+    taskColumns.forEach(task => {
+      series.forEach((entry, index) => {
+        if (!reported.has(entry.week) || index < settings.minHistory) return;
+
+        const history = series.slice(Math.max(0, index - settings.window), index);
+        const anomaly = checkWeek(entry.hours[task], history.map(previous => previous.hours[task]), settings);
+        if (!anomaly) return;
+
+        anomalies.push({ employee: id, task, week: entry.week, historyStart: history[0].week, ...anomaly });
+      });
+    });
+  });
+
+  return anomalies.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+}
+
+/**
+ * Compare one week's hours with the weeks before it
+ * @private
+ * @param {number} actual - Hours this week
+ * @param {Array<number>} history - Hours in the earlier weeks
+ * @param {Object} settings - Anomaly settings
+ * @returns {{actual: number, expected: number, low: number, high: number, score: number, direction: string}|null}
+ *   - The anomaly, or null for a normal week
+ */
+function checkWeek(actual, history, settings) {
+  const expected = getMedian(history);
+  const change = actual - expected;
+  if (Math.abs(change) < settings.minChange) return null;
+
+  // Fall back to the mean absolute deviation when more than half the weeks are identical
+  let spread = getMedian(history.map(hours => Math.abs(hours - expected))) * MAD_SCALE;
+  if (spread === 0) {
+    spread = history.reduce((sum, hours) => sum + Math.abs(hours - expected), 0) / history.length * MEAN_DEVIATION_SCALE;
+  }
+
+  // With no spread at all, any change of minChange hours or more stands out
+  const score = spread > 0 ? change / spread : Math.sign(change) * Infinity;
+  if (Math.abs(score) <= settings.threshold) return null;
+
+  return {
+    actual,
+    expected,
+    low: Math.max(0, expected - settings.threshold * spread),
+    high: expected + settings.threshold * spread,
+    score,
+    direction: change > 0 ? 'up' : 'down'
+  };
+}
+
+/**
+ * Total one employee's hours per task for each week they logged
+ * @private
+ * @param {Array} data - All rows
+ * @param {string} employeeId - Employee id
+ * @param {Array<string>} taskColumns - Tasks to total
+ * @returns {Array<{week: string, hours: Object<string, number>}>} - Weeks in date order
+ */
+function getWeeklySeries(data, employeeId, taskColumns) {
+  const byWeek = new Map();
+
+  data.forEach(row => {
+    const week = row['Week Range'];
+    if (getEmployeeId(row.User) !== employeeId || !getWeekStart(week)) return;
+
+    if (!byWeek.has(week)) {
+      byWeek.set(week, Object.fromEntries(taskColumns.map(task => [task, 0])));
+    }
+    const hours = byWeek.get(week);
+    taskColumns.forEach(task => {
+      const value = row[task];
+      if (Number.isFinite(value) && value > 0) hours[task] += value;
+    });
+  });
+
+  return [...byWeek.entries()]
+    .sort(([a], [b]) => compareWeekRanges(a, b))
+    .map(([week, hours]) => ({ week: String(week), hours }));
+}
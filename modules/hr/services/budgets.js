@@ -0,0 +1,140 @@
+/**
+ * Budgets for HR Metrics Dashboard
+ * Turns the targets in BUDGET_CONFIG into planned hours or cost for the weeks in view
+ * and compares them with what was logged.
+ */
+
+import { BUDGET_CONFIG, TASK_CATEGORIES } from '../config/metrics-config.js';
+
+const WEEKS_PER_MONTH = 52 / 12;
+const DEFAULT_OVER_THRESHOLD = 10;
+
+/**
+ * Get the targets that apply to a dashboard
+ * The team dashboard uses team-wide targets, and adds up the targets of the people in view
+ * for any category or task without one.
+ * @param {string} employeeId - Employee id, or 'all' for the team
+ * @param {Array<string>} [teamIds] - Employee ids in view, for the team dashboard
+ * @returns {Array<Object>} - Targets from BUDGET_CONFIG
+ */
+export function getBudgetTargets(employeeId, teamIds = []) {
+  const targets = BUDGET_CONFIG.targets || [];
+  if (employeeId !== 'all') {
+    return targets.filter(target => target.employee === employeeId);
+  }
+
+  const teamTargets = targets.filter(target => target.employee === undefined);
+  const covered = new Set(teamTargets.map(getTargetKey));
+  const personalTargets = targets.filter(target =>
+    target.employee !== undefined &&
+    teamIds.includes(target.employee) &&
+    !covered.has(getTargetKey(target))
+  );
+
+  return [...teamTargets, ...personalTargets];
+}
+
+/**
+ * Get the planned amount per category or task for a dashboard
+ * At category level a category without its own target uses the sum of its tasks' targets.
+ * Targets for tasks left out by the task filter are skipped, and a category target only
+ * counts while all of its tasks are shown.
+ * @param {Object} options - What to plan for
+ * @param {string} options.employeeId - Employee id, or 'all' for the team
+ * @param {Array<string>} [options.teamIds] - Employee ids in view, for the team dashboard
+ * @param {string} options.level - 'category' or 'task'
+ * @param {string} options.unit - 'hours' or 'cost'
+ * @param {number} options.weeks - Number of weeks in view
+ * @param {Array<string>} options.visibleTasks - Tasks shown on the dashboard
+ * @returns {Object<string, number>} - Planned amount keyed by category or task name
+ */
+export function getBudgetAmounts({ employeeId, teamIds = [], level, unit, weeks, visibleTasks }) {
+  const amounts = {};
+  const targets = getBudgetTargets(employeeId, teamIds).filter(target => target[unit] !== undefined);
+
+  const add = (name, target) => {
+    const perWeek = target.period === 'month' ? target[unit] / WEEKS_PER_MONTH : target[unit];
+    amounts[name] = (amounts[name] || 0) + perWeek * weeks;
+  };
+
+  targets.forEach(target => {
+    if (target.task !== undefined) {
+      if (!visibleTasks.includes(target.task)) return;
+
+      if (level === 'task') {
+        add(target.task, target);
+        return;
+      }
+
+      const category = getTaskCategory(target.task);
+      const hasCategoryTarget = targets.some(other => other.category === category);
+      if (category && !hasCategoryTarget) add(category, target);
+      return;
+    }
+
+    const tasks = TASK_CATEGORIES[target.category] || [];
+    if (level === 'category' && tasks.every(task => visibleTasks.includes(task))) {
+      add(target.category, target);
+    }
+  });
+
+  return amounts;
+}
+
+/**
+ * Compare actuals with the planned amounts
+ * @param {Array<{name: string, hours: number, cost: number}>} barData - Actuals per category or task
+ * @param {Object<string, number>} amounts - Planned amounts from getBudgetAmounts
+ * @param {string} unit - 'hours' or 'cost'
+ * @returns {Array<{name: string, budget: number, actual: number, variance: number, percent: number|null, over: boolean}>}
+ *   - One entry per planned item; percent is null for a target of 0, and over is set
+ *   once the actual is more than overThreshold percent above the target
+ */
+export function compareWithBudget(barData, amounts, unit) {
+  const threshold = BUDGET_CONFIG.overThreshold ?? DEFAULT_OVER_THRESHOLD;
+
+  return Object.entries(amounts).map(([name, budget]) => {
+    const item = barData.find(candidate => candidate.name === name);
+    const actual = item ? item[unit] : 0;
+    const variance = actual - budget;
+    const percent = budget > 0 ? (variance / budget) * 100 : null;
+
+    return {
+      name,
+      budget,
+      actual,
+      variance,
+      percent,
+      over: percent === null ? actual > 0 : percent > threshold
+    };
+  });
+}
+
+/**
+ * Count the weeks covered by some rows, for scaling weekly targets
+ * @param {Array} rows - Data rows
+ * @returns {number} - Number of distinct week ranges
+ */
+export function countWeeks(rows) {
+  return new Set(rows.map(row => row['Week Range']).filter(Boolean)).size;
+}
+
+/**
+ * Get the key identifying what a target is for
+ * @private
+ * @param {Object} target - Budget target
+ * @returns {string} - 'category:<name>' or 'task:<name>'
+ */
+function getTargetKey(target) {
+  return target.task !== undefined ? `task:${target.task}` : `category:${target.category}`;
+}
+
+/**
+ * Get the category a task belongs to
+ * @private
+ * @param {string} task - Task name
+ * @returns {string|undefined} - Category name
+ */
+function getTaskCategory(task) {
+  return Object.keys(TASK_CATEGORIES).find(category => TASK_CATEGORIES[category].includes(task));
+}
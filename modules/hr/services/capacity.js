@@ -0,0 +1,113 @@
+/**
+ * Capacity for HR Metrics Dashboard
+ * Compares the hours people logged with the hours they are contracted for (CAPACITY_CONFIG),
+ * week by week and in total.
+ */
+
+import { CAPACITY_CONFIG } from '../config/metrics-config.js';
+import { parseIsoDate, sumRowHours } from '../config/utils.js';
+import { getEmployeeId } from './roster.js';
+import { getWeekStart } from './week-range.js';
+
+const DEFAULT_UNDER_THRESHOLD = 80;
+const DEFAULT_OVER_THRESHOLD = 100;
+
+/**
+ * Get the hours per week an employee is contracted for in a given week
+ * @param {string} employeeId - Employee id
+ * @param {Date} weekStart - First day of the week
+ * @returns {number|null} - Contracted hours, or null if no contract covers that week
+ */
+export function getContractedHours(employeeId, weekStart) {
+  const contracts = (CAPACITY_CONFIG.contracts || {})[employeeId] || [];
+  const contract = contracts.find(entry =>
+    parseIsoDate(entry.from) <= weekStart &&
+    (!entry.to || weekStart <= parseIsoDate(entry.to))
+  );
+
+  return contract ? contract.hours : null;
+}
+
+/**
+ * Check whether anyone in a list has a contract configured
+ * @param {Array<string>} employeeIds - Employee ids
+ * @returns {boolean} - True if at least one of them has contracted hours
+ */
+export function hasContracts(employeeIds) {
+  const contracts = CAPACITY_CONFIG.contracts || {};
+  return employeeIds.some(id => Array.isArray(contracts[id]) && contracts[id].length > 0);
+}
+
+/**
+ * Work out contracted and logged hours per week for one or more employees
+ * Only hours logged in weeks someone is contracted for count toward their utilization.
+ * @param {Array} rows - Rows to count (every task, not just those the filters show)
+ * @param {Array<string>} employeeIds - Employees to include
+ * @param {Array<string>} weeks - Week ranges to cover, in order
+ * @param {Array<string>} taskColumns - Task columns holding hours
+ * @returns {{weeks: Array<{week: string, contracted: number, logged: number, utilization: number|null, status: string|null}>,
+ *   contracted: number, logged: number, utilization: number|null, underWeeks: number, overWeeks: number}}
+ *   - Each week's figures with its status ('under', 'over', 'ok', or null without a contract),
+ *   then the totals across all weeks
+ */
+export function summarizeCapacity(rows, employeeIds, weeks, taskColumns) {
+  const underThreshold = CAPACITY_CONFIG.underThreshold ?? DEFAULT_UNDER_THRESHOLD;
+  const overThreshold = CAPACITY_CONFIG.overThreshold ?? DEFAULT_OVER_THRESHOLD;
+
+  // Hours logged per employee and week
+  const logged = new Map();
+  rows.forEach(row => {
+    const key = `${getEmployeeId(row.User)}|${row['Week Range']}`;
+    logged.set(key, (logged.get(key) || 0) + sumRowHours(row, taskColumns));
+  });
+
+  const weekFigures = weeks.map(week => {
+    const weekStart = getWeekStart(week);
+    let contracted = 0;
+    let used = 0;
+
+    employeeIds.forEach(id => {
+      const hours = weekStart ? getContractedHours(id, weekStart) : null;
+      if (hours === null) return;
+
+      contracted += hours;
+      used += logged.get(`${id}|${week}`) || 0;
+    });
+
+    const utilization = contracted > 0 ? (used / contracted) * 100 : null;
+    return {
+      week,
+      contracted,
+      logged: used,
+      utilization,
+      status: getUtilizationStatus(utilization, underThreshold, overThreshold)
+    };
+  });
+
+  const contracted = weekFigures.reduce((sum, figures) => sum + figures.contracted, 0);
+  const used = weekFigures.reduce((sum, figures) => sum + figures.logged, 0);
+
+  return {
+    weeks: weekFigures,
+    contracted,
+    logged: used,
+    utilization: contracted > 0 ? (used / contracted) * 100 : null,
+    underWeeks: weekFigures.filter(figures => figures.status === 'under').length,
+    overWeeks: weekFigures.filter(figures => figures.status === 'over').length
+  };
+}
+
+/**
+ * Classify a week's utilization against the thresholds
+ * @private
+ * @param {number|null} utilization - Utilization percent
+ * @param {number} underThreshold - Percent below which a week is under capacity
+ * @param {number} overThreshold - Percent above which a week is over capacity
+ * @returns {string|null} - 'under', 'over', 'ok', or null without a contract
+ */
+function getUtilizationStatus(utilization, underThreshold, overThreshold) {
+  if (utilization === null) return null;
+  if (utilization < underThreshold) return 'under';
+  if (utilization > overThreshold) return 'over';
+  return 'ok';
+}
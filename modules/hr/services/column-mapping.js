@@ -0,0 +1,177 @@
+/**
+ * Column Mapping for HR Metrics Dashboard
+ * Maps CSV headers that aren't in the task taxonomy onto known tasks, so a renamed
+ * column (e.g. "BD Research" for "BD - Research") still counts toward its category.
+ *
+ * A mapping is keyed by the header text as it appears in the data:
+ *   { action: 'map', task }              - add the column's hours to an existing task
+ *   { action: 'ignore' }                 - drop the column
+ *   { action: 'create', task, category } - add a new task to a category
+ * Mappings are saved in localStorage and applied automatically on every load.
+ */
+
+import { TASK_CATEGORIES, TASK_ORDER } from '../config/metrics-config.js';
+
+const STORAGE_KEY = 'hr-metrics.column-mapping';
+
+// Columns that describe the row rather than a task
+const METADATA_COLUMNS = ['Date', 'User', 'Week Range'];
+
+// Asks the user how to handle unknown columns; set by the page
+let columnResolver = null;
+
+/**
+ * Normalize a header for loose matching
+ * @param {string} header - Column header
+ * @returns {string} - Lowercase letters and digits only
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Get every task in the taxonomy
+ * @returns {Array<string>} - Task names
+ */
+function getKnownTasks() {
+  return Object.values(TASK_CATEGORIES).flat();
+}
+
+/**
+ * Load the saved column mapping
+ * @returns {Object} - Mapping keyed by header
+ */
+export function loadColumnMapping() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    console.warn('Ignoring unreadable column mapping', error);
+    return {};
+  }
+}
+
+/**
+ * Save the column mapping
+ * @param {Object} mapping - Mapping keyed by header
+ */
+export function saveColumnMapping(mapping) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mapping));
+  } catch (error) {
+    console.warn('Could not save column mapping', error);
+  }
+}
+
+/**
+ * Set the function that asks how to handle unknown columns
+ * @param {Function|null} resolver - async (unknownColumns) => mapping entries for them, or null to skip
+ */
+export function setColumnResolver(resolver) {
+  columnResolver = resolver;
+}
+
+/**
+ * Suggest the known task a header most likely refers to
+ * @param {string} header - Unknown column header
+ * @returns {string|null} - Matching task name, if one differs only in spacing or punctuation
+ */
+export function suggestTask(header) {
+  const normalized = normalizeHeader(header);
+  return getKnownTasks().find(task => normalizeHeader(task) === normalized) || null;
+}
+
+/**
+ * Find headers that are neither metadata, known tasks nor already mapped
+ * @param {Array} rows - Rows keyed by column name
+ * @param {Object} [mapping] - Column mapping
+ * @returns {Array<string>} - Unknown headers in column order
+ */
+export function findUnknownColumns(rows, mapping = loadColumnMapping()) {
+  const knownTasks = getKnownTasks();
+  const headers = new Set();
+  rows.forEach(row => Object.keys(row).forEach(header => headers.add(header)));
+
+  return [...headers].filter(header =>
+    !METADATA_COLUMNS.includes(header) &&
+    !knownTasks.includes(header) &&
+    !(header in mapping)
+  );
+}
+
+/**
+ * Add the tasks created through the mapping to the taxonomy
+ * The config objects are updated in place so every module sees the new tasks.
+ * @param {Object} mapping - Column mapping
+ */
+export function registerCustomTasks(mapping) {
+  Object.values(mapping).forEach(entry => {
+    if (entry.action !== 'create' || !TASK_CATEGORIES[entry.category]) return;
+    if (getKnownTasks().includes(entry.task)) return;
+
+    TASK_CATEGORIES[entry.category].push(entry.task);
+    if (!TASK_ORDER.includes(entry.task)) {
+      TASK_ORDER.push(entry.task);
+    }
+  });
+}
+
+/**
+ * Rename, merge or drop columns according to the mapping
+ * @param {Array} rows - Rows keyed by column name
+ * @param {Object} mapping - Column mapping
+ * @returns {Array} - New rows using task names from the taxonomy
+ */
+export function applyColumnMapping(rows, mapping) {
+  const mappedHeaders = Object.keys(mapping);
+  if (mappedHeaders.length === 0) return rows;
+
+  return rows.map(row => {
+    const mapped = { ...row };
+
+    mappedHeaders.forEach(header => {
+      if (!(header in mapped)) return;
+
+      const entry = mapping[header];
+      const value = mapped[header];
+      delete mapped[header];
+
+      if (entry.action === 'ignore') return;
+
+      // Both the old and the new header may be present; add them up
+      const existing = mapped[entry.task];
+      if (typeof existing === 'number' && typeof value === 'number') {
+        mapped[entry.task] = existing + value;
+      } else if (existing === undefined || existing === null || existing === '') {
+        mapped[entry.task] = value;
+      }
+    });
+
+    return mapped;
+  });
+}
+
+/**
+ * Apply the saved mapping, asking about any columns it doesn't cover yet
+ * @param {Array} rows - Rows keyed by column name
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive] - Whether the user may be asked (false for background refreshes)
+ * @returns {Promise<Array>} - Mapped rows
+ */
+export async function resolveColumns(rows, { interactive = true } = {}) {
+  let mapping = loadColumnMapping();
+  const unknownColumns = findUnknownColumns(rows, mapping);
+
+  if (unknownColumns.length > 0 && interactive && columnResolver) {
+    const answers = await columnResolver(unknownColumns);
+    if (answers && Object.keys(answers).length > 0) {
+      mapping = { ...mapping, ...answers };
+      saveColumnMapping(mapping);
+    }
+  } else if (unknownColumns.length > 0) {
+    console.warn('Columns not in the task list:', unknownColumns);
+  }
+
+  registerCustomTasks(mapping);
+  return applyColumnMapping(rows, mapping);
+}
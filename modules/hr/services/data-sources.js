@@ -0,0 +1,614 @@
+/**
+ * Data Source Adapters for HR Metrics Dashboard
+ * Every place the dashboard can load time entries from is a DataSource with the same
+ * interface: `load()` resolves to an array of rows keyed by the CSV column names, and
+ * progress is reported to the data source indicator through `reportStatus()`. Problems
+ * the CSV parser recovered from are left in `parseErrors` for the validation report, and
+ * sources that combine several sheets describe where each row came from in `rowOrigins`.
+ */
+
+import { SPREADSHEET_CONFIG, DATA_SOURCE_CONFIG, getSpreadsheetUrl } from '../config/metrics-config.js';
+import { pluralize } from '../config/utils.js';
+import { DataFetchError, ValidationError } from '../utils/errors.js';
+import { loadLastDataset } from './dataset-store.js';
+import { mergeDatasets, resolveMerge } from './dataset-merge.js';
+
+/**
+ * Update data source indicator
+ * @param {string} status - 'connecting', 'connected' (live source), 'local' (file or fixture),
+ *   'cached' (last good dataset from a previous visit) or 'disconnected'
+ * @param {string} message - Optional status message
+ */
+export function updateDataSourceIndicator(status, message) {
+  const dot = document.getElementById('source-dot');
+  const text = document.getElementById('source-text');
+
+  ['connecting', 'connected', 'local', 'cached', 'disconnected'].forEach(state => {
+    dot.classList.toggle(state, state === status);
+  });
+  window.dataSourceConnected = status === 'connected';
+
+  text.textContent = message || (status === 'connected' ?
+    'Connected to Google Sheets data source' :
+    'Not connected to data source');
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {string} csvText - CSV text with a header row
+ * @returns {{rows: Array, errors: Array}} - Parsed rows and Papa Parse errors
+ * @throws {ValidationError} If there are no rows
+ */
+export function parseCsvText(csvText) {
+  const parseResult = Papa.parse(csvText, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true
+  });
+
+  if (parseResult.data.length === 0) {
+    throw new ValidationError('No data found in the CSV');
+  }
+
+  return { rows: parseResult.data, errors: parseResult.errors };
+}
+
+/**
+ * Read a CSV File object into rows
+ * @param {File} file - CSV file
+ * @returns {Promise<{rows: Array, errors: Array}>} - Parsed rows and Papa Parse errors
+ */
+export function parseCsvFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        resolve(parseCsvText(reader.result));
+      } catch (error) {
+        reject(error);
+      }
+    };
+    reader.onerror = () => reject(new DataFetchError('Error reading CSV file', { originalError: reader.error }));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Read an Excel workbook File object (uses the SheetJS XLSX global)
+ * @param {File} file - .xlsx or .xls file
+ * @returns {Promise<Object>} - SheetJS workbook
+ */
+export function readWorkbookFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        resolve(XLSX.read(new Uint8Array(reader.result), { type: 'array' }));
+      } catch (error) {
+        reject(new ValidationError(`${file.name} is not a readable Excel workbook`, { originalError: error }));
+      }
+    };
+    reader.onerror = () => reject(new DataFetchError('Error reading Excel file', { originalError: reader.error }));
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * Parse one worksheet the same way as a CSV file
+ * Going through CSV keeps typing, parse errors and week-range text identical to the CSV path.
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} sheetName - Sheet to parse
+ * @returns {{rows: Array, errors: Array}} - Parsed rows and Papa Parse errors
+ * @throws {ValidationError} If the sheet has no rows
+ */
+export function parseWorksheet(workbook, sheetName) {
+  const csvText = XLSX.utils.sheet_to_csv(workbook.Sheets[sheetName], { blankrows: false });
+
+  try {
+    return parseCsvText(csvText);
+  } catch (error) {
+    throw new ValidationError(`No data found in sheet "${sheetName}"`, { originalError: error });
+  }
+}
+
+/**
+ * Give every row every column that appears in any row (missing ones are null)
+ * getTaskCategories() reads the first row's columns, so combined data must share them.
+ * @param {Array} rows - Rows that may have different columns
+ * @returns {Array} - Rows with the same columns
+ */
+function withAllColumns(rows) {
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(column => {
+      if (!columns.includes(column)) columns.push(column);
+    });
+  });
+
+  return rows.map(row => {
+    const filled = {};
+    columns.forEach(column => {
+      filled[column] = column in row ? row[column] : null;
+    });
+    return filled;
+  });
+}
+
+/**
+ * Combine parsed sheets into one dataset
+ * Every row gets every column so later sheets' tasks aren't dropped.
+ * @param {Array<{name: string, rows: Array, errors: Array}>} sheets - Parsed sheets in order
+ * @returns {{rows: Array, errors: Array, rowOrigins: Array<{sheet: string, row: number}>}}
+ *   Merged rows, parse errors re-indexed to the merged rows, and each row's sheet and row number
+ */
+export function mergeSheets(sheets) {
+  const rows = [];
+  const errors = [];
+  const rowOrigins = [];
+
+  sheets.forEach(sheet => {
+    const offset = rows.length;
+
+    sheet.rows.forEach((row, index) => {
+      rows.push(row);
+      rowOrigins.push({ sheet: sheet.name, row: index + 2 });
+    });
+
+    sheet.errors.forEach(error => {
+      errors.push(typeof error.row === 'number' ? { ...error, row: error.row + offset } : error);
+    });
+  });
+
+  return { rows: withAllColumns(rows), errors, rowOrigins };
+}
+
+/**
+ * Base class for data sources
+ */
+export class DataSource {
+  constructor(options = {}) {
+    this.options = options;
+    this.parseErrors = [];
+    this.rowOrigins = null;
+  }
+
+  /**
+   * Source id used in DATA_SOURCE_CONFIG
+   * @returns {string}
+   */
+  get id() {
+    throw new Error('DataSource subclasses must define id');
+  }
+
+  /**
+   * Human-readable name for messages
+   * @returns {string}
+   */
+  get label() {
+    return this.id;
+  }
+
+  /**
+   * Whether the source can change while the page is open (and is worth auto-refreshing)
+   * @returns {boolean}
+   */
+  get live() {
+    return false;
+  }
+
+  /**
+   * Whether rows from this source should be kept as the last good dataset
+   * @returns {boolean}
+   */
+  get cacheable() {
+    return true;
+  }
+
+  /**
+   * Load rows from the source
+   * @returns {Promise<Array>} - Rows keyed by column name
+   */
+  async load() {
+    throw new Error('DataSource subclasses must implement load()');
+  }
+
+  /**
+   * Report progress to the data source indicator
+   * @param {string} status - Indicator status
+   * @param {string} message - Status message
+   */
+  reportStatus(status, message) {
+    updateDataSourceIndicator(status, message);
+  }
+}
+
+/**
+ * Google Sheets CSV export, tried through the local proxy, directly, then via the export URL
+ */
+export class GoogleSheetsSource extends DataSource {
+  get id() {
+    return 'google-sheets';
+  }
+
+  get label() {
+    return 'Google Sheets';
+  }
+
+  get live() {
+    return true;
+  }
+
+  async load() {
+    this.reportStatus('connecting', 'Connecting to Google Sheets...');
+
+    const methods = [
+      {
+        name: 'proxy',
+        url: SPREADSHEET_CONFIG.proxyUrl,
+        // The proxy path may be served by a static host as an HTML 404 page
+        accept: response => (response.headers.get('Content-Type') || '').includes('text/csv')
+      },
+      { name: 'direct', url: getSpreadsheetUrl() },
+      {
+        name: 'alternate',
+        url: `https://docs.google.com/spreadsheets/d/${SPREADSHEET_CONFIG.spreadsheetId}/export?format=csv&gid=0`
+      }
+    ];
+
+    for (const method of methods) {
+      try {
+        const response = await fetch(method.url);
+        if (response.ok && (!method.accept || method.accept(response))) {
+          const { rows, errors } = parseCsvText(await response.text());
+          this.parseErrors = errors;
+          console.log(`Successfully fetched data with ${method.name} method`);
+          this.reportStatus('connected', `Connected to Google Sheets via ${method.name} method`);
+          return rows;
+        }
+      } catch (error) {
+        console.log(`Google Sheets ${method.name} fetch failed...`, error);
+      }
+    }
+
+    this.reportStatus('disconnected', 'Could not connect to Google Sheets');
+    throw new DataFetchError('Could not load data from Google Sheets due to browser security restrictions.');
+  }
+}
+
+/**
+ * A CSV file chosen or dropped by the user
+ */
+export class UploadedFileSource extends DataSource {
+  get id() {
+    return 'uploaded-file';
+  }
+
+  get label() {
+    return this.options.file ? this.options.file.name : 'uploaded file';
+  }
+
+  async load() {
+    this.reportStatus('connecting', `Reading ${this.label}...`);
+
+    try {
+      const { rows, errors } = await parseCsvFile(this.options.file);
+      this.parseErrors = errors;
+      this.reportStatus('local', `Using manually uploaded file ${this.label}`);
+      return rows;
+    } catch (error) {
+      this.reportStatus('disconnected', `Could not read ${this.label}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * An Excel workbook chosen or dropped by the user
+ * Workbooks with several sheets ask `options.chooseSheets(sheetNames)` which to load;
+ * choosing more than one merges them into a single dataset.
+ */
+export class UploadedWorkbookSource extends DataSource {
+  get id() {
+    return 'uploaded-workbook';
+  }
+
+  get label() {
+    return this.options.file ? this.options.file.name : 'uploaded workbook';
+  }
+
+  async load() {
+    this.reportStatus('connecting', `Reading ${this.label}...`);
+
+    try {
+      const workbook = await readWorkbookFile(this.options.file);
+      const sheetNames = await this.chooseSheets(workbook.SheetNames);
+
+      const sheets = sheetNames.map(name => ({ name, ...parseWorksheet(workbook, name) }));
+      const { rows, errors, rowOrigins } = mergeSheets(sheets);
+      this.parseErrors = errors;
+      this.rowOrigins = sheets.length > 1 ? rowOrigins : null;
+
+      const sheetText = sheets.length > 1 ? `${sheets.length} sheets` : `sheet "${sheetNames[0]}"`;
+      this.reportStatus('local', `Using ${sheetText} from manually uploaded file ${this.label}`);
+      return rows;
+    } catch (error) {
+      this.reportStatus('disconnected', `Could not read ${this.label}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Pick the sheets to load
+   * @private
+   * @param {Array<string>} sheetNames - Sheets in the workbook
+   * @returns {Promise<Array<string>>} - Sheets to load, in workbook order
+   * @throws {ValidationError} If the workbook is empty or nothing was chosen
+   */
+  async chooseSheets(sheetNames) {
+    if (sheetNames.length === 0) {
+      throw new ValidationError(`${this.label} has no sheets`);
+    }
+    if (sheetNames.length === 1 || !this.options.chooseSheets) {
+      return [sheetNames[0]];
+    }
+
+    const chosen = await this.options.chooseSheets(sheetNames);
+    if (!chosen || chosen.length === 0) {
+      throw new ValidationError(`No sheets selected from ${this.label}`);
+    }
+    return sheetNames.filter(name => chosen.includes(name));
+  }
+}
+
+/**
+ * Rows that are already loaded, e.g. the current data when more files are added to it
+ */
+export class LoadedRowsSource extends DataSource {
+  get id() {
+    return 'loaded-rows';
+  }
+
+  get label() {
+    return this.options.label || 'current data';
+  }
+
+  async load() {
+    return this.options.rows;
+  }
+}
+
+/**
+ * Several sources merged into one dataset, without the rows they have in common
+ * Rows are matched on (User, Date, Week Range) (see dataset-merge.js). When copies of a
+ * row disagree, `options.resolveConflicts(conflicts, labels)` is asked which source wins;
+ * it resolves to { [conflict.key]: datasetIndex }, or null to let the last source win.
+ */
+export class MergedSource extends DataSource {
+  get id() {
+    return 'merged';
+  }
+
+  get label() {
+    return this.options.sources.map(source => source.label).join(' + ');
+  }
+
+  async load() {
+    const datasets = [];
+    for (const source of this.options.sources) {
+      datasets.push({ source, label: source.label, rows: await source.load() });
+    }
+
+    this.reportStatus('connecting', `Merging ${datasets.length} datasets...`);
+
+    const merge = mergeDatasets(datasets);
+    if (merge.conflicts.length > 0 && this.options.resolveConflicts) {
+      const winners = await this.options.resolveConflicts(merge.conflicts, datasets.map(dataset => dataset.label));
+      if (winners) {
+        merge.conflicts.forEach(conflict => {
+          if (conflict.key in winners) conflict.winner = winners[conflict.key];
+        });
+      }
+    }
+
+    const kept = resolveMerge(merge);
+
+    // Point parse errors and row numbers back at the file each row came from
+    const newIndexes = new Map();
+    kept.forEach((entry, newIndex) => newIndexes.set(`${entry.datasetIndex}:${entry.index}`, newIndex));
+
+    this.parseErrors = [];
+    datasets.forEach((dataset, datasetIndex) => {
+      dataset.source.parseErrors.forEach(error => {
+        if (typeof error.row !== 'number') {
+          this.parseErrors.push(error);
+        } else if (newIndexes.has(`${datasetIndex}:${error.row}`)) {
+          this.parseErrors.push({ ...error, row: newIndexes.get(`${datasetIndex}:${error.row}`) });
+        }
+      });
+    });
+
+    this.rowOrigins = kept.map(({ datasetIndex, index }) => {
+      const { source, label } = datasets[datasetIndex];
+      const origin = source.rowOrigins && source.rowOrigins[index];
+      return origin ?
+        { sheet: `${label} › ${origin.sheet}`, row: origin.row } :
+        { sheet: label, row: index + 2 };
+    });
+
+    const rows = withAllColumns(kept.map(({ datasetIndex, index }) => datasets[datasetIndex].rows[index]));
+
+    const details = [`${pluralize(merge.duplicateCount, 'duplicate row')} removed`];
+    if (merge.conflicts.length > 0) {
+      details.push(`${pluralize(merge.conflicts.length, 'conflict')} resolved`);
+    }
+    this.reportStatus('local', `Using ${datasets.length} merged datasets (${details.join(', ')})`);
+
+    return rows;
+  }
+}
+
+/**
+ * Create the source for a file chosen or dropped by the user
+ * @param {File} file - CSV or Excel file
+ * @param {Object} [options]
+ * @param {Function} [options.chooseSheets] - async (sheetNames) => sheets to load, for workbooks
+ * @returns {DataSource} - Source for the file
+ */
+export function createUploadSource(file, options = {}) {
+  return /\.xlsx?$/i.test(file.name) ?
+    new UploadedWorkbookSource({ file, ...options }) :
+    new UploadedFileSource({ file });
+}
+
+/**
+ * A JSON endpoint returning rows (an array, or an object with a `rows` array)
+ */
+export class RemoteJsonSource extends DataSource {
+  get id() {
+    return 'remote-json';
+  }
+
+  get label() {
+    return 'remote JSON endpoint';
+  }
+
+  get live() {
+    return true;
+  }
+
+  async load() {
+    this.reportStatus('connecting', `Connecting to ${this.options.url}...`);
+
+    try {
+      const response = await fetch(this.options.url, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) {
+        throw new DataFetchError(`Remote JSON endpoint responded with ${response.status}`);
+      }
+
+      const body = await response.json();
+      const rows = Array.isArray(body) ? body : body && body.rows;
+      if (!Array.isArray(rows) || rows.length === 0) {
+        throw new ValidationError('Remote JSON endpoint returned no rows');
+      }
+
+      this.reportStatus('connected', `Connected to ${this.options.url}`);
+      return rows;
+    } catch (error) {
+      this.reportStatus('disconnected', `Could not load ${this.options.url}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Sample CSV bundled with the dashboard, for demos and offline work
+ */
+export class FixtureSource extends DataSource {
+  get id() {
+    return 'fixture';
+  }
+
+  get label() {
+    return 'bundled sample data';
+  }
+
+  async load() {
+    this.reportStatus('connecting', 'Loading bundled sample data...');
+
+    try {
+      const response = await fetch(this.options.url);
+      if (!response.ok) {
+        throw new DataFetchError(`Sample data not found at ${this.options.url}`);
+      }
+
+      const { rows, errors } = parseCsvText(await response.text());
+      this.parseErrors = errors;
+      this.reportStatus('local', 'Showing bundled sample data');
+      return rows;
+    } catch (error) {
+      this.reportStatus('disconnected', 'Could not load bundled sample data');
+      throw error;
+    }
+  }
+}
+
+/**
+ * The last good dataset from a previous visit (see dataset-store.js)
+ */
+export class CachedDatasetSource extends DataSource {
+  get id() {
+    return 'cached';
+  }
+
+  get label() {
+    return `cached copy of ${this.options.dataset.source.label}`;
+  }
+
+  get cacheable() {
+    return false;
+  }
+
+  /**
+   * When the cached rows were originally loaded
+   * @returns {Date}
+   */
+  get cachedAt() {
+    return this.options.dataset.loadedAt;
+  }
+
+  async load() {
+    this.reportStatus('cached', `Cached from ${this.cachedAt.toLocaleString()} (${this.options.dataset.source.label})`);
+    return this.options.dataset.rows;
+  }
+}
+
+// Sources that can be named in DATA_SOURCE_CONFIG, with their settings
+const CONFIGURABLE_SOURCES = {
+  'google-sheets': () => new GoogleSheetsSource(),
+  'remote-json': () => new RemoteJsonSource(DATA_SOURCE_CONFIG.remoteJson),
+  'fixture': () => new FixtureSource(DATA_SOURCE_CONFIG.fixture)
+};
+
+/**
+ * Create the configured sources: the active one followed by its fallbacks
+ * @returns {Array<DataSource>} - Sources in the order they should be tried
+ */
+export function getConfiguredSources() {
+  return [DATA_SOURCE_CONFIG.active, ...DATA_SOURCE_CONFIG.fallbacks]
+    .map(id => CONFIGURABLE_SOURCES[id]());
+}
+
+/**
+ * Create a source for the last good dataset, if one was saved
+ * @returns {Promise<CachedDatasetSource|null>} - Cached source, or null on first visit
+ */
+export async function getCachedDatasetSource() {
+  const dataset = await loadLastDataset();
+  return dataset ? new CachedDatasetSource({ dataset }) : null;
+}
+
+/**
+ * Load rows from the first source that succeeds
+ * @param {Array<DataSource>} sources - Sources in the order they should be tried
+ * @returns {Promise<{rows: Array, source: DataSource}>} - Rows and the source they came from
+ * @throws {DataFetchError} If every source fails
+ */
+export async function loadFromSources(sources) {
+  const failures = [];
+
+  for (const source of sources) {
+    try {
+      const rows = await source.load();
+      return { rows, source };
+    } catch (error) {
+      console.warn(`Data source ${source.id} failed:`, error);
+      failures.push({ source: source.id, message: error.message });
+    }
+  }
+
+  const lastFailure = failures[failures.length - 1];
+  throw new DataFetchError(
+    lastFailure ? lastFailure.message : 'No data sources configured',
+    { failures }
+  );
+}
@@ -0,0 +1,120 @@
+/**
+ * Row Validation for HR Metrics Dashboard
+ * Checks loaded rows for values the charts would otherwise silently count as zero
+ * and lists each problem with the row and column it was found in.
+ *
+ * Row numbers match the spreadsheet: the header is row 1, so the first data row is row 2.
+ * For data merged from several sheets, each issue also names the sheet.
+ */
+
+import { getTaskCategories } from '../config/utils.js';
+import { isValidWeekRange } from './week-range.js';
+
+/**
+ * Issue severities
+ * - error: the row's hours can't be counted correctly; the row can be excluded
+ * - warning: the parser recovered, but the row may not be what the sheet intended
+ */
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+/**
+ * Describe where a row is in the spreadsheet
+ * @param {number} index - Index in the rows array
+ * @param {Array|null} rowOrigins - Sheet and row number per index, for merged data
+ * @returns {{row: number, sheet?: string}} - Row number counting the header as row 1, and the sheet
+ */
+function locateRow(index, rowOrigins) {
+  if (rowOrigins && rowOrigins[index]) {
+    return { row: rowOrigins[index].row, sheet: rowOrigins[index].sheet };
+  }
+  return { row: index + 2 };
+}
+
+/**
+ * Check whether a cell is empty
+ * @param {*} value - Cell value
+ * @returns {boolean} - True for null, undefined and blank strings
+ */
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Validate rows from a data source
+ * @param {Array} rows - Rows keyed by column name
+ * @param {Array} [parseErrors] - Papa Parse errors for the same rows
+ * @param {Array<{sheet: string, row: number}>|null} [rowOrigins] - Where each row came from, for merged data
+ * @returns {{rowCount: number, issues: Array<{row: number, sheet?: string, column: string|null, problem: string, severity: string}>, invalidRows: Set<number>}}
+ *   Every issue found, and the indexes of rows with at least one error
+ */
+export function validateRows(rows, parseErrors = [], rowOrigins = null) {
+  // Issues paired with the index of their row, so they can be listed in row order
+  const found = [];
+  const invalidRows = new Set();
+  const taskColumns = getTaskCategories(rows);
+
+  const addIssue = (index, column, problem, severity = SEVERITY.ERROR) => {
+    found.push({ index, issue: { ...locateRow(index, rowOrigins), column, problem, severity } });
+    if (severity === SEVERITY.ERROR) {
+      invalidRows.add(index);
+    }
+  };
+
+  parseErrors.forEach(error => {
+    // Errors about the file as a whole (e.g. delimiter detection) have no row
+    const index = typeof error.row === 'number' ? error.row : -1;
+    found.push({
+      index,
+      issue: {
+        ...(index >= 0 ? locateRow(index, rowOrigins) : { row: null }),
+        column: null,
+        problem: error.message,
+        severity: SEVERITY.WARNING
+      }
+    });
+  });
+
+  rows.forEach((row, index) => {
+    if (isBlank(row.User)) {
+      addIssue(index, 'User', 'User is missing');
+    }
+
+    if (isBlank(row['Week Range'])) {
+      addIssue(index, 'Week Range', 'Week Range is missing');
+    } else if (!isValidWeekRange(row['Week Range'])) {
+      addIssue(index, 'Week Range', `"${row['Week Range']}" is not a recognizable week range`);
+    }
+
+    taskColumns.forEach(task => {
+      const value = row[task];
+      if (isBlank(value)) return;
+
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        addIssue(index, task, `"${value}" is not a number of hours`);
+      } else if (value < 0) {
+        addIssue(index, task, `${value} hours is negative`);
+      }
+    });
+  });
+
+  // Keep the report in sheet order
+  const issues = found
+    .sort((a, b) => a.index - b.index)
+    .map(({ issue }) => issue);
+
+  return { rowCount: rows.length, issues, invalidRows };
+}
+
+/**
+ * Drop the rows a validation report marked as having errors
+ * @param {Array} rows - Rows that were validated
+ * @param {Object} report - Report from validateRows for the same rows
+ * @returns {Array} - Rows without errors
+ */
+export function excludeInvalidRows(rows, report) {
+  if (!report || report.invalidRows.size === 0) return rows;
+  return rows.filter((_, index) => !report.invalidRows.has(index));
+}
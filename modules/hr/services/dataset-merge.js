@@ -0,0 +1,158 @@
+/**
+ * Dataset Merging for HR Metrics Dashboard
+ * Combines several datasets (e.g. one CSV per month) into one, dropping rows that appear
+ * in more than one dataset and collecting the ones whose hours disagree.
+ *
+ * Rows are matched on (User, Date, Week Range). Rows sharing a key inside one dataset are
+ * all kept; only copies of a key across datasets are merged.
+ */
+
+const KEY_COLUMNS = ['User', 'Date', 'Week Range'];
+
+/**
+ * Normalize a key value for matching
+ * @param {*} value - Cell value
+ * @returns {string} - Trimmed text with single spaces
+ */
+function normalizeKeyValue(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Get the de-duplication key for a row
+ * @param {Object} row - Row keyed by column name
+ * @returns {string} - Key built from User, Date and Week Range
+ */
+export function getRowKey(row) {
+  return [
+    normalizeKeyValue(row.User).toLowerCase(),
+    normalizeKeyValue(row.Date),
+    normalizeKeyValue(row['Week Range'])
+  ].join('|');
+}
+
+/**
+ * Normalize a cell for comparison; blanks and zero hours are the same thing
+ * @param {*} value - Cell value
+ * @returns {number|string} - Comparable value
+ */
+function comparableValue(value) {
+  if (value === null || value === undefined || value === '') return 0;
+  return typeof value === 'number' ? value : String(value).trim();
+}
+
+/**
+ * List the columns whose values differ between two groups of rows for the same key
+ * @param {Array} rowsA - Rows from one dataset
+ * @param {Array} rowsB - Rows from another dataset
+ * @returns {Array<string>} - Differing columns (empty if the groups match)
+ */
+function findDifferences(rowsA, rowsB) {
+  const columns = new Set();
+  [...rowsA, ...rowsB].forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+  KEY_COLUMNS.forEach(column => columns.delete(column));
+
+  // Several rows for one key are compared by their totals (to the hundredth of an hour)
+  const total = (rows, column) => {
+    const values = rows.map(row => comparableValue(row[column]));
+    return values.every(value => typeof value === 'number') ?
+      Math.round(values.reduce((sum, value) => sum + value, 0) * 100) / 100 :
+      values.join('|');
+  };
+
+  return [...columns].filter(column => total(rowsA, column) !== total(rowsB, column));
+}
+
+/**
+ * Merge datasets
+ * @param {Array<{label: string, rows: Array}>} datasets - Datasets in load order
+ * @returns {{
+ *   entries: Array<{datasetIndex: number, index: number, key: string}>,
+ *   winners: Map<string, number>,
+ *   duplicateCount: number,
+ *   conflicts: Array<{key: string, user: string, date: string, week: string, columns: Array<string>,
+ *     versions: Array<{datasetIndex: number, rows: Array}>, winner: number}>
+ * }} - Every row (by dataset and index), the dataset kept for each agreed key, how many
+ *   duplicates are dropped, and the conflicts. Each conflict defaults to the dataset loaded
+ *   last; change its `winner` before calling resolveMerge.
+ */
+export function mergeDatasets(datasets) {
+  // key -> [{ datasetIndex, indexes }] in dataset order
+  const groups = new Map();
+
+  datasets.forEach((dataset, datasetIndex) => {
+    dataset.rows.forEach((row, index) => {
+      const key = getRowKey(row);
+      if (!groups.has(key)) groups.set(key, []);
+
+      const versions = groups.get(key);
+      const last = versions[versions.length - 1];
+      if (last && last.datasetIndex === datasetIndex) {
+        last.indexes.push(index);
+      } else {
+        versions.push({ datasetIndex, indexes: [index] });
+      }
+    });
+  });
+
+  let duplicateCount = 0;
+  const conflicts = [];
+  const winners = new Map();
+
+  groups.forEach((versions, key) => {
+    if (versions.length === 1) {
+      winners.set(key, versions[0].datasetIndex);
+      return;
+    }
+
+    const versionRows = versions.map(version => ({
+      datasetIndex: version.datasetIndex,
+      rows: version.indexes.map(index => datasets[version.datasetIndex].rows[index])
+    }));
+
+    const columns = new Set();
+    versionRows.slice(1).forEach(version => {
+      findDifferences(versionRows[0].rows, version.rows).forEach(column => columns.add(column));
+    });
+
+    if (columns.size === 0) {
+      // Same hours everywhere: keep the first copy
+      duplicateCount += versionRows.slice(1).reduce((sum, version) => sum + version.rows.length, 0);
+      winners.set(key, versionRows[0].datasetIndex);
+      return;
+    }
+
+    const sample = versionRows[0].rows[0];
+    conflicts.push({
+      key,
+      user: normalizeKeyValue(sample.User),
+      date: normalizeKeyValue(sample.Date),
+      week: normalizeKeyValue(sample['Week Range']),
+      columns: [...columns],
+      versions: versionRows,
+      winner: versionRows[versionRows.length - 1].datasetIndex
+    });
+  });
+
+  const entries = [];
+  datasets.forEach((dataset, datasetIndex) => {
+    dataset.rows.forEach((row, index) => {
+      entries.push({ datasetIndex, index, key: getRowKey(row) });
+    });
+  });
+
+  return { entries, duplicateCount, conflicts, winners };
+}
+
+/**
+ * Pick the rows to keep once every conflict has a winner
+ * @param {Object} merge - Result of mergeDatasets
+ * @returns {Array<{datasetIndex: number, index: number}>} - Kept rows, in dataset order
+ */
+export function resolveMerge(merge) {
+  const winners = new Map(merge.winners);
+  merge.conflicts.forEach(conflict => winners.set(conflict.key, conflict.winner));
+
+  return merge.entries.filter(entry => winners.get(entry.key) === entry.datasetIndex);
+}
@@ -0,0 +1,94 @@
+/**
+ * Dataset Store for HR Metrics Dashboard
+ * Keeps the last successfully loaded dataset in IndexedDB so the dashboard can start
+ * from it instantly and still show data when every source is unreachable.
+ *
+ * Storage problems (private browsing, quota, no IndexedDB) are logged and otherwise
+ * ignored; the dashboard just starts cold.
+ */
+
+const DB_NAME = 'hr-metrics';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+const LAST_DATASET_KEY = 'last-good';
+
+/**
+ * Open the database, creating the object store on first use
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} createRequest - (store) => IDBRequest
+ * @returns {Promise<*>} - Request result
+ */
+async function runRequest(mode, createRequest) {
+  const db = await openDatabase();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Save a dataset as the last good one
+ * @param {Object} dataset
+ * @param {Array} dataset.rows - Rows as loaded (after column mapping)
+ * @param {{id: string, label: string}} dataset.source - Where the rows came from
+ * @param {Date} [dataset.loadedAt] - When the rows were loaded
+ * @returns {Promise<boolean>} - True if saved
+ */
+export async function saveLastDataset({ rows, source, loadedAt = new Date() }) {
+  try {
+    await runRequest('readwrite', store => store.put({
+      rows,
+      source: { id: source.id, label: source.label },
+      loadedAt: loadedAt.toISOString()
+    }, LAST_DATASET_KEY));
+    return true;
+  } catch (error) {
+    console.warn('Could not cache dataset:', error);
+    return false;
+  }
+}
+
+/**
+ * Load the last good dataset
+ * @returns {Promise<{rows: Array, source: {id: string, label: string}, loadedAt: Date}|null>}
+ *   The saved dataset, or null if there isn't one
+ */
+export async function loadLastDataset() {
+  try {
+    const record = await runRequest('readonly', store => store.get(LAST_DATASET_KEY));
+    if (!record || !Array.isArray(record.rows) || record.rows.length === 0) return null;
+
+    return { ...record, loadedAt: new Date(record.loadedAt) };
+  } catch (error) {
+    console.warn('Could not read cached dataset:', error);
+    return null;
+  }
+}
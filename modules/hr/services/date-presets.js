@@ -0,0 +1,118 @@
+/**
+ * Date Range Presets for HR Metrics Dashboard
+ * Relative ranges ("Last 4 weeks", "This month", ...) worked out from the newest week in
+ * the data rather than from today, so a sheet that is a few days behind still shows full
+ * weeks. A preset is kept by id and resolved again whenever the data changes, so it moves
+ * forward when a new week arrives.
+ */
+
+import { getRowDate } from '../config/utils.js';
+import { parseWeekRange } from './week-range.js';
+
+/**
+ * Add days to a date
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} - New date
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * The last `count` weeks, counting the newest week as one of them
+ * @param {number} count - Number of weeks
+ * @returns {Function} - Resolver taking the newest week
+ */
+function lastWeeks(count) {
+  return latest => ({ start: addDays(latest.start, -7 * (count - 1)), end: latest.end });
+}
+
+/**
+ * Available presets, in menu order
+ * Each resolver takes the newest week ({start, end}) and returns the range to show.
+ */
+export const DATE_PRESETS = {
+  'last-4-weeks': {
+    label: 'Last 4 weeks',
+    resolve: lastWeeks(4)
+  },
+  'trailing-12-weeks': {
+    label: 'Trailing 12 weeks',
+    resolve: lastWeeks(12)
+  },
+  'this-month': {
+    label: 'This month',
+    resolve: latest => ({
+      start: new Date(latest.end.getFullYear(), latest.end.getMonth(), 1),
+      end: new Date(latest.end.getFullYear(), latest.end.getMonth() + 1, 0)
+    })
+  },
+  'last-month': {
+    label: 'Last month',
+    resolve: latest => ({
+      start: new Date(latest.end.getFullYear(), latest.end.getMonth() - 1, 1),
+      end: new Date(latest.end.getFullYear(), latest.end.getMonth(), 0)
+    })
+  },
+  'this-quarter': {
+    label: 'This quarter',
+    resolve: latest => {
+      const quarterStart = Math.floor(latest.end.getMonth() / 3) * 3;
+      return {
+        start: new Date(latest.end.getFullYear(), quarterStart, 1),
+        end: new Date(latest.end.getFullYear(), quarterStart + 3, 0)
+      };
+    }
+  },
+  'year-to-date': {
+    label: 'Year to date',
+    resolve: latest => ({
+      start: new Date(latest.end.getFullYear(), 0, 1),
+      end: latest.end
+    })
+  }
+};
+
+/**
+ * Find the newest week in the data
+ * Uses the latest readable Week Range; rows without one count as the Monday-to-Sunday
+ * week around their date.
+ * @param {Array} rows - Data rows
+ * @returns {{start: Date, end: Date}|null} - Newest week, or null if no row can be dated
+ */
+export function getLatestWeek(rows) {
+  let latest = null;
+
+  rows.forEach(row => {
+    let week = parseWeekRange(row['Week Range']);
+    if (!week) {
+      const date = getRowDate(row);
+      if (!date) return;
+      const start = addDays(date, -((date.getDay() + 6) % 7));
+      week = { start, end: addDays(start, 6) };
+    }
+
+    if (!latest || week.end > latest.end || (week.end - latest.end === 0 && week.start > latest.start)) {
+      latest = week;
+    }
+  });
+
+  return latest;
+}
+
+/**
+ * Work out the dates a preset covers for the given data
+ * @param {string} presetId - Key of DATE_PRESETS
+ * @param {Array} rows - Data rows
+ * @returns {{start: Date, end: Date}|null} - Inclusive range, or null if the data has no dates
+ */
+export function resolveDatePreset(presetId, rows) {
+  const preset = DATE_PRESETS[presetId];
+  if (!preset) {
+    throw new Error(`Unknown date preset: ${presetId}`);
+  }
+
+  const latest = getLatestWeek(rows);
+  return latest ? preset.resolve(latest) : null;
+}
@@ -0,0 +1,96 @@
+/**
+ * Period Comparison for HR Metrics Dashboard
+ * Works out the second date range for compare mode and the change between two values.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ways to choose the comparison range
+ * - previous: the same number of days immediately before the current range
+ * - last-year: the current range one year earlier
+ * - custom: dates entered by hand
+ */
+export const COMPARE_MODES = {
+  previous: 'Previous period',
+  'last-year': 'Same period last year',
+  custom: 'Custom range'
+};
+
+/**
+ * Work out the range to compare against
+ * @param {string} mode - Key of COMPARE_MODES
+ * @param {{start: Date|null, end: Date|null}} range - Current range
+ * @param {{start: Date|null, end: Date|null}} [customRange] - Dates for custom mode
+ * @returns {{start: Date, end: Date}|null} - Comparison range, or null if the current range
+ *   is open-ended (previous and last-year need both ends) or the custom range is incomplete
+ */
+export function getComparisonRange(mode, range, customRange = null) {
+  if (mode === 'custom') {
+    return customRange && customRange.start && customRange.end ?
+      { start: customRange.start, end: customRange.end } :
+      null;
+  }
+
+  if (!range.start || !range.end) return null;
+
+  if (mode === 'previous') {
+    const days = Math.round((range.end - range.start) / DAY_MS) + 1;
+    const end = new Date(range.start.getFullYear(), range.start.getMonth(), range.start.getDate() - 1);
+    const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - days + 1);
+    return { start, end };
+  }
+
+  if (mode === 'last-year') {
+    const shift = date => {
+      const shifted = new Date(date.getFullYear() - 1, date.getMonth(), date.getDate());
+      // Feb 29 becomes Feb 28 rather than rolling into March
+      return shifted.getMonth() === date.getMonth() ? shifted : new Date(date.getFullYear() - 1, date.getMonth() + 1, 0);
+    };
+    return { start: shift(range.start), end: shift(range.end) };
+  }
+
+  throw new Error(`Unknown compare mode: ${mode}`);
+}
+
+/**
+ * Work out the change from a comparison value to the current one
+ * @param {number} current - Value in the current range
+ * @param {number} previous - Value in the comparison range
+ * @returns {{delta: number, percent: number|null}} - Absolute change, and percentage change
+ *   (null when the comparison value is zero)
+ */
+export function calculateChange(current, previous) {
+  const delta = current - previous;
+  return {
+    delta,
+    percent: previous === 0 ? null : (delta / previous) * 100
+  };
+}
+
+/**
+ * Describe a change for a stat card, e.g. "+12.5 (+8.0%)"
+ * @param {{delta: number, percent: number|null}} change - Result of calculateChange
+ * @param {Function} [formatValue] - Formats the absolute change (without its sign)
+ * @returns {string} - Signed absolute and percentage change
+ */
+export function formatChange(change, formatValue = value => value.toFixed(1)) {
+  const sign = change.delta > 0 ? '+' : change.delta < 0 ? '−' : '±';
+  const absolute = `${sign}${formatValue(Math.abs(change.delta))}`;
+
+  if (change.percent === null) {
+    return change.delta === 0 ? absolute : `${absolute} (new)`;
+  }
+
+  const percentSign = change.percent > 0 ? '+' : change.percent < 0 ? '−' : '±';
+  return `${absolute} (${percentSign}${Math.abs(change.percent).toFixed(1)}%)`;
+}
+
+/**
+ * Label a date range for legends and captions
+ * @param {{start: Date, end: Date}} range - Date range
+ * @returns {string} - e.g. "3/1/2025 – 3/31/2025"
+ */
+export function formatRangeLabel(range) {
+  return `${range.start.toLocaleDateString()} – ${range.end.toLocaleDateString()}`;
+}
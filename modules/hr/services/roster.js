@@ -0,0 +1,107 @@
+/**
+ * Roster Module for HR Metrics Dashboard
+ * Derives the list of employees shown on the dashboard from the loaded data
+ */
+
+import { ROSTER_CONFIG } from '../config/metrics-config.js';
+
+/**
+ * Get the employee id for a User value
+ * @param {string} user - User value from the data (usually an email)
+ * @returns {string} - Lowercase id safe to use in element ids, or '' if empty
+ */
+export function getEmployeeId(user) {
+  if (!user) return '';
+
+  return String(user)
+    .trim()
+    .toLowerCase()
+    .split('@')[0]
+    .replace(/[^a-z0-9_-]+/g, '-');
+}
+
+/**
+ * Turn an employee id into a readable name when no display name is configured
+ * @param {string} employeeId - Employee id
+ * @returns {string} - Display name (e.g. "mary-jane" becomes "Mary Jane")
+ */
+function formatDisplayName(employeeId) {
+  return employeeId
+    .split(/[._-]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(' ');
+}
+
+/**
+ * Build the roster from the distinct User values in the data
+ * @param {Array} data - Raw data array
+ * @param {Object} [rosterConfig] - Roster overrides (see ROSTER_CONFIG)
+ * @returns {Array<{id: string, user: string, displayName: string}>} - Visible employees in tab order
+ */
+export function buildRoster(data, rosterConfig = ROSTER_CONFIG) {
+  const overrides = rosterConfig.employees || {};
+  const order = rosterConfig.order || [];
+  const employees = new Map();
+
+  data.forEach(row => {
+    const id = getEmployeeId(row.User);
+    if (!id || id === 'all' || employees.has(id)) return;
+
+    employees.set(id, {
+      id,
+      user: String(row.User).trim(),
+      displayName: (overrides[id] && overrides[id].displayName) || formatDisplayName(id)
+    });
+  });
+
+  return [...employees.values()]
+    .filter(employee => !(overrides[employee.id] && overrides[employee.id].hidden))
+    .sort((a, b) => {
+      const indexA = order.indexOf(a.id);
+      const indexB = order.indexOf(b.id);
+
+      // Configured order first, then everyone else alphabetically
+      if (indexA !== -1 && indexB !== -1) return indexA - indexB;
+      if (indexA !== -1) return -1;
+      if (indexB !== -1) return 1;
+      return a.displayName.localeCompare(b.displayName);
+    });
+}
+
+/**
+ * Get the rows that belong to one employee
+ * @param {Array} data - Data array
+ * @param {string} employeeId - Employee id
+ * @returns {Array} - Rows whose User maps to this id
+ */
+export function getEmployeeRows(data, employeeId) {
+  return data.filter(row => getEmployeeId(row.User) === employeeId);
+}
+
+/**
+ * Get the configured employee groups, limited to people on the roster
+ * @param {Array<{id: string}>} roster - Roster from buildRoster
+ * @param {Object} [rosterConfig] - Roster overrides (see ROSTER_CONFIG)
+ * @returns {Array<{name: string, members: Array<string>}>} - Groups with at least one member present
+ */
+export function getRosterGroups(roster, rosterConfig = ROSTER_CONFIG) {
+  const present = new Set(roster.map(employee => employee.id));
+
+  return Object.entries(rosterConfig.groups || {})
+    .map(([name, members]) => ({ name, members: members.filter(id => present.has(id)) }))
+    .filter(group => group.members.length > 0);
+}
+
+/**
+ * Get the rows that belong to a set of employees
+ * @param {Array} data - Data array
+ * @param {Array<string>} employeeIds - Employee ids; an empty list keeps every row
+ * @returns {Array} - Rows whose User maps to one of the ids
+ */
+export function getRowsForEmployees(data, employeeIds) {
+  if (employeeIds.length === 0) return data;
+
+  const chosen = new Set(employeeIds);
+  return data.filter(row => chosen.has(getEmployeeId(row.User)));
+}
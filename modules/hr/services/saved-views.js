@@ -0,0 +1,137 @@
+/**
+ * Saved Views for HR Metrics Dashboard
+ * Named combinations of tab, filters and toggles, stored in localStorage. A view is kept
+ * as the same query string the address bar uses (see url-state.js), so a saved view and a
+ * shared link always describe the same thing.
+ *
+ * Views are exported and imported as JSON:
+ *   { "version": 1, "views": [{ "name": "Congress, last 4 weeks, by cost", "query": "range=last-4-weeks&show=cost&category=Congress" }] }
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import { serializeUrlState } from './url-state.js';
+
+const STORAGE_KEY = 'hr-metrics.saved-views';
+const EXPORT_VERSION = 1;
+
+/**
+ * Check that a value looks like a saved view
+ * @param {*} view - Value to check
+ * @returns {boolean} - True for {name, query} with a non-blank name
+ */
+function isView(view) {
+  return !!view && typeof view === 'object' &&
+    typeof view.name === 'string' && view.name.trim() !== '' &&
+    typeof view.query === 'string';
+}
+
+/**
+ * Write the views to localStorage
+ * @param {Array<{name: string, query: string}>} views - Views to keep
+ */
+function storeViews(views) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+  } catch (error) {
+    console.warn('Could not save views', error);
+  }
+}
+
+/**
+ * Load the saved views
+ * @returns {Array<{name: string, query: string}>} - Views in the order they were saved
+ */
+export function loadSavedViews() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(isView) : [];
+  } catch (error) {
+    console.warn('Ignoring unreadable saved views', error);
+    return [];
+  }
+}
+
+/**
+ * Save the current view under a name, replacing a view with the same name
+ * @param {string} name - View name
+ * @param {Object} state - Dashboard state
+ * @returns {{name: string, query: string}} - Saved view
+ * @throws {ValidationError} If the name is blank
+ */
+export function saveView(name, state) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new ValidationError('A saved view needs a name');
+  }
+
+  const view = { name: trimmed, query: serializeUrlState(state) };
+  const views = loadSavedViews();
+  const index = views.findIndex(existing => existing.name === trimmed);
+
+  if (index >= 0) {
+    views[index] = view;
+  } else {
+    views.push(view);
+  }
+
+  storeViews(views);
+  return view;
+}
+
+/**
+ * Delete a saved view
+ * @param {string} name - View name
+ */
+export function deleteView(name) {
+  storeViews(loadSavedViews().filter(view => view.name !== name));
+}
+
+/**
+ * Write the saved views as JSON for sharing
+ * @returns {string} - JSON text
+ */
+export function exportSavedViews() {
+  return JSON.stringify({ version: EXPORT_VERSION, views: loadSavedViews() }, null, 2);
+}
+
+/**
+ * Add views from an exported file
+ * Views with a name already saved replace the saved one.
+ * @param {string} text - JSON text from exportSavedViews
+ * @returns {{added: number, replaced: number}} - How many views were new and how many replaced
+ * @throws {ValidationError} If the text isn't a saved views file
+ */
+export function importSavedViews(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError('The file is not valid JSON', { originalError: error });
+  }
+
+  // A bare array of views is accepted too
+  const imported = Array.isArray(parsed) ? parsed : parsed && parsed.views;
+  if (!Array.isArray(imported) || !imported.every(isView)) {
+    throw new ValidationError('The file does not contain saved views');
+  }
+
+  const views = loadSavedViews();
+  let added = 0;
+  let replaced = 0;
+
+  imported.forEach(({ name, query }) => {
+    const view = { name: name.trim(), query };
+    const index = views.findIndex(existing => existing.name === view.name);
+
+    if (index >= 0) {
+      views[index] = view;
+      replaced++;
+    } else {
+      views.push(view);
+      added++;
+    }
+  });
+
+  storeViews(views);
+  return { added, replaced };
+}
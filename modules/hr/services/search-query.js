@@ -0,0 +1,514 @@
+/**
+ * Search Query Language for HR Metrics Dashboard
+ * Parses the search box into conditions on each task's hours in each row, so a query can
+ * pick out people, tasks, categories, weeks and amounts.
+ *
+ *   kyle                          a user, task or category containing "kyle" (plain words)
+ *   user:kyle                     rows whose User contains "kyle"
+ *   task:"BD - Calls"             that task (quotes for names with spaces)
+ *   task:"BD - Calls">2           ... in rows with more than 2 hours of it
+ *   category:Congress             every task in the category (a comparison works here too)
+ *   hours>=1                      any task with at least an hour
+ *   week>=2025-03-01              weeks starting on or after the date (also >, <, <=, =, !=)
+ *   week:2025-03-05               the week containing the date
+ *   date<2025-04-01               rows dated before the date
+ *
+ * Conditions are combined with AND (also implied between conditions), OR and NOT, in any
+ * case, with parentheses for grouping: `user:kyle (category:Congress OR task:"BD - Calls">2)`.
+ * Comparisons are =, !=, >, >=, < and <=; text matches ignore case.
+ */
+
+import { TASK_CATEGORIES } from '../config/metrics-config.js';
+import { getRowDate, parseIsoDate, formatIsoDate } from '../config/utils.js';
+import { getWeekStart, getWeekEnd } from './week-range.js';
+import { getEmployeeId } from './roster.js';
+import { FilterError } from '../utils/errors.js';
+
+/**
+ * Fields a condition can name, and what they hold
+ */
+export const SEARCH_FIELDS = {
+  user: 'User (email or name)',
+  task: 'Task name',
+  category: 'Task category',
+  hours: 'Hours on a task',
+  week: 'Week (start date)',
+  date: 'Row date'
+};
+
+const COMPARISONS = ['=', '!=', '>', '>=', '<', '<='];
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const OPERATOR_PATTERN = /^(?:>=|<=|!=|[:=><])/;
+const WORD_PATTERN = /^[^\s()":=<>!]+/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Row details shared by every task in the row
+const rowContexts = new WeakMap();
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query text
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} - Tokens
+ * @throws {FilterError} If a quote isn't closed or a character can't be read
+ */
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const rest = text.slice(index);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      index += space[0].length;
+      continue;
+    }
+
+    const char = text[index];
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, value: char, start: index, end: index + 1 });
+      index++;
+      continue;
+    }
+
+    if (char === '"') {
+      const close = text.indexOf('"', index + 1);
+      if (close === -1) {
+        throw new FilterError('Missing closing quote', { start: index, end: text.length });
+      }
+      tokens.push({ type: 'string', value: text.slice(index + 1, close), start: index, end: close + 1 });
+      index = close + 1;
+      continue;
+    }
+
+    const operator = rest.match(OPERATOR_PATTERN);
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator[0], start: index, end: index + operator[0].length });
+      index += operator[0].length;
+      continue;
+    }
+
+    const word = rest.match(WORD_PATTERN);
+    if (!word) {
+      throw new FilterError(`Unexpected "${char}"`, { start: index, end: index + 1 });
+    }
+
+    // Keywords in any case; quote "and", "or" or "not" to search for the word itself
+    const keyword = word[0].toUpperCase();
+    const type = KEYWORDS.includes(keyword) ? keyword : 'word';
+    tokens.push({ type, value: word[0], start: index, end: index + word[0].length });
+    index += word[0].length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parser over a token list
+ * @private
+ */
+class QueryParser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.position = 0;
+  }
+
+  /**
+   * Look at a token without consuming it
+   * @param {number} [offset] - Tokens ahead of the current one
+   * @returns {Object|undefined} - Token, or undefined past the end
+   */
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  /**
+   * Consume the current token
+   * @returns {Object|undefined} - Token, or undefined past the end
+   */
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  /**
+   * Raise an error pointing at a token (or the end of the query)
+   * @param {string} message - What went wrong
+   * @param {Object} [token] - Token at fault
+   */
+  fail(message, token = this.peek()) {
+    const start = token ? token.start : this.text.length;
+    const end = token ? token.end : this.text.length;
+    throw new FilterError(message, { start, end });
+  }
+
+  /**
+   * Parse the whole query
+   * @returns {Object} - Query tree
+   */
+  parse() {
+    const node = this.parseOr();
+    const extra = this.peek();
+    if (extra) {
+      this.fail(extra.type === ')' ? 'Unexpected ")" without a matching "("' : `Unexpected "${extra.value}"`, extra);
+    }
+    return node;
+  }
+
+  /**
+   * Parse conditions joined by OR
+   * @returns {Object} - Query tree
+   */
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.peek() && this.peek().type === 'OR') {
+      const operator = this.next();
+      if (!this.startsCondition(this.peek())) this.fail('OR needs a condition after it', this.peek() || operator);
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  /**
+   * Parse conditions joined by AND, or by nothing
+   * @returns {Object} - Query tree
+   */
+  parseAnd() {
+    let left = this.parseNot();
+    for (;;) {
+      const token = this.peek();
+      if (token && token.type === 'AND') {
+        this.next();
+        if (!this.startsCondition(this.peek())) this.fail('AND needs a condition after it', this.peek() || token);
+      } else if (!this.startsCondition(token)) {
+        return left;
+      }
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+  }
+
+  /**
+   * Parse a condition with any NOTs in front of it
+   * @returns {Object} - Query tree
+   */
+  parseNot() {
+    const token = this.peek();
+    if (token && token.type === 'NOT') {
+      this.next();
+      if (!this.startsCondition(this.peek())) this.fail('NOT needs a condition after it', this.peek() || token);
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  /**
+   * Parse a condition or a group in parentheses
+   * @returns {Object} - Query tree
+   */
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) this.fail('Expected a condition');
+
+    if (token.type === '(') {
+      this.next();
+      if (this.peek() && this.peek().type === ')') this.fail('Empty parentheses', this.peek());
+      const node = this.parseOr();
+      if (!this.peek() || this.peek().type !== ')') this.fail('Missing ")"', this.peek() || token);
+      this.next();
+      return node;
+    }
+
+    if (token.type === 'word' || token.type === 'string') {
+      return this.parseCondition();
+    }
+
+    if (token.type === ')') this.fail('Unexpected ")" without a matching "("', token);
+    if (token.type === 'operator') this.fail(`"${token.value}" needs a field before it, e.g. hours${token.value === ':' ? '>' : token.value}2`, token);
+    return this.fail(`${token.type} needs a condition before it`, token);
+  }
+
+  /**
+   * Read one condition: a plain word, field:value (with an optional comparison), or field<op>value
+   * @returns {Object} - Condition node
+   */
+  parseCondition() {
+    const first = this.next();
+    const operator = this.peek();
+
+    if (first.type === 'string' || !operator || operator.type !== 'operator') {
+      return { type: 'condition', field: null, value: first.value.toLowerCase(), start: first.start, end: first.end };
+    }
+
+    const field = first.value.toLowerCase();
+    if (!Object.keys(SEARCH_FIELDS).includes(field)) {
+      this.fail(`Unknown field "${first.value}" (use ${Object.keys(SEARCH_FIELDS).join(', ')})`, first);
+    }
+    this.next();
+
+    const value = this.peek();
+    if (!value || (value.type !== 'word' && value.type !== 'string')) {
+      this.fail(`Expected a value after "${first.value}${operator.value}"`, value || operator);
+    }
+    this.next();
+
+    const node = { type: 'condition', field, start: first.start, end: value.end };
+
+    if (operator.value === ':') {
+      if (field === 'hours') this.fail('Compare hours with a number, e.g. hours>2', operator);
+      if (field === 'week' || field === 'date') {
+        node.operator = field === 'week' ? 'contains' : '=';
+        node.date = this.readDate(value);
+      } else {
+        node.value = value.value.toLowerCase();
+      }
+
+      // task:"BD - Calls">2 and category:Congress>=5 compare that work's hours
+      const comparison = this.peek();
+      if (comparison && comparison.type === 'operator' && (field === 'task' || field === 'category')) {
+        this.next();
+        if (!COMPARISONS.includes(comparison.value)) this.fail(`Expected a comparison, not "${comparison.value}"`, comparison);
+        node.operator = comparison.value;
+        node.number = this.readNumber(this.next(), comparison);
+        node.end = this.tokens[this.position - 1].end;
+      }
+      return node;
+    }
+
+    if (field === 'user' || field === 'task' || field === 'category') {
+      this.fail(`Use ${field}:value to match a ${field}; compare hours with ${field}:value>2`, operator);
+    }
+
+    node.operator = operator.value;
+    if (field === 'hours') {
+      node.number = this.readNumber(value, operator);
+    } else {
+      node.date = this.readDate(value);
+    }
+    return node;
+  }
+
+  /**
+   * Read a number token
+   * @param {Object} [token] - Token holding the number
+   * @param {Object} after - Token before it, for the error message
+   * @returns {number}
+   */
+  readNumber(token, after) {
+    const number = token && token.type === 'word' ? Number(token.value) : NaN;
+    if (!Number.isFinite(number)) this.fail(`Expected a number after "${after.value}"`, token || after);
+    return number;
+  }
+
+  /**
+   * Read a YYYY-MM-DD token
+   * @param {Object} token - Token holding the date
+   * @returns {Date}
+   */
+  readDate(token) {
+    const valid = /^\d{4}-\d{2}-\d{2}$/.test(token.value) && formatIsoDate(parseIsoDate(token.value)) === token.value;
+    if (!valid) this.fail(`Expected a date like 2025-03-01, not "${token.value}"`, token);
+    return parseIsoDate(token.value);
+  }
+
+  /**
+   * Whether a token can begin a condition
+   * @param {Object} [token] - Token
+   * @returns {boolean}
+   */
+  startsCondition(token) {
+    return !!token && ['word', 'string', '(', 'NOT'].includes(token.type);
+  }
+}
+
+/**
+ * Parse a search query
+ * @param {string} text - Query text
+ * @returns {Object|null} - Parsed query, or null if the text is blank
+ * @throws {FilterError} If the query can't be read; details.start and details.end give the
+ *   character range at fault
+ */
+export function parseSearchQuery(text) {
+  if (!text || text.trim() === '') return null;
+  return new QueryParser(text).parse();
+}
+
+/**
+ * Check a query for mistakes without throwing
+ * @param {string} text - Query text
+ * @returns {{message: string, start: number, end: number}|null} - The first mistake, or null if valid
+ */
+export function findSearchError(text) {
+  try {
+    parseSearchQuery(text);
+    return null;
+  } catch (error) {
+    if (!(error instanceof FilterError)) throw error;
+    return { message: error.message, start: error.details.start, end: error.details.end };
+  }
+}
+
+/**
+ * Look up what a condition needs from a row, once per row
+ * @param {Object} row - Data row
+ * @returns {{user: string, userId: string, date: Date|null, weekStart: Date|null, weekEnd: Date|null}}
+ */
+function getRowContext(row) {
+  if (!rowContexts.has(row)) {
+    const date = getRowDate(row);
+    const weekStart = getWeekStart(row['Week Range']) ||
+      (date ? new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7)) : null);
+    const weekEnd = getWeekEnd(row['Week Range']) ||
+      (weekStart ? new Date(weekStart.getTime() + 6 * DAY_MS) : null);
+
+    rowContexts.set(row, {
+      user: String(row.User || '').toLowerCase(),
+      userId: getEmployeeId(row.User),
+      date,
+      weekStart,
+      weekEnd
+    });
+  }
+  return rowContexts.get(row);
+}
+
+/**
+ * Compare two numbers or dates
+ * @param {number|Date} left - Value from the row
+ * @param {string} operator - One of COMPARISONS
+ * @param {number|Date} right - Value from the query
+ * @returns {boolean}
+ */
+function compare(left, operator, right) {
+  const a = Number(left);
+  const b = Number(right);
+
+  switch (operator) {
+    case '=': return a === b;
+    case '!=': return a !== b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    default: return false;
+  }
+}
+
+/**
+ * Get the category a task belongs to
+ * @param {string} task - Task name
+ * @returns {string} - Category name, or '' if uncategorized
+ */
+function getCategory(task) {
+  return Object.keys(TASK_CATEGORIES).find(category => TASK_CATEGORIES[category].includes(task)) || '';
+}
+
+/**
+ * Test one condition against one task in one row
+ * @param {Object} node - Condition node
+ * @param {Object} row - Data row
+ * @param {string} task - Task column
+ * @returns {boolean}
+ */
+function matchCondition(node, row, task) {
+  const context = getRowContext(row);
+  const hours = Number(row[task]) || 0;
+
+  switch (node.field) {
+    case null: {
+      const category = getCategory(task).toLowerCase();
+      return context.user.includes(node.value) || context.userId.includes(node.value) ||
+        task.toLowerCase().includes(node.value) || category.includes(node.value);
+    }
+    case 'user':
+      return context.user.includes(node.value) || context.userId.includes(node.value);
+    case 'task':
+    case 'category': {
+      const name = (node.field === 'task' ? task : getCategory(task)).toLowerCase();
+      if (!name.includes(node.value)) return false;
+      return node.operator ? compare(hours, node.operator, node.number) : true;
+    }
+    case 'hours':
+      return compare(hours, node.operator, node.number);
+    case 'week':
+      if (!context.weekStart) return false;
+      return node.operator === 'contains' ?
+        node.date >= context.weekStart && node.date <= context.weekEnd :
+        compare(context.weekStart, node.operator, node.date);
+    case 'date':
+      return !!context.date && compare(context.date, node.operator, node.date);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Test a parsed query against one task's hours in one row
+ * @param {Object} query - Result of parseSearchQuery
+ * @param {Object} row - Data row
+ * @param {string} task - Task column
+ * @returns {boolean} - True if the task's hours in this row count toward the charts
+ */
+export function matchesSearch(query, row, task) {
+  switch (query.type) {
+    case 'and': return matchesSearch(query.left, row, task) && matchesSearch(query.right, row, task);
+    case 'or': return matchesSearch(query.left, row, task) || matchesSearch(query.right, row, task);
+    case 'not': return !matchesSearch(query.operand, row, task);
+    default: return matchCondition(query, row, task);
+  }
+}
+
+/**
+ * Quote a value if it has characters a plain word can't
+ * @param {string} value - Value
+ * @returns {string} - Value ready to insert into a query
+ */
+function quoteValue(value) {
+  return WORD_PATTERN.test(value) && value.match(WORD_PATTERN)[0] === value ? value : `"${value}"`;
+}
+
+/**
+ * Suggest completions for the word being typed
+ * @param {string} text - Query text
+ * @param {number} cursor - Cursor position
+ * @param {{users: Array<string>, tasks: Array<string>, categories: Array<string>}} names - Known names
+ * @param {number} [limit] - Most suggestions to return
+ * @returns {{start: number, end: number, suggestions: Array<{label: string, text: string}>}} - Range of the
+ *   text to replace and what to replace it with
+ */
+export function getSearchSuggestions(text, cursor, names, limit = 8) {
+  // The word under the cursor, including a field prefix and an open quote
+  const before = text.slice(0, cursor);
+  const inQuote = (before.match(/"/g) || []).length % 2 === 1;
+  const match = inQuote ?
+    before.match(/([A-Za-z]+:)?("[^"]*)$/) :
+    before.match(/([A-Za-z]+:)?([^\s()":<>=!]*)$/);
+  const rest = text.slice(cursor).match(inQuote ? /^[^"]*"?/ : /^[^\s()":<>=!]*/);
+  const start = cursor - match[0].length;
+  const prefix = match[1] ? match[1].slice(0, -1).toLowerCase() : null;
+  const partial = match[2].replace(/^"/, '').toLowerCase();
+
+  const pick = (values, field) => values
+    .filter(value => value.toLowerCase().includes(partial))
+    .sort((a, b) => Number(!a.toLowerCase().startsWith(partial)) - Number(!b.toLowerCase().startsWith(partial)))
+    .map(value => ({ label: `${field}:${value}`, text: `${field}:${quoteValue(value)}` }));
+
+  let suggestions = [];
+  if (prefix === 'user') {
+    suggestions = pick(names.users, 'user');
+  } else if (prefix === 'task') {
+    suggestions = pick(names.tasks, 'task');
+  } else if (prefix === 'category') {
+    suggestions = pick(names.categories, 'category');
+  } else if (prefix === null && partial !== '') {
+    suggestions = [
+      ...Object.keys(SEARCH_FIELDS)
+        .filter(field => field.startsWith(partial))
+        .map(field => ({ label: `${field}: ${SEARCH_FIELDS[field]}`, text: ['hours', 'week', 'date'].includes(field) ? field : `${field}:` })),
+      ...pick(names.users, 'user'),
+      ...pick(names.categories, 'category'),
+      ...pick(names.tasks, 'task')
+    ];
+  }
+
+  return { start, end: cursor + rest[0].length, suggestions: suggestions.slice(0, limit) };
+}
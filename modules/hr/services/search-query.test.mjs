@@ -0,0 +1,53 @@
+/**
+ * Checks for the search query language
+ *
+ * Usage:
+ *   node --test modules/
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { findSearchError, matchesSearch, parseSearchQuery } from './search-query.js';
+
+const WEEK = 'Mar 3 – Mar 8 (2025)';
+const ROWS = [
+  { Date: '3/8/2025', User: 'kyle@example.org', 'Week Range': WEEK, 'BD - Calls': 3, 'Congress - Calls': 1 },
+  { Date: '3/8/2025', User: 'brooke@example.org', 'Week Range': WEEK, 'BD - Calls': 1, 'Congress - Calls': 2 },
+  { Date: '3/8/2025', User: 'victoria@example.org', 'Week Range': WEEK, 'BD - Calls': 2, 'Congress - Calls': 0 }
+];
+
+/**
+ * List the user/task pairs a query matches
+ * @param {string} text - Query text
+ * @returns {Array<string>} - "user task" for each match
+ */
+function search(text) {
+  const query = parseSearchQuery(text);
+  return ROWS.flatMap(row => ['BD - Calls', 'Congress - Calls']
+    .filter(task => matchesSearch(query, row, task))
+    .map(task => `${row.User.split('@')[0]} ${task}`));
+}
+
+describe('plain words', () => {
+  it('match user names', () => {
+    assert.deepEqual(search('kyle'), ['kyle BD - Calls', 'kyle Congress - Calls']);
+  });
+
+  it('match task names', () => {
+    assert.deepEqual(search('congress'), ['kyle Congress - Calls', 'brooke Congress - Calls', 'victoria Congress - Calls']);
+  });
+});
+
+describe('keywords', () => {
+  it('match in any case', () => {
+    const expected = ['kyle BD - Calls', 'kyle Congress - Calls', 'brooke BD - Calls', 'brooke Congress - Calls'];
+    assert.deepEqual(search('user:kyle OR user:brooke'), expected);
+    assert.deepEqual(search('user:kyle or user:brooke'), expected);
+    assert.deepEqual(search('not user:kyle and task:"BD - Calls"'), ['brooke BD - Calls', 'victoria BD - Calls']);
+  });
+
+  it('report a missing condition with its position', () => {
+    assert.deepEqual(findSearchError('user:kyle or'), { message: 'OR needs a condition after it', start: 10, end: 12 });
+  });
+});
@@ -1,6 +1,9 @@
 /**
  * Dashboard State Management Module
  * Handles all state management for the HR metrics dashboard
+ *
+ * This is the single source of truth for what the dashboard shows. Filter components and
+ * toggles only write here; the page re-renders from its subscription.
  */
 
 class DashboardState {
@@ -9,9 +12,16 @@ class DashboardState {
       displayMode: 'hours',
       levelMode: 'category',
       activeEmployee: 'all',
-      dateRange: { start: 'all', end: 'all' },
+      // Employee ids chosen in the employee filter; empty for everyone
+      selectedEmployees: [],
+      // start/end are Dates (null for open-ended); a preset id is resolved against the data
+      dateRange: { start: null, end: null, preset: null },
+      // { mode, customRange } while compare mode is on
+      comparison: null,
+      timeGranularity: 'week',
       searchQuery: '',
-      taskCategory: 'all',
+      // Task columns chosen in the task filter; empty for every task
+      selectedTasks: [],
       data: null,
       filteredData: null,
       loading: false,
@@ -22,18 +32,24 @@ class DashboardState {
     this.listeners = new Set();
   }
 
+  /**
+   * Listen for state changes
+   * @param {Function} listener - Called with (state, previousState) after every change
+   * @returns {Function} - Unsubscribe function
+   */
   subscribe(listener) {
     this.listeners.add(listener);
     return () => this.listeners.delete(listener);
   }
 
   setState(newState) {
+    const previousState = this.state;
     this.state = { ...this.state, ...newState };
-    this.notifyListeners();
+    this.notifyListeners(previousState);
   }
 
-  notifyListeners() {
-    this.listeners.forEach(listener => listener(this.state));
+  notifyListeners(previousState = this.state) {
+    this.listeners.forEach(listener => listener(this.state, previousState));
   }
 
   // Specific state updates
@@ -55,12 +71,45 @@ class DashboardState {
     this.setState({ activeEmployee: employee });
   }
 
-  setDateRange(start, end) {
+  /**
+   * Limit the dashboard to some employees
+   * @param {Array<string>} employeeIds - Employee ids, or an empty list for everyone
+   */
+  setSelectedEmployees(employeeIds) {
+    this.setState({ selectedEmployees: [...new Set(employeeIds)] });
+  }
+
+  /**
+   * Set the date range
+   * @param {Date|null} start - First day to show, or null for no lower bound
+   * @param {Date|null} end - Last day to show, or null for no upper bound
+   * @param {string|null} [preset] - Relative preset the dates came from, kept relative as data changes
+   */
+  setDateRange(start, end, preset = null) {
     this.setState({
-      dateRange: { start, end }
+      dateRange: { start, end, preset }
     });
   }
 
+  /**
+   * Turn compare mode on or off
+   * @param {{mode: string, customRange: {start: Date|null, end: Date|null}}|null} comparison - Comparison, or null for off
+   */
+  setComparison(comparison) {
+    this.setState({ comparison });
+  }
+
+  /**
+   * Set the timeline bucket size
+   * @param {string} granularity - 'day', 'week', 'month' or 'quarter'
+   */
+  setTimeGranularity(granularity) {
+    if (!['day', 'week', 'month', 'quarter'].includes(granularity)) {
+      throw new Error('Invalid time granularity');
+    }
+    this.setState({ timeGranularity: granularity });
+  }
+
   setData(data) {
     this.setState({
       data,
@@ -91,6 +140,10 @@ class DashboardState {
   }
 
   // Getters
+  getState() {
+    return this.state;
+  }
+
   getDisplayMode() {
     return this.state.displayMode;
   }
@@ -103,10 +156,26 @@ class DashboardState {
     return this.state.activeEmployee;
   }
 
+  getSelectedEmployees() {
+    return this.state.selectedEmployees;
+  }
+
+  getSelectedTasks() {
+    return this.state.selectedTasks;
+  }
+
   getDateRange() {
     return this.state.dateRange;
   }
 
+  getComparison() {
+    return this.state.comparison;
+  }
+
+  getTimeGranularity() {
+    return this.state.timeGranularity;
+  }
+
   getData() {
     return this.state.data;
   }
@@ -133,16 +202,16 @@ class DashboardState {
 
   /**
    * Reset all filters to their default state
+   * The open tab and the display toggles are views, not filters, and are kept.
    */
   resetAllFilters() {
-    this.state = {
-      ...this.state,
-      activeEmployee: 'all',
-      dateRange: { start: 'all', end: 'all' },
+    this.setState({
+      dateRange: { start: null, end: null, preset: null },
+      comparison: null,
+      selectedEmployees: [],
       searchQuery: '',
-      taskCategory: 'all'
-    };
-    this.notifyListeners();
+      selectedTasks: []
+    });
   }
 
   /**
@@ -150,17 +219,15 @@ class DashboardState {
    * @param {string} query - Search query
    */
   setSearchQuery(query) {
-    this.state.searchQuery = query;
-    this.notifyListeners();
+    this.setState({ searchQuery: query });
   }
 
   /**
-   * Set task category filter
-   * @param {string} category - Task category
+   * Limit the dashboard to some tasks
+   * @param {Array<string>} tasks - Task columns, or an empty list for every task
    */
-  setTaskCategory(category) {
-    this.state.taskCategory = category;
-    this.notifyListeners();
+  setSelectedTasks(tasks) {
+    this.setState({ selectedTasks: [...new Set(tasks)] });
   }
 
   /**
@@ -170,9 +237,11 @@ class DashboardState {
   getFilterState() {
     return {
       activeEmployee: this.state.activeEmployee,
+      selectedEmployees: this.state.selectedEmployees,
       dateRange: this.state.dateRange,
+      comparison: this.state.comparison,
       searchQuery: this.state.searchQuery,
-      taskCategory: this.state.taskCategory
+      selectedTasks: this.state.selectedTasks
     };
   }
 }
@@ -0,0 +1,89 @@
+/**
+ * Time Buckets for HR Metrics Dashboard
+ * Groups rows into days, weeks, months or quarters for the trend charts
+ */
+
+import { getRowDate } from '../config/utils.js';
+import { getWeekStart } from './week-range.js';
+
+/**
+ * Timeline granularities and their labels
+ */
+export const TIME_GRANULARITIES = {
+  day: 'Daily',
+  week: 'Weekly',
+  month: 'Monthly',
+  quarter: 'Quarterly'
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a date as "Mar 8, 2025"
+ * @param {Date} date - Date
+ * @returns {string} - Short date label
+ */
+function formatDayLabel(date) {
+  return `${MONTH_NAMES[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+}
+
+/**
+ * Get the bucket a row falls into
+ * Weekly buckets use the row's Week Range so they match the timesheet weeks; rows without
+ * a readable one fall into the week starting on the Monday before their date.
+ * @param {Object} row - Data row
+ * @param {string} granularity - Key of TIME_GRANULARITIES
+ * @returns {{key: string, label: string, start: Date}|null} - Bucket, or null if the row has no date
+ */
+export function getBucket(row, granularity) {
+  const weekStart = granularity === 'week' ? getWeekStart(row['Week Range']) : null;
+  if (weekStart) {
+    const weekRange = String(row['Week Range']);
+    return { key: weekRange, label: weekRange, start: weekStart };
+  }
+
+  const date = getRowDate(row);
+  if (!date) return null;
+
+  const year = date.getFullYear();
+  const month = date.getMonth();
+
+  switch (granularity) {
+    case 'day':
+      return { key: date.toDateString(), label: formatDayLabel(date), start: date };
+    case 'week': {
+      const start = new Date(year, month, date.getDate() - ((date.getDay() + 6) % 7));
+      return { key: start.toDateString(), label: `Week of ${formatDayLabel(start)}`, start };
+    }
+    case 'month':
+      return { key: `${year}-${month}`, label: `${MONTH_NAMES[month]} ${year}`, start: new Date(year, month, 1) };
+    case 'quarter': {
+      const quarter = Math.floor(month / 3);
+      return { key: `${year}-Q${quarter + 1}`, label: `Q${quarter + 1} ${year}`, start: new Date(year, quarter * 3, 1) };
+    }
+    default:
+      throw new Error(`Unknown time granularity: ${granularity}`);
+  }
+}
+
+/**
+ * Group rows into time buckets
+ * @param {Array} rows - Data rows
+ * @param {string} granularity - Key of TIME_GRANULARITIES
+ * @returns {Array<{key: string, label: string, start: Date, rows: Array}>} - Buckets in date order
+ */
+export function groupRowsByBucket(rows, granularity) {
+  const buckets = new Map();
+
+  rows.forEach(row => {
+    const bucket = getBucket(row, granularity);
+    if (!bucket) return;
+
+    if (!buckets.has(bucket.key)) {
+      buckets.set(bucket.key, { ...bucket, rows: [] });
+    }
+    buckets.get(bucket.key).rows.push(row);
+  });
+
+  return [...buckets.values()].sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,106 @@
+/**
+ * Timesheet Gaps for HR Metrics Dashboard
+ * Finds the weeks someone was expected to log but didn't, or logged suspiciously little,
+ * and words a reminder for them (see TIMESHEET_CONFIG).
+ */
+
+import { TIMESHEET_CONFIG } from '../config/metrics-config.js';
+import { getMedian, sumRowHours } from '../config/utils.js';
+import { getEmployeeId } from './roster.js';
+import { getWeekStart, compareWeekRanges } from './week-range.js';
+import { getContractedHours, hasContracts } from './capacity.js';
+
+const DEFAULT_LOW_THRESHOLD = 50;
+const DEFAULT_REMINDER = 'Hi {name}, your timesheet for {weeks} is missing or looks incomplete.';
+
+/**
+ * Find missing and suspiciously low weeks
+ * A person is expected to log each of the given weeks that a contract covers or, without
+ * contracts, each one from their first logged week on. A logged week is low when it falls
+ * below lowThreshold percent of their contracted hours, or of their median week.
+ * @param {Array} data - All rows (first weeks and medians look beyond the date range)
+ * @param {Array<string>} employeeIds - Employees to check
+ * @param {Array<string>} weeks - Week ranges to check, in order
+ * @param {Array<string>} taskColumns - Task columns holding hours
+ * @returns {Array<{employee: string, week: string, reason: string, hours: number, expected: number|null}>}
+ *   - Gaps by employee then week; reason is 'missing' or 'low', expected is the hours the
+ *   week was measured against
+ */
+export function findTimesheetGaps(data, employeeIds, weeks, taskColumns) {
+  const threshold = TIMESHEET_CONFIG.lowThreshold ?? DEFAULT_LOW_THRESHOLD;
+  const hoursByEmployee = getWeeklyHours(data, taskColumns);
+  const gaps = [];
+
+  employeeIds.forEach(id => {
+    const weeklyHours = hoursByEmployee.get(id) || new Map();
+    const contracted = hasContracts([id]);
+    const firstWeek = [...weeklyHours.keys()].filter(week => getWeekStart(week)).sort(compareWeekRanges)[0];
+    const median = getMedian([...weeklyHours.values()].filter(hours => hours > 0));
+
+    weeks.forEach(week => {
+      const weekStart = getWeekStart(week);
+      if (!weekStart) return;
+
+      let expected;
+      if (contracted) {
+        expected = getContractedHours(id, weekStart);
+        if (expected === null) return;
+      } else {
+        if (!firstWeek || compareWeekRanges(week, firstWeek) < 0) return;
+        expected = median;
+      }
+
+      if (!weeklyHours.has(week)) {
+        gaps.push({ employee: id, week, reason: 'missing', hours: 0, expected });
+        return;
+      }
+
+      const hours = weeklyHours.get(week);
+      if (expected !== null && hours < expected * threshold / 100) {
+        gaps.push({ employee: id, week, reason: 'low', hours, expected });
+      }
+    });
+  });
+
+  return gaps;
+}
+
+/**
+ * Word a reminder for one person's gaps from the configured template
+ * @param {string} displayName - Name to address
+ * @param {Array<{week: string}>} gaps - That person's gaps
+ * @returns {string} - Reminder message
+ */
+export function buildReminder(displayName, gaps) {
+  const weeks = gaps.map(gap => gap.week);
+  const weekList = weeks.length > 1 ?
+    `${weeks.slice(0, -1).join(', ')} and ${weeks[weeks.length - 1]}` :
+    weeks.join('');
+
+  return (TIMESHEET_CONFIG.reminder || DEFAULT_REMINDER)
+    .replace(/\{name\}/g, displayName)
+    .replace(/\{weeks\}/g, weekList);
+}
+
+/**
+ * Total the hours each employee logged per week
+ * @private
+ * @param {Array} data - Data rows
+ * @param {Array<string>} taskColumns - Task columns holding hours
+ * @returns {Map<string, Map<string, number>>} - Hours by employee id, then week range
+ */
+function getWeeklyHours(data, taskColumns) {
+  const hoursByEmployee = new Map();
+
+  data.forEach(row => {
+    const id = getEmployeeId(row.User);
+    const week = row['Week Range'];
+    if (!id || !week) return;
+
+    if (!hoursByEmployee.has(id)) hoursByEmployee.set(id, new Map());
+    const weeklyHours = hoursByEmployee.get(id);
+    weeklyHours.set(week, (weeklyHours.get(week) || 0) + sumRowHours(row, taskColumns));
+  });
+
+  return hoursByEmployee;
+}
@@ -0,0 +1,159 @@
+/**
+ * URL State for HR Metrics Dashboard
+ * Keeps the view (tab, dates, comparison, toggles, search) in the page's query string so a
+ * link reopens the same view and browser back/forward steps through filter changes.
+ *
+ * Parameters, all optional and left out when at their default:
+ *   tab=anna                      open employee tab
+ *   people=anna,ben               employees chosen in the employee filter
+ *   range=last-4-weeks            relative date preset (instead of from/to)
+ *   from=2025-03-01&to=2025-03-31 date range, either end may be left out
+ *   compare=previous              compare mode; custom also takes cfrom/cto
+ *   show=cost  level=task  by=month
+ *   q=design
+ *   category=Congress&task=BD - Calls  chosen work; category stands for all its tasks
+ */
+
+import { TASK_CATEGORIES } from '../config/metrics-config.js';
+import { parseIsoDate, formatIsoDate } from '../config/utils.js';
+import { DATE_PRESETS } from './date-presets.js';
+import { COMPARE_MODES } from './period-comparison.js';
+import { TIME_GRANULARITIES } from './time-buckets.js';
+
+// Listening once is enough however often the page initializes
+let bound = false;
+
+/**
+ * Read a YYYY-MM-DD parameter
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {Date|null} - Date, or null if missing or not a real date
+ */
+function readDate(params, name) {
+  const value = params.get(name);
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  const date = parseIsoDate(value);
+  return formatIsoDate(date) === value ? date : null;
+}
+
+/**
+ * Write the view part of the state as a query string
+ * @param {Object} state - Dashboard state
+ * @returns {string} - Query string without the leading "?" (empty for the default view)
+ */
+export function serializeUrlState(state) {
+  const params = new URLSearchParams();
+  const { dateRange, comparison } = state;
+
+  if (state.activeEmployee !== 'all') params.set('tab', state.activeEmployee);
+  if (state.selectedEmployees.length > 0) params.set('people', state.selectedEmployees.join(','));
+
+  if (dateRange.preset) {
+    params.set('range', dateRange.preset);
+  } else {
+    if (dateRange.start) params.set('from', formatIsoDate(dateRange.start));
+    if (dateRange.end) params.set('to', formatIsoDate(dateRange.end));
+  }
+
+  if (comparison) {
+    params.set('compare', comparison.mode);
+    if (comparison.mode === 'custom' && comparison.customRange) {
+      if (comparison.customRange.start) params.set('cfrom', formatIsoDate(comparison.customRange.start));
+      if (comparison.customRange.end) params.set('cto', formatIsoDate(comparison.customRange.end));
+    }
+  }
+
+  if (state.displayMode !== 'hours') params.set('show', state.displayMode);
+  if (state.levelMode !== 'category') params.set('level', state.levelMode);
+  if (state.timeGranularity !== 'week') params.set('by', state.timeGranularity);
+  if (state.searchQuery) params.set('q', state.searchQuery);
+
+  // Whole categories are written by name to keep links short
+  const tasks = new Set(state.selectedTasks);
+  Object.entries(TASK_CATEGORIES).forEach(([category, categoryTasks]) => {
+    if (categoryTasks.length > 0 && categoryTasks.every(task => tasks.has(task))) {
+      params.append('category', category);
+      categoryTasks.forEach(task => tasks.delete(task));
+    }
+  });
+  tasks.forEach(task => params.append('task', task));
+
+  return params.toString();
+}
+
+/**
+ * Read the view from a query string
+ * Unknown or invalid values fall back to the defaults rather than failing, since links
+ * outlive presets and configuration.
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object} - State fields for dashboardState.setState
+ */
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+
+  const preset = params.get('range');
+  const dateRange = Object.keys(DATE_PRESETS).includes(preset) ?
+    { start: null, end: null, preset } :
+    { start: readDate(params, 'from'), end: readDate(params, 'to'), preset: null };
+
+  const mode = params.get('compare');
+  const comparison = Object.keys(COMPARE_MODES).includes(mode) ?
+    { mode, customRange: { start: readDate(params, 'cfrom'), end: readDate(params, 'cto') } } :
+    null;
+
+  const granularity = params.get('by');
+
+  return {
+    activeEmployee: params.get('tab') || 'all',
+    selectedEmployees: (params.get('people') || '').split(',').filter(Boolean),
+    dateRange,
+    comparison,
+    displayMode: params.get('show') === 'cost' ? 'cost' : 'hours',
+    levelMode: params.get('level') === 'task' ? 'task' : 'category',
+    timeGranularity: Object.keys(TIME_GRANULARITIES).includes(granularity) ? granularity : 'week',
+    searchQuery: params.get('q') || '',
+    selectedTasks: [...new Set([
+      ...params.getAll('category').flatMap(category => (Object.keys(TASK_CATEGORIES).includes(category) ? TASK_CATEGORIES[category] : [])),
+      ...params.getAll('task')
+    ])]
+  };
+}
+
+/**
+ * Restore the state from the URL and keep the two in step
+ * Each change adds a history entry, except editing a search that is already there, which
+ * replaces the current one so back doesn't step through every keystroke.
+ * @param {Object} dashboardState - State to bind
+ */
+export function bindStateToUrl(dashboardState) {
+  if (bound) return;
+  bound = true;
+
+  let restoring = true;
+  dashboardState.setState(parseUrlState(window.location.search));
+  restoring = false;
+
+  dashboardState.subscribe((state, previousState) => {
+    if (restoring) return;
+
+    const query = serializeUrlState(state);
+    if (query === window.location.search.replace(/^\?/, '')) return;
+
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    const searchEdited = previousState.searchQuery !== '' && state.searchQuery !== '' &&
+      serializeUrlState({ ...state, searchQuery: previousState.searchQuery }) === serializeUrlState(previousState);
+
+    if (searchEdited) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  });
+
+  window.addEventListener('popstate', () => {
+    restoring = true;
+    dashboardState.setState(parseUrlState(window.location.search));
+    restoring = false;
+  });
+}
@@ -0,0 +1,225 @@
+/**
+ * Week Range Parsing for HR Metrics Dashboard
+ * Reads the Week Range column into calendar dates. Everything that sorts or filters by
+ * week goes through here so the dashboard agrees on one reading of each range.
+ *
+ * Accepted forms include:
+ *   "Mar 10 – Mar 15 (2025)"          en dash, em dash, hyphen, "to" or "through"
+ *   "March 10 - March 15, 2025"       full month names, trailing year
+ *   "Mar 10 – 15 (2025)"              end day without a month
+ *   "10 Mar – 15 Mar 2025"            day before month
+ *   "Dec 29 – Jan 3 (2026)"           crosses New Year; a single year belongs to the end date
+ *   "2025-03-10 – 2025-03-15"         ISO dates
+ *
+ * Ranges without any year are read in the current year, as the sheet has always done.
+ * Anything else is reported as unparseable (null) rather than guessed.
+ */
+
+import { makeDate } from '../config/utils.js';
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_WRAPPED_DAYS = 31;
+
+const RANGE_SEPARATOR = /\s*(?:[-–—]|\bto\b|\bthrough\b)\s*/i;
+
+// Parsed ranges by text; the column repeats the same few strings on every row
+const cache = new Map();
+
+/**
+ * Look up a month by name or abbreviation ("Mar", "Sept", "March")
+ * @param {string} name - Month text
+ * @returns {number|null} - Month index (0-11), or null if not a month
+ */
+function parseMonth(name) {
+  const text = name.toLowerCase().replace(/\.$/, '');
+  if (text.length < 3) return null;
+
+  const index = MONTH_NAMES.findIndex(month => month.startsWith(text));
+  return index >= 0 ? index : null;
+}
+
+/**
+ * Read one side of a range ("Mar 10", "March 10, 2025", "10 Mar", or "15" after a month)
+ * @param {string} text - One side of the range
+ * @param {number|null} [defaultMonth] - Month to use when the text is only a day
+ * @returns {{month: number, day: number, year: number|null}|null} - Parts, or null if unreadable
+ */
+function parseDayPart(text, defaultMonth = null) {
+  const yearPattern = '(?:,?\\s*(\\d{4}))?';
+  const dayPattern = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+  const monthFirst = text.match(new RegExp(`^([A-Za-z]+\\.?)\\s+${dayPattern}${yearPattern}$`));
+  if (monthFirst) {
+    const month = parseMonth(monthFirst[1]);
+    if (month === null) return null;
+    return { month, day: Number(monthFirst[2]), year: monthFirst[3] ? Number(monthFirst[3]) : null };
+  }
+
+  const dayFirst = text.match(new RegExp(`^${dayPattern}\\s+([A-Za-z]+\\.?)${yearPattern}$`));
+  if (dayFirst) {
+    const month = parseMonth(dayFirst[2]);
+    if (month === null) return null;
+    return { month, day: Number(dayFirst[1]), year: dayFirst[3] ? Number(dayFirst[3]) : null };
+  }
+
+  const dayOnly = text.match(new RegExp(`^${dayPattern}${yearPattern}$`));
+  if (dayOnly && defaultMonth !== null) {
+    return { month: defaultMonth, day: Number(dayOnly[1]), year: dayOnly[2] ? Number(dayOnly[2]) : null };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a range written with ISO dates
+ * @param {string} text - Week range text
+ * @returns {{start: Date, end: Date}|null|undefined} - Range, null if the ISO dates are invalid,
+ *   or undefined if the text has no ISO dates
+ */
+function parseIsoRange(text) {
+  const matches = [...text.matchAll(/(\d{4})-(\d{1,2})-(\d{1,2})/g)];
+  if (matches.length === 0) return undefined;
+  if (matches.length > 2) return null;
+
+  const [start, end] = [matches[0], matches[matches.length - 1]]
+    .map(match => makeDate(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+
+  return start && end ? { start, end } : null;
+}
+
+/**
+ * Parse a range written with month names
+ * @param {string} text - Week range text
+ * @returns {{start: Date, end: Date}|null} - Range, or null if unreadable
+ */
+function parseNamedRange(text) {
+  // "(2025)" at the end is the sheet's usual year marker
+  const yearMatch = text.match(/\(\s*(\d{4})\s*\)\s*$/);
+  const body = (yearMatch ? text.slice(0, yearMatch.index) : text).trim();
+
+  const sides = body.split(RANGE_SEPARATOR).filter(side => side !== '');
+  if (sides.length === 0 || sides.length > 2) return null;
+
+  const startPart = parseDayPart(sides[0]);
+  if (!startPart) return null;
+  const endPart = sides.length === 2 ? parseDayPart(sides[1], startPart.month) : { ...startPart };
+  if (!endPart) return null;
+
+  const crossesYear = endPart.month < startPart.month ||
+    (endPart.month === startPart.month && endPart.day < startPart.day);
+
+  const givenYear = yearMatch ? Number(yearMatch[1]) : null;
+  let startYear = startPart.year;
+  let endYear = endPart.year !== null ? endPart.year : givenYear;
+
+  if (startYear === null && endYear === null) {
+    endYear = new Date().getFullYear();
+  }
+  if (startYear === null) {
+    startYear = crossesYear ? endYear - 1 : endYear;
+  }
+  if (endYear === null) {
+    endYear = crossesYear ? startYear + 1 : startYear;
+  }
+
+  const start = makeDate(startYear, startPart.month, startPart.day);
+  const end = makeDate(endYear, endPart.month, endPart.day);
+  if (!start || !end) return null;
+
+  // Only a short range can wrap into the next year; "Mar 15 – Mar 10" is a typo, not eleven months
+  const yearInferred = startPart.year === null || endPart.year === null;
+  if (crossesYear && yearInferred && end - start > MAX_WRAPPED_DAYS * DAY_MS) return null;
+
+  return { start, end };
+}
+
+/**
+ * Parse a week range
+ * @param {string} weekRange - Week range text (e.g., "Mar 10 – Mar 15 (2025)")
+ * @returns {{start: Date, end: Date}|null} - First and last day of the range, or null if it can't be read
+ */
+export function parseWeekRange(weekRange) {
+  if (weekRange === null || weekRange === undefined) return null;
+
+  const text = String(weekRange).trim().replace(/\s+/g, ' ');
+  if (text === '') return null;
+
+  if (!cache.has(text)) {
+    const iso = parseIsoRange(text);
+    const range = iso === undefined ? parseNamedRange(text) : iso;
+    cache.set(text, range && range.end >= range.start ? range : null);
+  }
+
+  // Hand out copies so callers can't change the cached dates
+  const range = cache.get(text);
+  return range ? { start: new Date(range.start), end: new Date(range.end) } : null;
+}
+
+/**
+ * Check whether a week range can be read
+ * @param {string} weekRange - Week range text
+ * @returns {boolean} - True if parseWeekRange reads it
+ */
+export function isValidWeekRange(weekRange) {
+  return parseWeekRange(weekRange) !== null;
+}
+
+/**
+ * Get the first day of a week range
+ * @param {string} weekRange - Week range text
+ * @returns {Date|null} - Start date, or null if the range can't be read
+ */
+export function getWeekStart(weekRange) {
+  const range = parseWeekRange(weekRange);
+  return range ? range.start : null;
+}
+
+/**
+ * Get the last day of a week range
+ * @param {string} weekRange - Week range text
+ * @returns {Date|null} - End date, or null if the range can't be read
+ */
+export function getWeekEnd(weekRange) {
+  const range = parseWeekRange(weekRange);
+  return range ? range.end : null;
+}
+
+/**
+ * Compare two week ranges for sorting
+ * Ranges are ordered by start date, then end date. Unreadable ranges sort after all
+ * readable ones, alphabetically.
+ * @param {string} a - First week range
+ * @param {string} b - Second week range
+ * @returns {number} - Negative, zero or positive
+ */
+export function compareWeekRanges(a, b) {
+  const rangeA = parseWeekRange(a);
+  const rangeB = parseWeekRange(b);
+
+  if (rangeA && rangeB) {
+    return (rangeA.start - rangeB.start) || (rangeA.end - rangeB.end);
+  }
+  if (rangeA) return -1;
+  if (rangeB) return 1;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Sort the distinct week ranges in a list
+ * @param {Array<string>} weekRanges - Week ranges, possibly repeated or blank
+ * @returns {{weeks: Array<string>, unparseable: Array<string>}} - Distinct non-blank ranges in
+ *   date order (unreadable ones last), and the ranges that couldn't be read
+ */
+export function sortWeekRanges(weekRanges) {
+  const weeks = [...new Set(weekRanges
+    .filter(week => week !== null && week !== undefined && String(week).trim() !== '')
+    .map(week => String(week)))]
+    .sort(compareWeekRanges);
+
+  return { weeks, unparseable: weeks.filter(week => !isValidWeekRange(week)) };
+}
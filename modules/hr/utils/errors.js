@@ -2,6 +2,8 @@
  * Custom error classes for HR Metrics Dashboard
  */
 
+import { escapeHtml } from '../config/utils.js';
+
 export class DashboardError extends Error {
   constructor(message, type, details = {}) {
     super(message);
@@ -39,6 +41,13 @@ export class FilterError extends DashboardError {
   }
 }
 
+export class ConfigValidationError extends DashboardError {
+  constructor(message, details = {}) {
+    super(message, 'CONFIG_ERROR', details);
+    this.name = 'ConfigValidationError';
+  }
+}
+
 /**
  * Error handler for the dashboard
  */
@@ -109,13 +118,13 @@ export const handleDashboardError = (error) => {
     case 'DATA_FETCH_ERROR':
       // Show data fetch error UI
       document.getElementById('loading-message').innerHTML = 
-        `Error fetching data: ${error.message}<br><br>Please try using the file upload option instead.`;
+        `Error fetching data: ${escapeHtml(error.message)}<br><br>Please try using the file upload option instead.`;
       break;
       
     case 'DATA_PROCESSING_ERROR':
       // Show data processing error UI
       document.getElementById('loading-message').innerHTML = 
-        `Error processing data: ${error.message}<br><br>Please check your data format.`;
+        `Error processing data: ${escapeHtml(error.message)}<br><br>Please check your data format.`;
       break;
       
     case 'CHART_RENDER_ERROR':
@@ -131,7 +140,7 @@ export const handleDashboardError = (error) => {
     default:
       // Show generic error UI
       document.getElementById('loading-message').innerHTML = 
-        `An error occurred: ${error.message}`;
+        `An error occurred: ${escapeHtml(error.message)}`;
   }
   
   // Update data source indicator
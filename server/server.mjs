@@ -0,0 +1,297 @@
+/**
+ * Local server for the SOJ internal website
+ * Serves the static site and a same-origin /api/sheet endpoint that fetches the
+ * configured Google Sheet server-side, so the browser never needs a CORS proxy.
+ *
+ * Usage:
+ *   node server/server.mjs [--port 8080] [--upstream google|file:<path>]
+ *
+ * Environment:
+ *   PORT, SHEET_UPSTREAM, SHEET_ID, SHEET_NAME, SHEET_CACHE_TTL (milliseconds)
+ * Sheet settings not given in the environment come from the `spreadsheet` key of
+ * modules/hr/config/metrics-config.json, then from the defaults below.
+ */
+
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import { createReadStream, existsSync, readFileSync } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { createUpstream } from './upstreams.mjs';
+
+const SITE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Keep in step with SPREADSHEET_CONFIG in modules/hr/config/metrics-config.js
+const DEFAULT_SPREADSHEET = {
+  spreadsheetId: '1Y-koc05vPSjUJqZlo9N759GO69f2UucugFEbnuBJ4BM',
+  sheetName: 'DATA',
+  refreshInterval: 5 * 60 * 1000
+};
+
+// Paths served from the site root; anything else is a 404
+const PUBLIC_FILES = ['/', '/index.html'];
+const PUBLIC_DIRECTORIES = ['/modules/'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.md': 'text/markdown; charset=utf-8'
+};
+
+/**
+ * Read sheet settings from the dashboard's JSON override, if there is one
+ * @returns {Object} - Spreadsheet settings from metrics-config.json, or {}
+ */
+function readConfiguredSpreadsheet() {
+  const overridePath = path.join(SITE_ROOT, 'modules/hr/config/metrics-config.json');
+  if (!existsSync(overridePath)) return {};
+
+  try {
+    return JSON.parse(readFileSync(overridePath, 'utf8')).spreadsheet || {};
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${overridePath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Caches the last CSV fetched from the upstream
+ */
+class SheetCache {
+  constructor(upstream, ttl) {
+    this.upstream = upstream;
+    this.ttl = ttl;
+    this.entry = null;
+    this.pending = null;
+  }
+
+  /**
+   * Get the sheet CSV, fetching from the upstream when the cache is stale
+   * Concurrent requests share one upstream fetch. If the upstream fails and an
+   * older copy exists, the older copy is returned and marked stale.
+   * @returns {Promise<{csv: string, etag: string, fetchedAt: number, status: string}>}
+   */
+  async get() {
+    if (this.entry && Date.now() - this.entry.fetchedAt < this.ttl) {
+      return { ...this.entry, status: 'HIT' };
+    }
+
+    if (!this.pending) {
+      this.pending = this.upstream.fetchCsv()
+        .then(csv => {
+          this.entry = {
+            csv,
+            etag: `"${createHash('sha1').update(csv).digest('hex')}"`,
+            fetchedAt: Date.now()
+          };
+          return { ...this.entry, status: 'MISS' };
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+
+    try {
+      return await this.pending;
+    } catch (error) {
+      if (this.entry) {
+        console.warn(`Upstream ${this.upstream.name} failed, serving cached copy: ${error.message}`);
+        return { ...this.entry, status: 'STALE' };
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Handle GET /api/sheet
+ * @private
+ */
+async function handleSheetRequest(request, response, cache) {
+  let sheet;
+  try {
+    sheet = await cache.get();
+  } catch (error) {
+    console.error(`Sheet fetch failed: ${error.message}`);
+    response.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(`Could not fetch sheet: ${error.message}`);
+    return;
+  }
+
+  const age = Math.floor((Date.now() - sheet.fetchedAt) / 1000);
+  const maxAge = Math.max(0, Math.floor(cache.ttl / 1000) - age);
+  const headers = {
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Cache-Control': `private, max-age=${sheet.status === 'STALE' ? 0 : maxAge}`,
+    'ETag': sheet.etag,
+    'Last-Modified': new Date(sheet.fetchedAt).toUTCString(),
+    'Age': String(age),
+    'X-Cache': sheet.status
+  };
+
+  if (request.headers['if-none-match'] === sheet.etag) {
+    response.writeHead(304, headers);
+    response.end();
+    return;
+  }
+
+  response.writeHead(200, headers);
+  response.end(request.method === 'HEAD' ? undefined : sheet.csv);
+}
+
+/**
+ * Check whether a decoded request path is part of the site
+ * Only index.html and modules/ are served; the server sources, git metadata and the rest
+ * of the repository are not, and neither is any dotfile or dot-directory.
+ * @private
+ */
+function isPublicPath(pathname) {
+  if (pathname.split('/').some(segment => segment.startsWith('.'))) return false;
+
+  return PUBLIC_FILES.includes(pathname) || PUBLIC_DIRECTORIES.some(directory => pathname.startsWith(directory));
+}
+
+/**
+ * Serve a file from the site root
+ * @private
+ */
+async function handleStaticRequest(request, response, root) {
+  const { pathname } = new URL(request.url, 'http://localhost');
+
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(pathname);
+  } catch (error) {
+    response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Bad request');
+    return;
+  }
+
+  if (!isPublicPath(decodedPath)) {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Not found');
+    return;
+  }
+
+  let filePath = path.join(root, decodedPath);
+
+  // Never serve anything outside the site root
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+    response.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Forbidden');
+    return;
+  }
+
+  let fileStat;
+  try {
+    fileStat = await stat(filePath);
+    if (fileStat.isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+      fileStat = await stat(filePath);
+    }
+  } catch (error) {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Not found');
+    return;
+  }
+
+  const headers = {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': fileStat.size,
+    'Cache-Control': 'no-cache'
+  };
+
+  if (request.method === 'HEAD') {
+    response.writeHead(200, headers);
+    response.end();
+    return;
+  }
+
+  // Headers go out once the file is open, so a file removed since the stat is still a 404;
+  // a read that fails after that can only cut the response short
+  const stream = createReadStream(filePath);
+  stream.on('open', () => {
+    response.writeHead(200, headers);
+    stream.pipe(response);
+  });
+  stream.on('error', error => {
+    if (response.headersSent) {
+      console.error(`Reading ${filePath} failed: ${error.message}`);
+      response.destroy(error);
+      return;
+    }
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Not found');
+  });
+  response.on('close', () => stream.destroy());
+}
+
+/**
+ * Create the dashboard server
+ * @param {Object} options
+ * @param {{name: string, fetchCsv: Function}} options.upstream - Where /api/sheet gets its CSV
+ * @param {number} [options.cacheTtl] - How long a fetched sheet is reused, in milliseconds
+ * @param {string} [options.root] - Directory served as the site
+ * @returns {http.Server} - Server, not yet listening
+ */
+export function createServer({ upstream, cacheTtl = DEFAULT_SPREADSHEET.refreshInterval, root = SITE_ROOT }) {
+  const cache = new SheetCache(upstream, cacheTtl);
+  const siteRoot = path.resolve(root);
+
+  return http.createServer((request, response) => {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { 'Allow': 'GET, HEAD' });
+      response.end();
+      return;
+    }
+
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const handler = pathname === '/api/sheet' ?
+      handleSheetRequest(request, response, cache) :
+      handleStaticRequest(request, response, siteRoot);
+
+    handler.catch(error => {
+      console.error(`Request for ${pathname} failed:`, error);
+      if (!response.headersSent) {
+        response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      }
+      response.end();
+    });
+  });
+}
+
+/**
+ * Read a --name value pair from the command line
+ * @private
+ */
+function getArgument(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+// Start listening when run directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const configured = { ...DEFAULT_SPREADSHEET, ...readConfiguredSpreadsheet() };
+  const spreadsheet = {
+    spreadsheetId: process.env.SHEET_ID || configured.spreadsheetId,
+    sheetName: process.env.SHEET_NAME || configured.sheetName
+  };
+  const upstream = createUpstream(getArgument('upstream') || process.env.SHEET_UPSTREAM, spreadsheet);
+  const cacheTtl = Number(process.env.SHEET_CACHE_TTL) || configured.refreshInterval;
+  const port = Number(getArgument('port') || process.env.PORT) || 8080;
+
+  createServer({ upstream, cacheTtl }).listen(port, () => {
+    console.log(`Serving ${SITE_ROOT} at http://localhost:${port}/`);
+    console.log(`/api/sheet uses ${upstream.name}, cached for ${cacheTtl / 1000}s`);
+  });
+}
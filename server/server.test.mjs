@@ -0,0 +1,205 @@
+/**
+ * Checks for the local dashboard server
+ * Runs the server against server/fixtures/sheet.csv instead of Google Sheets.
+ *
+ * Usage:
+ *   node --test server/
+ */
+
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { createServer } from './server.mjs';
+import { createFileUpstream } from './upstreams.mjs';
+
+const FIXTURE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/sheet.csv');
+const FIXTURE_CSV = readFileSync(FIXTURE_PATH, 'utf8');
+
+/**
+ * Wrap an upstream to count its fetches and fail on demand
+ * @param {{name: string, fetchCsv: Function}} upstream - Upstream to wrap
+ * @returns {{name: string, fetchCsv: Function, fetches: number, failing: boolean}} - Upstream
+ */
+function trackUpstream(upstream) {
+  return {
+    name: upstream.name,
+    fetches: 0,
+    failing: false,
+    async fetchCsv() {
+      this.fetches++;
+      if (this.failing) throw new Error('upstream down');
+      return upstream.fetchCsv();
+    }
+  };
+}
+
+/**
+ * Start a server on a free port
+ * @param {Object} options - createServer options
+ * @returns {Promise<{server: http.Server, baseUrl: string}>} - Listening server and its URL
+ */
+async function startServer(options) {
+  const server = createServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Stop a server started by startServer
+ * @param {http.Server} server - Server
+ */
+async function stopServer(server) {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+}
+
+describe('/api/sheet', () => {
+  let upstream;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    upstream = trackUpstream(createFileUpstream(FIXTURE_PATH));
+    ({ server, baseUrl } = await startServer({ upstream, cacheTtl: 60 * 1000 }));
+  });
+
+  after(() => stopServer(server));
+
+  it('fetches the sheet once and then serves it from the cache', async () => {
+    const first = await fetch(`${baseUrl}/api/sheet`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.match(first.headers.get('content-type'), /^text\/csv/);
+    assert.match(first.headers.get('cache-control'), /max-age=\d+/);
+    assert.equal(await first.text(), FIXTURE_CSV);
+
+    const second = await fetch(`${baseUrl}/api/sheet`);
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.equal(second.headers.get('etag'), first.headers.get('etag'));
+    assert.equal(await second.text(), FIXTURE_CSV);
+    assert.equal(upstream.fetches, 1);
+  });
+
+  it('answers 304 when the ETag still matches', async () => {
+    const { headers } = await fetch(`${baseUrl}/api/sheet`);
+    const response = await fetch(`${baseUrl}/api/sheet`, { headers: { 'If-None-Match': headers.get('etag') } });
+
+    assert.equal(response.status, 304);
+    assert.equal(await response.text(), '');
+  });
+
+  it('answers 200 when the ETag is out of date', async () => {
+    const response = await fetch(`${baseUrl}/api/sheet`, { headers: { 'If-None-Match': '"outdated"' } });
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), FIXTURE_CSV);
+  });
+});
+
+describe('/api/sheet when the upstream fails', () => {
+  it('serves the cached copy marked stale, or 502 without one', async () => {
+    const upstream = trackUpstream(createFileUpstream(FIXTURE_PATH));
+    const { server, baseUrl } = await startServer({ upstream, cacheTtl: 0 });
+
+    try {
+      upstream.failing = true;
+      assert.equal((await fetch(`${baseUrl}/api/sheet`)).status, 502);
+
+      upstream.failing = false;
+      assert.equal((await fetch(`${baseUrl}/api/sheet`)).status, 200);
+
+      upstream.failing = true;
+      const stale = await fetch(`${baseUrl}/api/sheet`);
+      assert.equal(stale.status, 200);
+      assert.equal(stale.headers.get('x-cache'), 'STALE');
+      assert.equal(stale.headers.get('cache-control'), 'private, max-age=0');
+      assert.equal(await stale.text(), FIXTURE_CSV);
+    } finally {
+      await stopServer(server);
+    }
+  });
+});
+
+describe('static files', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    ({ server, baseUrl } = await startServer({ upstream: createFileUpstream(FIXTURE_PATH) }));
+  });
+
+  after(() => stopServer(server));
+
+  /**
+   * Request a path and discard the body
+   * @param {string} requestPath - Request path
+   * @param {string} [method] - HTTP method
+   * @returns {Promise<number>} - Response status
+   */
+  async function getStatus(requestPath, method = 'GET') {
+    const response = await fetch(new URL(requestPath, baseUrl), { method });
+    await response.arrayBuffer();
+    return response.status;
+  }
+
+  it('serves index.html and the modules', async () => {
+    assert.equal(await getStatus('/'), 200);
+    assert.equal(await getStatus('/index.html'), 200);
+    assert.equal(await getStatus('/modules/hr/pages/metrics-dashboard.html'), 200);
+    assert.equal(await getStatus('/modules/hr/pages/metrics-dashboard.js'), 200);
+  });
+
+  it('does not serve the rest of the repository', async () => {
+    assert.equal(await getStatus('/.git/config'), 404);
+    assert.equal(await getStatus('/%2Egit/config'), 404);
+    assert.equal(await getStatus('/server/server.mjs'), 404);
+    assert.equal(await getStatus('/README.md'), 404);
+    assert.equal(await getStatus('/modules/%2E%2E/server/server.mjs'), 404);
+    assert.equal(await getStatus('/modules/hr/.hidden'), 404);
+  });
+
+  it('rejects malformed escapes and other methods', async () => {
+    assert.equal(await getStatus('/%E0%A4%A'), 400);
+    assert.equal(await getStatus('/index.html', 'POST'), 405);
+  });
+
+  it('answers 404 for missing files', async () => {
+    assert.equal(await getStatus('/modules/missing.js'), 404);
+  });
+});
+
+describe('static files that fail to read', () => {
+  let root;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // An index.html that is a directory passes the stat but fails on the first read
+    root = mkdtempSync(path.join(os.tmpdir(), 'dashboard-server-'));
+    writeFileSync(path.join(root, 'index.html'), '<!doctype html>');
+    mkdirSync(path.join(root, 'modules/broken/index.html'), { recursive: true });
+
+    ({ server, baseUrl } = await startServer({ upstream: createFileUpstream(FIXTURE_PATH), root }));
+  });
+
+  after(async () => {
+    await stopServer(server);
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('cuts the response short and keeps serving', async () => {
+    await assert.rejects(async () => {
+      const response = await fetch(`${baseUrl}/modules/broken/`);
+      await response.text();
+    });
+
+    const response = await fetch(`${baseUrl}/index.html`);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), '<!doctype html>');
+  });
+});
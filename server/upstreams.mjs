@@ -0,0 +1,75 @@
+/**
+ * Sheet upstreams for the local dashboard server
+ * An upstream is any object with a `name` and an async `fetchCsv()` returning CSV text.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Upstream that exports a Google Sheet as CSV
+ * @param {Object} options
+ * @param {string} options.spreadsheetId - Spreadsheet id
+ * @param {string} options.sheetName - Tab to export
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @returns {{name: string, fetchCsv: Function}} - Upstream
+ */
+export function createGoogleSheetsUpstream({ spreadsheetId, sheetName, timeout = 15000 }) {
+  if (!spreadsheetId) {
+    throw new Error('Google Sheets upstream needs a spreadsheetId');
+  }
+
+  const url = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/gviz/tq?tqx=out:csv&sheet=${encodeURIComponent(sheetName)}`;
+
+  return {
+    name: 'google-sheets',
+    async fetchCsv() {
+      const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+      if (!response.ok) {
+        throw new Error(`Google Sheets responded with ${response.status}`);
+      }
+
+      const text = await response.text();
+
+      // A sheet that isn't shared returns the Google sign-in page instead of CSV
+      if (/^\s*<(!doctype|html)/i.test(text)) {
+        throw new Error('Google Sheets returned HTML instead of CSV; is the sheet shared?');
+      }
+      return text;
+    }
+  };
+}
+
+/**
+ * Upstream that reads CSV from a local file, e.g. a test fixture
+ * @param {string} filePath - Path to the CSV file
+ * @returns {{name: string, fetchCsv: Function}} - Upstream
+ */
+export function createFileUpstream(filePath) {
+  const resolved = path.resolve(filePath);
+
+  return {
+    name: `file:${resolved}`,
+    async fetchCsv() {
+      return readFile(resolved, 'utf8');
+    }
+  };
+}
+
+/**
+ * Create an upstream from a spec string
+ * - "google" (default) uses the spreadsheet settings
+ * - "file:<path>" reads a local CSV file
+ * @param {string} spec - Upstream spec
+ * @param {Object} spreadsheet - Spreadsheet settings ({ spreadsheetId, sheetName })
+ * @returns {{name: string, fetchCsv: Function}} - Upstream
+ */
+export function createUpstream(spec, spreadsheet) {
+  if (!spec || spec === 'google') {
+    return createGoogleSheetsUpstream(spreadsheet);
+  }
+  if (spec.startsWith('file:')) {
+    return createFileUpstream(spec.slice('file:'.length));
+  }
+  throw new Error(`Unknown sheet upstream: ${spec}`);
+}